@@ -7,8 +7,13 @@ const ContainerAware = require('../DependencyInjection/ContainerProvider').get('
  * inject itself.
  */
 class Controller extends ContainerAware {
-  generateUrl(route_name, parameters = {}) {
-    return this.get('app.route_registry').generate(route_name, parameters);
+  /**
+   * Generates the URL to the given route; accepts the same options as RouteRegistry.generate(), e.g.
+   *
+   *   this.generateUrl('user_show', { id: 5, tab: 'orders' }, { absolute: true, request: req, fragment: 'top' });
+   */
+  generateUrl(route_name, parameters = {}, options = {}) {
+    return this.get('app.route_registry').generate(route_name, parameters, options);
   }
 
   get(service_id) {
@@ -0,0 +1,124 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JsonLoader = require('./JsonLoader');
+const YamlLoader = require('./YamlLoader');
+const RouteCollectionBuilder = require('../Routing/RouteCollectionBuilder');
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+
+const SUPPORTED_EXTENSIONS = [ '.json', '.js', '.yaml', '.yml' ];
+
+/**
+ * Loads routing configuration from files on disk; .json and .js files (which export the configuration object), as
+ * well as .yaml and .yml files (see YamlLoader).
+ *
+ * Any configuration level can split its routes across other files with the "imports" node:
+ *
+ *   // routing.js
+ *   module.exports = {
+ *     '/admin': {
+ *       middleware: require('./middleware/requireAdmin'),
+ *       imports: [ './admin/users.json', './admin/books.js' ],
+ *     },
+ *   };
+ *
+ * Imported routes end up under the importing level's prefix, and inherit its middleware, parameter converters,
+ * error handlers and traits as if they were written inline. Relative paths resolve from the importing file.
+ */
+class FileLoader extends JsonLoader {
+  /**
+   * @param {string} file_path
+   */
+  load(file_path) {
+    super.load(this.loadFile(file_path));
+  }
+
+  /**
+   * Reads the given file, and recursively all of the files it imports, into a single configuration without loading
+   * any routes.
+   *
+   * @param {string} file_path
+   * @returns {Object}
+   */
+  loadFile(file_path) {
+    return this._loadFile(path.resolve(file_path), []);
+  }
+
+  _loadFile(file_path, import_stack) {
+    if (import_stack.includes(file_path)) {
+      const cycle = import_stack.slice(import_stack.indexOf(file_path)).concat(file_path);
+      throw new RouteRegistryError('file_loader_circular_import', `Circular import detected: ${cycle.join(' -> ')}`);
+    }
+
+    const configuration = this._resolveImports(this._readFile(file_path), file_path, import_stack.concat(file_path));
+
+    // So that problems with the configuration, such as trait name collisions, can name the file
+    Object.defineProperty(configuration, RouteCollectionBuilder.SOURCE_FILE, { value: file_path });
+    return configuration;
+  }
+
+  _readFile(file_path) {
+    const extension = path.extname(file_path).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      throw new RouteRegistryError(
+        'file_loader_unsupported_extension',
+        `Unable to load "${file_path}"; expected one of the extensions: ${SUPPORTED_EXTENSIONS.join(', ')}.`
+      );
+    }
+    if (!fs.existsSync(file_path)) {
+      throw new RouteRegistryError('file_loader_file_not_found', `Unable to load "${file_path}"; no such file.`);
+    }
+
+    let configuration;
+    if (extension === '.yaml' || extension === '.yml') {
+      configuration = new YamlLoader(this.route_registry, this.container).parseFile(file_path);
+    } else if (extension === '.json') {
+      try {
+        configuration = JSON.parse(fs.readFileSync(file_path, 'utf8'));
+      } catch (err) {
+        throw new RouteRegistryError('file_loader_invalid_file', `Unable to parse "${file_path}": ${err.message}`);
+      }
+    } else {
+      configuration = require(file_path);
+    }
+
+    if (null === configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+      throw new RouteRegistryError('file_loader_invalid_file', `"${file_path}" does not contain a route configuration object.`);
+    }
+    return configuration;
+  }
+
+  /**
+   * Returns a copy of the configuration where the file paths in all "imports" nodes are replaced with the
+   * configurations they contain. The original configuration is left untouched, as required .js files are cached.
+   */
+  _resolveImports(configuration, file_path, import_stack) {
+    if (null === configuration || typeof configuration !== 'object') {
+      return configuration;
+    }
+    const resolved = Object.assign({}, configuration);
+
+    Object.keys(resolved).forEach(_key => {
+      if (_key.startsWith('/')) {
+        const next_configuration = resolved[_key];
+        resolved[_key] = Array.isArray(next_configuration)
+          ? next_configuration.map(_configuration => this._resolveImports(_configuration, file_path, import_stack))
+          : this._resolveImports(next_configuration, file_path, import_stack);
+      }
+    });
+
+    if ('imports' in resolved) {
+      resolved.imports = [].concat(resolved.imports).map(_import => {
+        if (typeof _import !== 'string') {
+          return _import;
+        }
+        return this._loadFile(path.resolve(path.dirname(file_path), _import), import_stack);
+      });
+    }
+
+    return resolved;
+  }
+}
+module.exports = FileLoader;
@@ -17,7 +17,9 @@ class JsonLoader {
   }
 
   _routeCollectionBuilder(configuration) {
+    this.route_registry.validateConfiguration(configuration);
     const builder = new RouteCollectionBuilder(configuration);
+    builder.setHandlerValidation(this.route_registry.getHandlerValidation());
     if (this.container) {
       builder.setContainer(this.container);
     }
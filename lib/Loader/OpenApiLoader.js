@@ -0,0 +1,368 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JsonLoader = require('./JsonLoader');
+const YamlParser = require('./YamlParser');
+const Route = require('../Routing/Route');
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+const { HTTP_METHODS } = require('../Routing/constants');
+
+const SUPPORTED_EXTENSIONS = [ '.json', '.yaml', '.yml' ];
+
+// What to do about operations that no action implements
+const MISSING_ERROR = 'error';
+const MISSING_STUB = 'stub';
+
+// The operation keys that are kept as route metadata, the way RouteRegistry.toOpenAPI() reads them back
+const METADATA_KEYS = [ 'summary', 'description', 'tags', 'deprecated', 'responses', 'security' ];
+
+/**
+ * Loads routes from an OpenAPI 3 document; the reverse of RouteRegistry.toOpenAPI(). Every operation of every path
+ * becomes a route, named after its operationId:
+ *
+ *   paths:
+ *     /users/{id}:
+ *       x-controller: '@UserController'
+ *       get:
+ *         operationId: show_action
+ *         parameters:
+ *           - { name: id, in: path, required: true, schema: { type: integer } }
+ *
+ * is the same as the configuration:
+ *
+ *   '/users/:id': {
+ *     requirements: { id: '\\d+' },
+ *     get: { name: 'show_action', action: '@UserController::show_action', validate: { params: { ... } } },
+ *   }
+ *
+ * The action of an operation is, in order:
+ *
+ * 1) The one given for its operationId in the "actions" option; { show_action: (req, res, next) => { ... } }
+ * 2) The method of the "x-controller" service of the operation, its path, or the document (the closest wins). The
+ *    method is the "x-action" of the operation, or its operationId, or its operationId suffixed with "_action". An
+ *    "x-controller" of the form '@service::method' is used as is
+ * 3) The service reference that the "naming_convention" option makes of the operationId. By default, operationIds
+ *    like "UserController.show_action" or "UserController::show_action" refer to that method of that service
+ *
+ * Operations without an action are an error when loading, unless the "missing" option is 'stub'; they then respond
+ * with 501 Not Implemented, or with their example responses when the registry mocks missing actions (see
+ * MockResponder).
+ *
+ * Path, query and header parameters, and JSON request bodies, become validation schemas (see RequestValidator), and
+ * the schemas of path parameters also become requirements, so that e.g. an integer "{id}" only matches digits.
+ * Local references ("$ref": "#/components/...") are resolved.
+ */
+class OpenApiLoader extends JsonLoader {
+  /**
+   * @param {RouteRegistry} route_registry
+   * @param {ServiceContainer} [container]
+   * @param {Object} [options]
+   * @param {Object} [options.actions]              Actions by operationId
+   * @param {string} [options.missing]              'error' (default) or 'stub'
+   * @param {Function} [options.naming_convention]  (operation_id, operation) => service reference, or null
+   */
+  constructor(route_registry, container = null, options = {}) {
+    super(route_registry, container);
+    this.actions = options.actions || {};
+    this.missing = options.missing || MISSING_ERROR;
+    this.naming_convention = options.naming_convention || defaultNamingConvention;
+
+    if (![ MISSING_ERROR, MISSING_STUB ].includes(this.missing)) {
+      throw new RouteRegistryError(
+        'openapi_loader_invalid_missing_option',
+        `Invalid "missing" option "${this.missing}"; must be one of: ${MISSING_ERROR}, ${MISSING_STUB}.`
+      );
+    }
+  }
+
+  /**
+   * @param {Object|string} document  The document, or the path of a .json, .yaml or .yml file containing it
+   */
+  load(document) {
+    super.load(this.toConfiguration(typeof document === 'string' ? this.readFile(document) : document));
+  }
+
+  /**
+   * @param {string} file_path
+   * @returns {Object}
+   */
+  readFile(file_path) {
+    const extension = path.extname(file_path).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      throw new RouteRegistryError(
+        'openapi_loader_unsupported_extension',
+        `Unable to load "${file_path}"; expected one of the extensions: ${SUPPORTED_EXTENSIONS.join(', ')}.`
+      );
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(file_path, 'utf8');
+    } catch (err) {
+      throw new RouteRegistryError('openapi_loader_file_not_readable', `Unable to read "${file_path}": ${err.message}`);
+    }
+
+    if ('.json' === extension) {
+      try {
+        return JSON.parse(source);
+      } catch (err) {
+        throw new RouteRegistryError('openapi_loader_invalid_document', `Unable to parse "${file_path}": ${err.message}`);
+      }
+    }
+    return new YamlParser().parse(source, file_path);
+  }
+
+  /**
+   * Converts the document into a route configuration, without loading any routes.
+   *
+   * @param {Object} document
+   * @returns {Object}
+   */
+  toConfiguration(document) {
+    if (null === document || typeof document !== 'object' || !/^3\./.test(String(document.openapi))) {
+      throw new RouteRegistryError('openapi_loader_invalid_document', 'Expected an OpenAPI 3 document.');
+    }
+
+    const configuration = {};
+    Object.keys(document.paths || {}).forEach(_path => {
+      const path_item = resolve(document, document.paths[_path]);
+      const level = {};
+      const requirements = {};
+
+      HTTP_METHODS.filter(_method => _method in path_item).forEach(_method => {
+        const operation = resolve(document, path_item[_method]);
+        const parameters = this._getParameters(document, path_item, operation);
+
+        parameters.filter(_parameter => 'path' === _parameter.in).forEach(_parameter => {
+          const requirement = toRequirement(_parameter.schema);
+          if (requirement && !(_parameter.name in requirements)) {
+            requirements[_parameter.name] = requirement;
+          }
+        });
+
+        level[_method] = this._describeRoute(document, _path, _method, path_item, operation, parameters);
+      });
+
+      if (Object.keys(requirements).length > 0) {
+        level.requirements = requirements;
+      }
+      configuration[toRoutePath(_path)] = level;
+    });
+
+    return configuration;
+  }
+
+  /**
+   * Parameters of the path item apply to all of its operations, unless an operation overrides them
+   */
+  _getParameters(document, path_item, operation) {
+    const parameters = {};
+    [].concat(path_item.parameters || [], operation.parameters || []).forEach(_parameter => {
+      const parameter = resolve(document, _parameter);
+      parameters[`${parameter.in} ${parameter.name}`] = Object.assign({}, parameter, {
+        schema: resolveSchema(document, parameter.schema || {}),
+      });
+    });
+    return Object.keys(parameters).map(_key => parameters[_key]);
+  }
+
+  _describeRoute(document, open_api_path, method, path_item, operation, parameters) {
+    const route = { action: this._getAction(document, open_api_path, method, path_item, operation) };
+    if (operation.operationId) {
+      route.name = operation.operationId;
+    }
+
+    const metadata = {};
+    METADATA_KEYS.filter(_key => _key in operation).forEach(_key => {
+      metadata[_key] = operation[_key];
+    });
+    if (metadata.responses) {
+      // Resolved, so that they can be mocked; see MockResponder
+      metadata.responses = resolveSchema(document, metadata.responses);
+    }
+    if (Object.keys(metadata).length > 0) {
+      route.metadata = metadata;
+    }
+
+    const validate = {};
+    [ [ 'path', 'params' ], [ 'query', 'query' ], [ 'header', 'headers' ] ].forEach(([ _location, _section ]) => {
+      const section_parameters = parameters.filter(_parameter => _location === _parameter.in);
+      if (section_parameters.length === 0) {
+        return;
+      }
+
+      // Node.js gives header names in lower case
+      const name = _parameter => 'header' === _location ? _parameter.name.toLowerCase() : _parameter.name;
+      const schema = { type: 'object', properties: {} };
+      section_parameters.forEach(_parameter => {
+        schema.properties[name(_parameter)] = _parameter.schema;
+      });
+      const required = section_parameters.filter(_parameter => _parameter.required).map(name);
+      if (required.length > 0) {
+        schema.required = required;
+      }
+      validate[_section] = schema;
+    });
+
+    const request_body = resolve(document, operation.requestBody);
+    const body_content = request_body && request_body.content && request_body.content['application/json'];
+    if (request_body && request_body.required && body_content && body_content.schema) {
+      validate.body = resolveSchema(document, body_content.schema);
+    }
+
+    if (Object.keys(validate).length > 0) {
+      route.validate = validate;
+    }
+    return route;
+  }
+
+  _getAction(document, open_api_path, method, path_item, operation) {
+    const operation_id = operation.operationId;
+    const description = `${method.toUpperCase()} ${open_api_path}${operation_id ? ` (operationId "${operation_id}")` : ''}`;
+
+    if (operation_id && operation_id in this.actions) {
+      return this.actions[operation_id];
+    }
+
+    const controller = [ operation, path_item, document ]
+      .map(_node => _node['x-controller'])
+      .find(_controller => undefined !== _controller);
+
+    let references = [];
+    if (controller) {
+      if (controller.includes('::')) {
+        references = [ controller ];
+      } else if (operation['x-action']) {
+        references = [ `${controller}::${operation['x-action']}` ];
+      } else if (operation_id) {
+        references = [ `${controller}::${operation_id}`, `${controller}::${operation_id}_action` ];
+      }
+    } else if (operation_id) {
+      references = [].concat(this.naming_convention(operation_id, operation) || []);
+    }
+
+    const reference = references.find(_reference => this._hasAction(_reference));
+    if (reference) {
+      return reference;
+    }
+
+    if (MISSING_STUB === this.missing) {
+      return Route.placeholder(function notImplemented(req, res, next) {
+        res.status(501).send({ message: `${description} is not implemented.` });
+      });
+    }
+
+    const reason = references.length > 0
+      ? `none of ${references.map(_reference => `"${_reference}"`).join(', ')} exist`
+      : 'give it an "x-controller", or an action with the "actions" option';
+    throw new RouteRegistryError('openapi_loader_missing_action', `No action implements ${description}; ${reason}.`);
+  }
+
+  _hasAction(reference) {
+    if (typeof reference === 'function') {
+      return true;
+    }
+    if (typeof reference !== 'string' || !reference.startsWith('@') || !this.container) {
+      return false;
+    }
+
+    const [ service_id, action ] = reference.substring(1).split('::');
+    let service;
+    try {
+      service = this.container.get(service_id);
+    } catch (err) {
+      return false;
+    }
+    return action ? !!service && typeof service[action] === 'function' : typeof service === 'function';
+  }
+}
+
+module.exports = OpenApiLoader;
+
+/**
+ * "UserController.show_action" and "UserController::show_action" refer to the "show_action" method of the
+ * "UserController" service; other operationIds refer to nothing.
+ */
+function defaultNamingConvention(operation_id) {
+  const match = /^(.+?)(?:::|\.)(\w+)$/.exec(operation_id);
+  return match ? `@${match[1]}::${match[2]}` : null;
+}
+
+/**
+ * "/users/{id}" becomes "/users/:id"
+ */
+function toRoutePath(open_api_path) {
+  return open_api_path.replace(/\{([^}]*)\}/g, (_match, _name) => {
+    if (!/^\w+$/.test(_name)) {
+      throw new RouteRegistryError(
+        'openapi_loader_invalid_parameter_name',
+        `Unable to convert the parameter "{${_name}}" of "${open_api_path}"; names may only contain letters, digits and underscores.`
+      );
+    }
+    return `:${_name}`;
+  });
+}
+
+/**
+ * Path parameters that are integers, numbers or enums only match those; other schemas are left to validation
+ */
+function toRequirement(schema) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum.map(_value => String(_value).replace(/[.+*?=^!:${}()[\]|/\\]/g, '\\$&')).join('|');
+  }
+  if ('integer' === schema.type) {
+    return schema.minimum >= 0 ? '\\d+' : '-?\\d+';
+  }
+  if ('number' === schema.type) {
+    return '-?\\d+(?:\\.\\d+)?';
+  }
+  return null;
+}
+
+/**
+ * Follows a local reference, e.g. { $ref: '#/components/parameters/id' }
+ */
+function resolve(document, node, seen = []) {
+  if (!node || typeof node !== 'object' || typeof node.$ref !== 'string') {
+    return node;
+  }
+  if (!node.$ref.startsWith('#/') || seen.includes(node.$ref)) {
+    throw new RouteRegistryError('openapi_loader_invalid_reference', `Unable to resolve "${node.$ref}"; only acyclic local references are supported.`);
+  }
+
+  const target = node.$ref.substring(2).split('/').reduce((_node, _segment) => {
+    const key = _segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    return _node && typeof _node === 'object' ? _node[key] : undefined;
+  }, document);
+  if (undefined === target) {
+    throw new RouteRegistryError('openapi_loader_invalid_reference', `Unable to resolve "${node.$ref}"; no such component.`);
+  }
+  return resolve(document, target, seen.concat(node.$ref));
+}
+
+/**
+ * Resolves the references within a schema. Recursive schemas are cut off where they recur, with an empty schema that
+ * accepts anything.
+ */
+function resolveSchema(document, schema, seen = []) {
+  if (Array.isArray(schema)) {
+    return schema.map(_schema => resolveSchema(document, _schema, seen));
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+  if (typeof schema.$ref === 'string') {
+    if (seen.includes(schema.$ref)) {
+      return {};
+    }
+    return resolveSchema(document, resolve(document, { $ref: schema.$ref }), seen.concat(schema.$ref));
+  }
+
+  const resolved = {};
+  Object.keys(schema).forEach(_key => {
+    resolved[_key] = resolveSchema(document, schema[_key], seen);
+  });
+  return resolved;
+}
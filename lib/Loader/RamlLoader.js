@@ -0,0 +1,654 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JsonLoader = require('./JsonLoader');
+const YamlParser = require('./YamlParser');
+const Route = require('../Routing/Route');
+const RouteCollectionBuilder = require('../Routing/RouteCollectionBuilder');
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+const { HTTP_METHODS } = require('../Routing/constants');
+
+const SUPPORTED_EXTENSIONS = [ '.raml', '.yaml', '.yml' ];
+
+const RAML_HEADER = /^#%RAML 1\.0\s*$/;
+
+// What to do about methods that no action implements
+const MISSING_ERROR = 'error';
+const MISSING_STUB = 'stub';
+
+// The annotations that bind handlers to resources and methods
+const CONTROLLER_ANNOTATION = '(controller)';
+const NAME_ANNOTATION = '(name)';
+const MIDDLEWARE_ANNOTATION = '(middleware)';
+const ERROR_ANNOTATION = '(error)';
+const PARAM_ANNOTATION = '(param)';
+
+// The annotations that hold lists of handlers; these add up when traits and resource types are merged in
+const LIST_ANNOTATIONS = [ MIDDLEWARE_ANNOTATION, ERROR_ANNOTATION ];
+
+// The facets of RAML type declarations that mean the same in JSON Schema
+const SCHEMA_FACETS = [
+  'enum', 'default', 'description', 'format', 'pattern',
+  'minimum', 'maximum', 'multipleOf', 'minLength', 'maxLength',
+  'minItems', 'maxItems', 'uniqueItems', 'minProperties', 'maxProperties', 'additionalProperties',
+];
+
+const BUILT_IN_TYPES = {
+  'any': {},
+  'nil': { type: 'null' },
+  'string': { type: 'string' },
+  'number': { type: 'number' },
+  'integer': { type: 'integer' },
+  'boolean': { type: 'boolean' },
+  'object': { type: 'object' },
+  'array': { type: 'array' },
+  'file': { type: 'string' },
+  'date-only': { type: 'string', format: 'date' },
+  'datetime': { type: 'string', format: 'date-time' },
+  'datetime-only': { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?$' },
+  'time-only': { type: 'string', pattern: '^\\d{2}:\\d{2}:\\d{2}(\\.\\d+)?$' },
+};
+
+/**
+ * Loads routes from a RAML 1.0 API definition, so that the definition documents the API and routes it too.
+ * Resources become configuration levels and methods become routes, whose actions are bound with annotations:
+ *
+ *   #%RAML 1.0
+ *   title: Users
+ *   /users:
+ *     (middleware): '@middleware.authenticated'
+ *     /{id}:
+ *       uriParameters:
+ *         id: integer
+ *       get:
+ *         (controller): '@UserController::show_action'
+ *         (name): user_show
+ *
+ * is the same as the configuration:
+ *
+ *   '/users': {
+ *     middleware: '@middleware.authenticated',
+ *     '/:id': {
+ *       requirements: { id: '-?\\d+' },
+ *       validate: { params: { ... } },
+ *       get: { name: 'user_show', action: '@UserController::show_action' },
+ *     },
+ *   }
+ *
+ * The annotations are:
+ *
+ *   (controller)  On methods; the action, as a service reference
+ *   (name)        On methods; the route name
+ *   (middleware)  On resources and methods; middleware, as service references
+ *   (error)       On resources; error handlers, as service references
+ *   (param)       On resources; parameter converters, as with the "param" node
+ *
+ * Traits and resource types are merged into the methods and resources that use them as RAML does: the method or
+ * resource itself wins, and lists of middleware and error handlers add up. Their <<parameters>> are substituted as
+ * with RouteCollectionBuilder resource types, including <<resourcePath>>, <<resourcePathName>> and, for traits,
+ * <<methodName>>.
+ *
+ * Methods without a (controller) are an error when loading, unless the "missing" option is 'stub'; they then respond
+ * with 501 Not Implemented, or with their example responses when the registry mocks missing actions (see
+ * MockResponder). The responses of methods are kept as "responses" metadata, in the form of OpenAPI responses.
+ *
+ * uriParameters, queryParameters, headers and JSON bodies become validation schemas (see RequestValidator), from the
+ * RAML types they declare, including the ones declared under "types". Integer, number and enum URI parameters also
+ * become requirements, so that e.g. an integer "{id}" only matches digits.
+ *
+ * Files can be included with "!include"; RAML and YAML files are parsed, others (e.g. JSON schemas) are included as
+ * text. Libraries ("uses"), security schemes and the baseUri are not supported.
+ */
+class RamlLoader extends JsonLoader {
+  /**
+   * @param {RouteRegistry} route_registry
+   * @param {ServiceContainer} [container]
+   * @param {Object} [options]
+   * @param {string} [options.missing]  'error' (default) or 'stub'
+   */
+  constructor(route_registry, container = null, options = {}) {
+    super(route_registry, container);
+    this.missing = options.missing || MISSING_ERROR;
+
+    if (![ MISSING_ERROR, MISSING_STUB ].includes(this.missing)) {
+      throw new RouteRegistryError(
+        'raml_loader_invalid_missing_option',
+        `Invalid "missing" option "${this.missing}"; must be one of: ${MISSING_ERROR}, ${MISSING_STUB}.`
+      );
+    }
+  }
+
+  /**
+   * @param {Object|string} document  The parsed document, or the path of a .raml, .yaml or .yml file containing it
+   */
+  load(document) {
+    super.load(this.toConfiguration(typeof document === 'string' ? this.readFile(document) : document));
+  }
+
+  /**
+   * @param {string} file_path
+   * @returns {Object}
+   */
+  readFile(file_path) {
+    const resolved_path = path.resolve(file_path);
+    if (!SUPPORTED_EXTENSIONS.includes(path.extname(resolved_path).toLowerCase())) {
+      throw new RouteRegistryError(
+        'raml_loader_unsupported_extension',
+        `Unable to load "${file_path}"; expected one of the extensions: ${SUPPORTED_EXTENSIONS.join(', ')}.`
+      );
+    }
+
+    const source = readSource(resolved_path);
+    if (!RAML_HEADER.test(source.split(/\r?\n/)[0])) {
+      throw new RouteRegistryError(
+        'raml_loader_invalid_document',
+        `Unable to load "${file_path}"; expected a RAML 1.0 document, starting with "#%RAML 1.0".`
+      );
+    }
+    return parseYaml(source, resolved_path, [ resolved_path ]);
+  }
+
+  /**
+   * Converts the document into a route configuration, without loading any routes.
+   *
+   * @param {Object} document
+   * @returns {Object}
+   */
+  toConfiguration(document) {
+    if (null === document || typeof document !== 'object' || Array.isArray(document)) {
+      throw new RouteRegistryError('raml_loader_invalid_document', 'Expected a RAML 1.0 document.');
+    }
+    if ('uses' in document) {
+      throw new RouteRegistryError('raml_loader_unsupported_feature', 'RAML libraries ("uses") are not supported.');
+    }
+
+    const api = {
+      types: Object.assign({}, document.schemas, document.types),
+      traits: document.traits || {},
+      resource_types: document.resourceTypes || {},
+      media_type: document.mediaType,
+    };
+
+    const configuration = {};
+    getResourceKeys(document).forEach(_key => {
+      configuration[toRoutePath(_key)] = this._convertResource(api, document[_key], _key);
+    });
+    return configuration;
+  }
+
+  /**
+   * @param {Object} api            The types, traits and resource types of the document
+   * @param {Object} resource       The RAML resource
+   * @param {string} resource_path  Its full path, e.g. "/users/{id}"
+   */
+  _convertResource(api, resource, resource_path) {
+    resource = this._applyResourceType(api, resource || {}, resource_path);
+
+    const level = {};
+    const uri_parameters = toParametersSchema(api, resource.uriParameters);
+    if (uri_parameters) {
+      const requirements = {};
+      Object.keys(uri_parameters.properties).forEach(_name => {
+        const requirement = toRequirement(uri_parameters.properties[_name]);
+        if (requirement) {
+          requirements[_name] = requirement;
+        }
+      });
+      if (Object.keys(requirements).length > 0) {
+        level.requirements = requirements;
+      }
+      level.validate = { params: uri_parameters };
+    }
+
+    [ [ MIDDLEWARE_ANNOTATION, 'middleware' ], [ ERROR_ANNOTATION, 'error' ], [ PARAM_ANNOTATION, 'param' ] ]
+      .filter(([ _annotation ]) => _annotation in resource)
+      .forEach(([ _annotation, _key ]) => {
+        level[_key] = resource[_annotation];
+      });
+
+    HTTP_METHODS.filter(_method => _method in resource).forEach(_method => {
+      level[_method] = this._convertMethod(api, resource, resource_path, _method);
+    });
+
+    getResourceKeys(resource).forEach(_key => {
+      level[toRoutePath(_key)] = this._convertResource(api, resource[_key], `${resource_path}${_key}`);
+    });
+
+    return level;
+  }
+
+  /**
+   * Merges the resource type of the resource (and theirs, in turn) into it. Optional methods of resource types, e.g.
+   * "get?", are only merged into resources that have that method.
+   */
+  _applyResourceType(api, resource, resource_path, applied_resource_types = []) {
+    if (!resource.type) {
+      return resource;
+    }
+
+    const { name, parameters } = parseReference(resource.type);
+    if (!(name in api.resource_types)) {
+      throw new RouteRegistryError('raml_loader_unknown_resource_type', `${resource_path}: There is no resource type "${name}".`);
+    }
+    if (applied_resource_types.includes(name)) {
+      throw new RouteRegistryError(
+        'raml_loader_circular_resource_type',
+        `${resource_path}: Circular resource types detected: ${applied_resource_types.concat(name).join(' -> ')}.`
+      );
+    }
+
+    const template = RouteCollectionBuilder.substituteTemplateParameters(
+      api.resource_types[name],
+      Object.assign({
+        resourcePath: resource_path,
+        resourcePathName: RouteCollectionBuilder.getResourcePathName(resource_path),
+      }, parameters),
+      `Resource type "${name}"`
+    );
+    delete template.usage;
+    delete template.description;
+    Object.keys(template).filter(_key => _key.endsWith('?')).forEach(_key => {
+      const method = _key.slice(0, -1);
+      if (method in resource) {
+        template[method] = template[_key];
+      }
+      delete template[_key];
+    });
+
+    const merged = merge(resource, this._applyResourceType(api, template, resource_path, applied_resource_types.concat(name)));
+    merged.is = [].concat(resource.is || [], template.is || []);
+    delete merged.type;
+    return merged;
+  }
+
+  _convertMethod(api, resource, resource_path, method_name) {
+    const method = this._applyTraits(api, resource, resource_path, method_name);
+    const description = `${method_name.toUpperCase()} ${resource_path}`;
+
+    const route = { action: method[CONTROLLER_ANNOTATION] || this._getMissingAction(description) };
+    if (method[NAME_ANNOTATION]) {
+      route.name = method[NAME_ANNOTATION];
+    }
+    if (method[MIDDLEWARE_ANNOTATION]) {
+      route.middleware = method[MIDDLEWARE_ANNOTATION];
+    }
+
+    const metadata = {};
+    if (method.displayName) {
+      metadata.summary = method.displayName;
+    }
+    if (method.description) {
+      metadata.description = method.description;
+    }
+    if (method.responses) {
+      metadata.responses = toResponses(api, method.responses);
+    }
+    if (Object.keys(metadata).length > 0) {
+      route.metadata = metadata;
+    }
+
+    const validate = {};
+    const query = method.queryString ? toSchema(api, method.queryString) : toParametersSchema(api, method.queryParameters);
+    if (query) {
+      validate.query = query;
+    }
+    // Node.js gives header names in lower case
+    const headers = toParametersSchema(api, method.headers, _name => _name.toLowerCase());
+    if (headers) {
+      validate.headers = headers;
+    }
+    const body = getJsonBody(method.body, api.media_type);
+    if (body) {
+      validate.body = toSchema(api, body, [], 'any');
+    }
+    if (Object.keys(validate).length > 0) {
+      route.validate = validate;
+    }
+
+    return route;
+  }
+
+  _getMissingAction(description) {
+    if (MISSING_STUB === this.missing) {
+      return Route.placeholder(function notImplemented(req, res, next) {
+        res.status(501).send({ message: `${description} is not implemented.` });
+      });
+    }
+    throw new RouteRegistryError(
+      'raml_loader_missing_action',
+      `No action implements ${description}; give it a "${CONTROLLER_ANNOTATION}" annotation.`
+    );
+  }
+
+  /**
+   * Merges the traits of the method, and then those of its resource, into the method. The method wins over its
+   * traits, and earlier traits win over later ones.
+   */
+  _applyTraits(api, resource, resource_path, method_name) {
+    const method = resource[method_name] || {};
+    const trait_references = [].concat(method.is || [], resource.is || []);
+
+    return trait_references.reduce((_method, _reference) => {
+      const { name, parameters } = parseReference(_reference);
+      if (!(name in api.traits)) {
+        throw new RouteRegistryError(
+          'raml_loader_unknown_trait',
+          `${method_name.toUpperCase()} ${resource_path}: There is no trait "${name}".`
+        );
+      }
+
+      const trait = RouteCollectionBuilder.substituteTemplateParameters(
+        api.traits[name],
+        Object.assign({
+          methodName: method_name,
+          resourcePath: resource_path,
+          resourcePathName: RouteCollectionBuilder.getResourcePathName(resource_path),
+        }, parameters),
+        `Trait "${name}"`
+      );
+      delete trait.usage;
+      return merge(_method, trait);
+    }, withoutTraits(method));
+  }
+}
+
+module.exports = RamlLoader;
+
+function readSource(file_path) {
+  try {
+    return fs.readFileSync(file_path, 'utf8');
+  } catch (err) {
+    throw new RouteRegistryError('raml_loader_file_not_readable', `Unable to read "${file_path}": ${err.message}`);
+  }
+}
+
+/**
+ * Parses YAML with support for "!include", relative to the file the tag appears in. The stack of files being
+ * included is kept to detect circular includes.
+ */
+function parseYaml(source, file_path, include_stack) {
+  const include = (included_file, line) => {
+    const included_path = path.resolve(path.dirname(file_path), String(included_file));
+    if (include_stack.includes(included_path)) {
+      throw new RouteRegistryError(
+        'raml_loader_invalid_include',
+        `${file_path}:${line}: Circular includes detected: ${include_stack.concat(included_path).join(' -> ')}.`
+      );
+    }
+
+    const included_source = readSource(included_path);
+    if (SUPPORTED_EXTENSIONS.includes(path.extname(included_path).toLowerCase())) {
+      return parseYaml(included_source, included_path, include_stack.concat(included_path));
+    }
+    return included_source;
+  };
+
+  return new YamlParser({ tags: { '!include': include } }).parse(source, file_path);
+}
+
+function withoutTraits(method) {
+  const copy = Object.assign({}, method);
+  delete copy.is;
+  return copy;
+}
+
+function getResourceKeys(node) {
+  return Object.keys(node).filter(_key => _key.startsWith('/'));
+}
+
+/**
+ * Traits and resource types are referred to by name, or with { name: { parameter: value, ... } }
+ */
+function parseReference(reference) {
+  if (reference && typeof reference === 'object') {
+    const name = Object.keys(reference)[0];
+    return { name, parameters: reference[name] || {} };
+  }
+  return { name: String(reference), parameters: {} };
+}
+
+/**
+ * Merges a trait or resource type into the node that uses it; values of the node win, objects are merged, and lists
+ * of middleware and error handlers add up.
+ */
+function merge(node, template) {
+  const merged = Object.assign({}, node);
+  Object.keys(template).forEach(_key => {
+    if (undefined === node[_key]) {
+      merged[_key] = template[_key];
+    } else if (LIST_ANNOTATIONS.includes(_key)) {
+      merged[_key] = [].concat(template[_key], node[_key]);
+    } else if (isPlainObject(node[_key]) && isPlainObject(template[_key])) {
+      merged[_key] = merge(node[_key], template[_key]);
+    }
+  });
+  return merged;
+}
+
+function isPlainObject(value) {
+  return null !== value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * "/users/{id}" becomes "/users/:id"
+ */
+function toRoutePath(raml_path) {
+  return raml_path.replace(/\{([^}]*)\}/g, (_match, _name) => {
+    if (!/^\w+$/.test(_name)) {
+      throw new RouteRegistryError(
+        'raml_loader_invalid_parameter_name',
+        `Unable to convert the parameter "{${_name}}" of "${raml_path}"; names may only contain letters, digits and underscores.`
+      );
+    }
+    return `:${_name}`;
+  });
+}
+
+/**
+ * URI parameters that are integers, numbers or enums only match those; other types are left to validation
+ */
+function toRequirement(schema) {
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum.map(_value => String(_value).replace(/[.+*?=^!:${}()[\]|/\\]/g, '\\$&')).join('|');
+  }
+  if ('integer' === schema.type) {
+    return schema.minimum >= 0 ? '\\d+' : '-?\\d+';
+  }
+  if ('number' === schema.type) {
+    return '-?\\d+(?:\\.\\d+)?';
+  }
+  return null;
+}
+
+/**
+ * The body to validate is the one for JSON, or the body itself when it does not list media types and the document
+ * defaults to JSON (or sets no default)
+ */
+function getJsonBody(body, default_media_type) {
+  if (!body || typeof body !== 'object') {
+    return body || null;
+  }
+
+  const media_types = Object.keys(body).filter(_key => _key.includes('/'));
+  if (media_types.length > 0) {
+    const json_media_type = media_types.find(_media_type => /[/+]json$/.test(_media_type));
+    return json_media_type ? body[json_media_type] : null;
+  }
+
+  const default_media_types = [].concat(default_media_type || []);
+  return default_media_types.length === 0 || default_media_types.some(_media_type => /[/+]json$/.test(_media_type))
+    ? body
+    : null;
+}
+
+/**
+ * Converts the responses of a method to OpenAPI responses; bodies without a media type have the document's default
+ *
+ *   200: { body: { application/json: { type: User, example: { ... } } } }
+ *
+ * becomes
+ *
+ *   200: { description: '', content: { 'application/json': { schema: { ... }, example: { ... } } } }
+ */
+function toResponses(api, raml_responses) {
+  const responses = {};
+  Object.keys(raml_responses).forEach(_status => {
+    const raml_response = raml_responses[_status] || {};
+    const response = { description: raml_response.description || '' };
+
+    const body = raml_response.body;
+    if (body) {
+      const bodies = typeof body === 'object' && Object.keys(body).some(_key => _key.includes('/'))
+        ? body
+        : { [[].concat(api.media_type || 'application/json')[0]]: body };
+
+      response.content = {};
+      Object.keys(bodies).forEach(_media_type => {
+        response.content[_media_type] = toMediaType(api, bodies[_media_type] || {});
+      });
+    }
+    responses[_status] = response;
+  });
+  return responses;
+}
+
+function toMediaType(api, body) {
+  const media_type = { schema: toSchema(api, body, [], 'any') };
+  if (isPlainObject(body) && 'example' in body) {
+    media_type.example = isPlainObject(body.example) && 'value' in body.example ? body.example.value : body.example;
+  }
+  if (isPlainObject(body) && isPlainObject(body.examples)) {
+    media_type.examples = {};
+    Object.keys(body.examples).forEach(_name => {
+      const example = body.examples[_name];
+      media_type.examples[_name] = isPlainObject(example) && 'value' in example ? example : { value: example };
+    });
+  }
+  return media_type;
+}
+
+/**
+ * Converts uriParameters, queryParameters or headers to an object schema. As in RAML, parameters are required unless
+ * their name ends with "?" or they are declared with "required: false".
+ */
+function toParametersSchema(api, parameters, rename = _name => _name) {
+  if (!parameters || Object.keys(parameters).length === 0) {
+    return null;
+  }
+  return toObjectSchema(api, parameters, rename);
+}
+
+function toObjectSchema(api, properties, rename = _name => _name, seen = []) {
+  const schema = { type: 'object', properties: {} };
+  const required = [];
+
+  Object.keys(properties).forEach(_key => {
+    const declaration = properties[_key];
+    const is_optional = _key.endsWith('?');
+    const name = rename(is_optional ? _key.slice(0, -1) : _key);
+
+    schema.properties[name] = toSchema(api, declaration, seen);
+    const is_required = isPlainObject(declaration) && 'required' in declaration ? !!declaration.required : !is_optional;
+    if (is_required) {
+      required.push(name);
+    }
+  });
+
+  if (required.length > 0) {
+    schema.required = required;
+  }
+  return schema;
+}
+
+/**
+ * Converts a RAML type declaration to a JSON schema that SchemaValidator understands. Declarations are either type
+ * expressions ("string", "User[]", "string | nil", the name of a type), or objects with a "type" and facets. The type
+ * defaults to the given one, which is "any" for bodies, as in RAML. JSON schemas (e.g. included from a file) are used
+ * as is. Recursive types are cut off where they recur, with an empty schema that accepts anything.
+ */
+function toSchema(api, declaration, seen = [], default_type = 'string') {
+  if (undefined === declaration || null === declaration) {
+    return Object.assign({}, BUILT_IN_TYPES[default_type]);
+  }
+  if (typeof declaration === 'string') {
+    return toExpressionSchema(api, declaration.trim(), seen);
+  }
+  if (Array.isArray(declaration)) {
+    return { allOf: declaration.map(_type => toSchema(api, _type, seen)) };
+  }
+
+  const base_type = declaration.type || declaration.schema ||
+    ('properties' in declaration ? 'object' : 'items' in declaration ? 'array' : default_type);
+  const schema = Object.assign({}, toSchema(api, base_type, seen));
+
+  SCHEMA_FACETS.filter(_facet => _facet in declaration).forEach(_facet => {
+    schema[_facet] = declaration[_facet];
+  });
+  if ('items' in declaration) {
+    schema.items = toSchema(api, declaration.items, seen);
+  }
+  if ('properties' in declaration) {
+    const object_schema = toObjectSchema(api, declaration.properties || {}, undefined, seen);
+    schema.type = 'object';
+    schema.properties = Object.assign({}, schema.properties, object_schema.properties);
+    const required = (schema.required || []).concat(object_schema.required || []);
+    if (required.length > 0) {
+      schema.required = required.filter((_name, _index) => required.indexOf(_name) === _index);
+    }
+  }
+  return schema;
+}
+
+function toExpressionSchema(api, expression, seen) {
+  if (expression.startsWith('{')) {
+    try {
+      return JSON.parse(expression);
+    } catch (err) {
+      throw new RouteRegistryError('raml_loader_invalid_type', `Unable to parse JSON schema: ${err.message}`);
+    }
+  }
+
+  const alternatives = splitUnion(expression);
+  if (alternatives.length > 1) {
+    return { anyOf: alternatives.map(_type => toExpressionSchema(api, _type, seen)) };
+  }
+  if (expression.endsWith('[]')) {
+    return { type: 'array', items: toExpressionSchema(api, expression.slice(0, -2).trim(), seen) };
+  }
+  if (expression.startsWith('(') && expression.endsWith(')')) {
+    return toExpressionSchema(api, expression.slice(1, -1).trim(), seen);
+  }
+  if (expression.endsWith('?')) {
+    return { anyOf: [ toExpressionSchema(api, expression.slice(0, -1).trim(), seen), { type: 'null' } ] };
+  }
+
+  if (expression in BUILT_IN_TYPES) {
+    return Object.assign({}, BUILT_IN_TYPES[expression]);
+  }
+  if (Object.prototype.hasOwnProperty.call(api.types, expression)) {
+    if (seen.includes(expression)) {
+      return {};
+    }
+    return toSchema(api, api.types[expression], seen.concat(expression));
+  }
+  throw new RouteRegistryError('raml_loader_unknown_type', `Unknown type "${expression}".`);
+}
+
+/**
+ * "A | (B | C)[]" becomes [ "A", "(B | C)[]" ]
+ */
+function splitUnion(expression) {
+  const alternatives = [ '' ];
+  let depth = 0;
+  for (const character of expression) {
+    if ('|' === character && 0 === depth) {
+      alternatives.push('');
+      continue;
+    }
+    depth += '(' === character ? 1 : ')' === character ? -1 : 0;
+    alternatives[alternatives.length - 1] += character;
+  }
+  return alternatives.map(_alternative => _alternative.trim());
+}
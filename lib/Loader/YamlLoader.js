@@ -0,0 +1,181 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const JsonLoader = require('./JsonLoader');
+const YamlParser = require('./YamlParser');
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+const { HTTP_METHODS } = require('../Routing/constants');
+
+const YAML_EXTENSIONS = [ '.yaml', '.yml' ];
+
+// The keys of a configuration level that take handlers; see RouteCollectionBuilder
+const HANDLER_KEYS = [ 'middleware', 'error', 'param', 'method_not_allowed', 'automatic_options', 'resource' ];
+
+// The keys of method nodes that take handlers; see RouteCollectionBuilder._extractRoutes()
+const METHOD_HANDLER_KEYS = [ 'action', 'middleware' ];
+
+/**
+ * Loads routing configuration from YAML files on disk.
+ *
+ * The YAML documents have the same structure as the configuration accepted by JsonLoader. As functions cannot be
+ * expressed in YAML, actions, middleware, error handlers and parameter converters are referred to by service id,
+ * so YamlLoader is generally used with a service container:
+ *
+ *   /users:
+ *     middleware: '@middleware.authenticated'
+ *     param: { user_id: '@param.user' }
+ *     get: '@UserController::index_action'
+ *     /:user_id:
+ *       get: '@UserController::show_action'
+ *       error: '@error.not_found'
+ *
+ * Service references are resolved while loading, and problems are reported with the file and line they were found
+ * on (e.g. "config/routing.yml:12: ..."). The reported errors have "file" and "line" properties as well. Only the
+ * nodes that take handlers are resolved, along with the "controller" parameter of resource types; other values, like
+ * metadata, may start with "@" too.
+ */
+class YamlLoader extends JsonLoader {
+  /**
+   * @param {string} file_path
+   */
+  load(file_path) {
+    const resolved_path = path.resolve(file_path);
+    const configuration = this.parseFile(resolved_path);
+
+    try {
+      super.load(configuration);
+    } catch (err) {
+      if (err instanceof RouteRegistryError && !err.file) {
+        throw createError(err.code, resolved_path, null, err.message);
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Reads and parses the given file, and verifies all service references in it, without loading any routes.
+   *
+   * @param {string} file_path
+   * @returns {Object}
+   */
+  parseFile(file_path) {
+    if (!YAML_EXTENSIONS.includes(path.extname(file_path).toLowerCase())) {
+      throw createError('yaml_loader_invalid_extension', file_path, null,
+        `Expected a file with one of the extensions: ${YAML_EXTENSIONS.join(', ')}.`);
+    }
+
+    let source;
+    try {
+      source = fs.readFileSync(file_path, 'utf8');
+    } catch (err) {
+      throw createError('yaml_loader_file_not_readable', file_path, null, `Unable to read file: ${err.message}`);
+    }
+
+    const parser = new YamlParser();
+    const configuration = parser.parse(source, file_path);
+    if (null === configuration || typeof configuration !== 'object' || Array.isArray(configuration)) {
+      throw createError('yaml_loader_invalid_document', file_path, 1, 'The document must be a mapping.');
+    }
+
+    this._checkServiceReferences(configuration, parser, file_path);
+
+    return configuration;
+  }
+
+  /**
+   * Walks the configuration and ensures that all service references point to existing services, so that errors are
+   * reported with the line they appear on rather than somewhere down in the RouteCollectionBuilder.
+   *
+   * The walk follows the structure that RouteCollectionBuilder reads: sub routes, imports, traits and resource types
+   * are configuration levels of their own.
+   */
+  _checkServiceReferences(level, parser, file_path) {
+    Object.keys(level).forEach(_key => {
+      const value = level[_key];
+
+      if (HTTP_METHODS.includes(_key)) {
+        if (Array.isArray(value)) {
+          // [ service_id, action, name ]
+          this._checkHandlers(value, 0, parser, file_path);
+        } else if (isPlainObject(value)) {
+          METHOD_HANDLER_KEYS.filter(_method_key => _method_key in value)
+            .forEach(_method_key => this._checkHandlers(value, _method_key, parser, file_path));
+        } else {
+          this._checkHandlers(level, _key, parser, file_path);
+        }
+      }
+      else if (HANDLER_KEYS.includes(_key)) {
+        this._checkHandlers(level, _key, parser, file_path);
+      }
+      else if ('type' === _key && isPlainObject(value)) {
+        Object.keys(value).map(_name => value[_name])
+          .filter(_parameters => isPlainObject(_parameters) && 'controller' in _parameters)
+          .forEach(_parameters => this._checkHandlers(_parameters, 'controller', parser, file_path));
+      }
+      else if (('traits' === _key || 'resourceTypes' === _key) && isPlainObject(value)) {
+        Object.keys(value).map(_name => value[_name]).filter(isPlainObject)
+          .forEach(_definition => this._checkServiceReferences(_definition, parser, file_path));
+      }
+      else if ('imports' === _key || _key.startsWith('/')) {
+        [].concat(value).filter(isPlainObject)
+          .forEach(_configuration => this._checkServiceReferences(_configuration, parser, file_path));
+      }
+    });
+  }
+
+  /**
+   * Checks the service references in a node that takes handlers; a single one, or any number of them in arrays and
+   * objects (e.g. "param: { user_id: '@param.user' }").
+   */
+  _checkHandlers(node, key, parser, file_path) {
+    const value = node[key];
+
+    if (typeof value === 'string' && value.startsWith('@')) {
+      this._checkServiceReference(value, file_path, parser.getLine(node, key));
+    } else if (Array.isArray(value)) {
+      value.forEach((_value, _index) => this._checkHandlers(value, _index, parser, file_path));
+    } else if (isPlainObject(value)) {
+      Object.keys(value).forEach(_key => this._checkHandlers(value, _key, parser, file_path));
+    }
+  }
+
+  _checkServiceReference(reference, file_path, line) {
+    const [ service_id, action ] = reference.substring(1).split('::');
+    if (!service_id) {
+      throw createError('yaml_loader_invalid_service_reference', file_path, line, `Invalid service reference "${reference}".`);
+    }
+    if (!this.container) {
+      throw createError('yaml_loader_container_missing', file_path, line,
+        `Unable to resolve "${reference}"; service references require a container.`);
+    }
+
+    let service;
+    try {
+      service = this.container.get(service_id);
+    } catch (err) {
+      throw createError('yaml_loader_invalid_service_reference', file_path, line,
+        `Unable to resolve service "${service_id}": ${err.message}`);
+    }
+
+    if (action !== undefined && (!service || typeof service[action] !== 'function')) {
+      throw createError('yaml_loader_invalid_service_reference', file_path, line,
+        `Service "${service_id}" has no method "${action}".`);
+    }
+  }
+}
+
+function isPlainObject(value) {
+  return null !== value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function createError(code, file_path, line, message) {
+  const location = line ? `${file_path}:${line}` : file_path;
+  const error = new RouteRegistryError(code, `${location}: ${message}`);
+  error.file = file_path;
+  error.line = line;
+  return error;
+}
+
+module.exports = YamlLoader;
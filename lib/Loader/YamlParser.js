@@ -0,0 +1,647 @@
+'use strict';
+
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+
+/**
+ * A minimal YAML parser, sufficient for routing configuration files. It has no dependencies so it works anywhere.
+ *
+ * Supported:
+ *
+ * - Block mappings and sequences, including compact nested collections ("- key: value", "- - item")
+ * - Flow mappings and sequences ({ a: 1, b: [ 2, 3 ] }), which may span multiple lines
+ * - Plain, single-quoted and double-quoted scalars; plain scalars may continue onto more-indented lines
+ * - Literal (|) and folded (>) block scalars, with chomping indicators
+ * - Comments, and the "---" / "..." document markers
+ * - Null, boolean, integer and float resolution of plain scalars (YAML 1.2 core schema)
+ * - Tags, through handlers passed in the "tags" option; e.g. { '!include': (value, line) => ... }
+ *
+ * Not supported: anchors and aliases, complex ("?") keys, and multiple documents per file.
+ *
+ * The parser keeps track of the line every mapping key and sequence item came from, which can be retrieved with
+ * getLine() to report errors in terms of the original file.
+ */
+class YamlParser {
+  constructor(options = {}) {
+    this.tags = options.tags || {};
+    this.line_numbers = new WeakMap();
+
+    this.filename = null;
+    this.lines = [];
+    this.position = 0;
+  }
+
+  /**
+   * @param {string} source
+   * @param {string} [filename]   Only used for error messages
+   * @returns {*}
+   */
+  parse(source, filename = 'YAML document') {
+    this.filename = filename;
+    this.lines = String(source).replace(/^﻿/, '').split(/\r?\n/).map(tokenizeLine);
+    this.position = 0;
+
+    this._skipDocumentStart();
+
+    const first = this._peek();
+    const value = first ? this._parseBlock(first) : null;
+
+    const trailing = this._peek();
+    if (trailing) {
+      throw this._error(trailing, 'Unexpected content; check the indentation.');
+    }
+    this._checkDocumentEnd();
+
+    return value;
+  }
+
+  /**
+   * Returns the line number that the given key of a parsed mapping (or index of a parsed sequence) was declared on.
+   *
+   * @param {Object|Array} node
+   * @param {string|number} key
+   * @returns {number|undefined}
+   */
+  getLine(node, key) {
+    const lines = this.line_numbers.get(node);
+    return lines ? lines.get(String(key)) : undefined;
+  }
+
+  _parseBlock(line) {
+    if (isSequenceEntry(line.content)) {
+      return this._parseSequence(line.indent);
+    }
+    if (splitMappingEntry(line.content) !== null) {
+      return this._parseMapping(line.indent);
+    }
+
+    // A lone scalar or flow collection
+    this._next();
+    return this._parseValue(line.content, line, line.indent - 1);
+  }
+
+  _parseMapping(indent) {
+    const mapping = {};
+    const lines = new Map();
+    this.line_numbers.set(mapping, lines);
+
+    let line;
+    while ((line = this._peek()) && line.indent === indent) {
+      if (isSequenceEntry(line.content)) {
+        throw this._error(line, 'Unexpected sequence entry within a mapping.');
+      }
+
+      const entry = splitMappingEntry(line.content);
+      if (null === entry) {
+        throw this._error(line, 'Expected a mapping entry ("key: value").');
+      }
+      const key = this._parseKey(entry.key, line);
+      if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+        throw this._error(line, `Duplicate key "${key}".`);
+      }
+      lines.set(key, line.number);
+
+      this._next();
+      mapping[key] = this._parseValue(entry.value, line, indent, true);
+    }
+
+    if (line && line.indent > indent) {
+      throw this._error(line, 'Unexpected indentation.');
+    }
+
+    return mapping;
+  }
+
+  _parseSequence(indent) {
+    const sequence = [];
+    const lines = new Map();
+    this.line_numbers.set(sequence, lines);
+
+    let line;
+    while ((line = this._peek()) && line.indent === indent && isSequenceEntry(line.content)) {
+      lines.set(String(sequence.length), line.number);
+
+      const value = line.content.slice(1).replace(/^ +/, '');
+      const column = indent + line.content.length - value.length;
+
+      // Compact nested collections; we re-interpret the rest of the line as if it started on a line of its own
+      if (value !== '' && (isSequenceEntry(value) || splitMappingEntry(value) !== null)) {
+        line.indent = column;
+        line.content = value;
+        sequence.push(this._parseBlock(line));
+        continue;
+      }
+
+      this._next();
+      sequence.push(this._parseValue(value, line, indent));
+    }
+
+    if (line && line.indent > indent) {
+      throw this._error(line, 'Unexpected indentation.');
+    }
+
+    return sequence;
+  }
+
+  /**
+   * Parses the value that follows a mapping key or sequence entry indicator. Nested block collections and block
+   * scalars are read off of the following lines, which must be indented deeper than the parent.
+   */
+  _parseValue(value, line, parent_indent, allow_compact_sequence = false) {
+    if (value === '') {
+      const next = this._peek();
+      if (next && next.indent > parent_indent) {
+        return this._parseBlock(next);
+      }
+      // YAML allows the sequence value of a mapping key to sit at the same indentation as the key
+      if (next && allow_compact_sequence && next.indent === parent_indent && isSequenceEntry(next.content)) {
+        return this._parseSequence(next.indent);
+      }
+      return null;
+    }
+
+    if (value[0] === '!') {
+      return this._parseTag(value, line, parent_indent);
+    }
+    if (value[0] === '&' || value[0] === '*') {
+      throw this._error(line, 'Anchors and aliases are not supported.');
+    }
+    if (value[0] === '|' || value[0] === '>') {
+      return this._parseBlockScalar(value, line, parent_indent);
+    }
+    if (value[0] === '[' || value[0] === '{') {
+      return this._parseFlow(this._readFlowText(value, line), line);
+    }
+    if (value[0] === '"' || value[0] === "'") {
+      return this._parseQuoted(value, line);
+    }
+
+    // Plain scalars may continue on the following lines as long as they are more indented
+    let text = value;
+    let next;
+    while ((next = this._peek()) && next.indent > parent_indent && !isSequenceEntry(next.content) && splitMappingEntry(next.content) === null) {
+      text += ` ${next.content}`;
+      this._next();
+    }
+    return resolvePlainScalar(text);
+  }
+
+  _parseTag(value, line, parent_indent) {
+    const match = /^(![^\s]*)\s*(.*)$/.exec(value);
+    const tag = match[1];
+    if (!(tag in this.tags)) {
+      throw this._error(line, `Unsupported tag "${tag}".`);
+    }
+    return this.tags[tag](this._parseValue(match[2], line, parent_indent), line.number);
+  }
+
+  _parseKey(key, line) {
+    if (key[0] === '"' || key[0] === "'") {
+      return String(this._parseQuoted(key, line));
+    }
+    if (key[0] === '?' || key[0] === '&' || key[0] === '*' || key[0] === '!') {
+      throw this._error(line, 'Complex keys, anchors, aliases and tags are not supported on keys.');
+    }
+    return key;
+  }
+
+  _parseBlockScalar(header, line, parent_indent) {
+    const match = /^([|>])([+-]?)([1-9]?)([+-]?)$/.exec(header);
+    if (!match) {
+      throw this._error(line, `Invalid block scalar header "${header}".`);
+    }
+    const folded = match[1] === '>';
+    const chomping = match[2] || match[4];
+    let content_indent = match[3] ? Math.max(parent_indent, 0) + Number(match[3]) : null;
+
+    // Block scalars are read from the raw lines, as their contents are never comments or structure
+    const contents = [];
+    while (this.position < this.lines.length) {
+      const raw = this.lines[this.position].raw;
+      if (raw.trim() === '') {
+        contents.push('');
+        this.position++;
+        continue;
+      }
+      const indent = raw.length - raw.replace(/^ +/, '').length;
+      if (null === content_indent) {
+        if (indent <= parent_indent) {
+          break;
+        }
+        content_indent = indent;
+      }
+      if (indent < content_indent) {
+        break;
+      }
+      contents.push(raw.slice(content_indent));
+      this.position++;
+    }
+
+    let trailing = 0;
+    while (contents.length > 0 && contents[contents.length - 1] === '') {
+      contents.pop();
+      trailing++;
+    }
+
+    let text;
+    if (folded) {
+      text = contents.reduce((folded_text, _line, _index) => {
+        if (_index === 0) {
+          return _line;
+        }
+        if (_line === '') {
+          return `${folded_text}\n`;
+        }
+        const previous = contents[_index - 1];
+        return folded_text + (previous === '' ? '' : ' ') + _line;
+      }, '');
+    } else {
+      text = contents.join('\n');
+    }
+
+    if (contents.length === 0 || chomping === '-') {
+      return text;
+    }
+    if (chomping === '+') {
+      return text + '\n'.repeat(trailing + 1);
+    }
+    return `${text}\n`;
+  }
+
+  /**
+   * Flow collections may span multiple lines; keep reading until the brackets are balanced.
+   */
+  _readFlowText(value, line) {
+    let text = value;
+    let next;
+    while (!isBalanced(text)) {
+      if (!(next = this._peek())) {
+        throw this._error(line, 'Unterminated flow collection.');
+      }
+      text += ` ${next.content}`;
+      this._next();
+    }
+    return text;
+  }
+
+  _parseFlow(text, line) {
+    const state = { text, index: 0 };
+    const value = this._parseFlowNode(state, line);
+
+    skipWhitespace(state);
+    if (state.index < text.length) {
+      throw this._error(line, `Unexpected "${text.slice(state.index)}" after flow collection.`);
+    }
+    return value;
+  }
+
+  _parseFlowNode(state, line) {
+    skipWhitespace(state);
+    const c = state.text[state.index];
+
+    if (c === '[') {
+      state.index++;
+      const sequence = [];
+      const lines = new Map();
+      this.line_numbers.set(sequence, lines);
+
+      this._parseFlowEntries(state, line, ']', () => {
+        lines.set(String(sequence.length), line.number);
+        sequence.push(this._parseFlowNode(state, line));
+      });
+      return sequence;
+    }
+
+    if (c === '{') {
+      state.index++;
+      const mapping = {};
+      const lines = new Map();
+      this.line_numbers.set(mapping, lines);
+
+      this._parseFlowEntries(state, line, '}', () => {
+        const key = String(this._parseFlowScalar(state, line, true));
+        skipWhitespace(state);
+        let value = null;
+        if (state.text[state.index] === ':') {
+          state.index++;
+          skipWhitespace(state);
+          if (state.text[state.index] !== ',' && state.text[state.index] !== '}') {
+            value = this._parseFlowNode(state, line);
+          }
+        }
+        if (Object.prototype.hasOwnProperty.call(mapping, key)) {
+          throw this._error(line, `Duplicate key "${key}".`);
+        }
+        lines.set(key, line.number);
+        mapping[key] = value;
+      });
+      return mapping;
+    }
+
+    return this._parseFlowScalar(state, line, false);
+  }
+
+  _parseFlowEntries(state, line, closing, parseEntry) {
+    for (;;) {
+      skipWhitespace(state);
+      if (state.text[state.index] === closing) {
+        state.index++;
+        return;
+      }
+      parseEntry();
+      skipWhitespace(state);
+
+      const c = state.text[state.index];
+      if (c === ',') {
+        state.index++;
+      } else if (c !== closing) {
+        throw this._error(line, `Expected "," or "${closing}" in flow collection.`);
+      }
+    }
+  }
+
+  _parseFlowScalar(state, line, is_key) {
+    const text = state.text;
+    const start = state.index;
+
+    if (text[start] === '"' || text[start] === "'") {
+      const end = findQuoteEnd(text, start);
+      if (end < 0) {
+        throw this._error(line, 'Unterminated quoted string.');
+      }
+      state.index = end;
+      return this._parseQuoted(text.slice(start, end), line);
+    }
+
+    // Plain scalars end at flow indicators, and keys also end at the ":" indicator
+    let end = start;
+    while (end < text.length && !',[]{}'.includes(text[end])) {
+      if (is_key && text[end] === ':' && (end + 1 === text.length || ' ,]}'.includes(text[end + 1]))) {
+        break;
+      }
+      end++;
+    }
+    state.index = end;
+
+    const scalar = text.slice(start, end).trim();
+    return is_key ? scalar : resolvePlainScalar(scalar);
+  }
+
+  _parseQuoted(text, line) {
+    const end = findQuoteEnd(text, 0);
+    if (end < 0) {
+      throw this._error(line, 'Unterminated quoted string.');
+    }
+    if (text.slice(end).trim() !== '') {
+      throw this._error(line, `Unexpected "${text.slice(end).trim()}" after quoted string.`);
+    }
+
+    const body = text.slice(1, end - 1);
+    if (text[0] === "'") {
+      return body.replace(/''/g, "'");
+    }
+
+    return body.replace(/\\(x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|U[0-9a-fA-F]{8}|.)/g, (match, escape) => {
+      if (escape.length > 1) {
+        return String.fromCodePoint(parseInt(escape.slice(1), 16));
+      }
+      if (escape in DOUBLE_QUOTED_ESCAPES) {
+        return DOUBLE_QUOTED_ESCAPES[escape];
+      }
+      throw this._error(line, `Invalid escape sequence "\\${escape}".`);
+    });
+  }
+
+  /**
+   * Returns the next line with content without consuming it, or null at the end of the document.
+   */
+  _peek() {
+    for (let i = this.position; i < this.lines.length; i++) {
+      const line = this.lines[i];
+      if (line.content === '') {
+        continue;
+      }
+      if (isDocumentMarker(line)) {
+        return null;
+      }
+      if (line.has_tabs) {
+        throw this._error(line, 'Tabs are not allowed for indentation.');
+      }
+      this.position = i;
+      return line;
+    }
+    this.position = this.lines.length;
+    return null;
+  }
+
+  _next() {
+    this.position++;
+  }
+
+  _skipDocumentStart() {
+    let line;
+    while ((line = this.lines[this.position])) {
+      if (line.content === '' || line.content.startsWith('%')) {
+        this.position++;
+      } else if (line.indent === 0 && line.content === '---') {
+        this.position++;
+        return;
+      } else {
+        return;
+      }
+    }
+  }
+
+  _checkDocumentEnd() {
+    const line = this.lines[this.position];
+    if (line && line.content === '---') {
+      const rest = this.lines.slice(this.position + 1);
+      if (rest.some(_line => _line.content !== '' && _line.content !== '...')) {
+        throw this._error(line, 'Multiple documents are not supported.');
+      }
+    }
+  }
+
+  _error(line, message) {
+    const error = new RouteRegistryError('yaml_syntax_error', `${this.filename}:${line.number}: ${message}`);
+    error.file = this.filename;
+    error.line = line.number;
+    return error;
+  }
+}
+
+const DOUBLE_QUOTED_ESCAPES = {
+  '0': '\0', 'a': '\x07', 'b': '\b', 't': '\t', '\t': '\t', 'n': '\n', 'v': '\v', 'f': '\f', 'r': '\r', 'e': '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', 'N': '\x85', '_': '\xa0', 'L': ' ', 'P': ' ',
+};
+
+function tokenizeLine(raw, index) {
+  const leading = /^[ \t]*/.exec(raw)[0];
+  const content = stripComment(raw.slice(leading.length)).replace(/\s+$/, '');
+
+  return {
+    number: index + 1,
+    raw,
+    indent: leading.replace(/\t.*$/, '').length,
+    has_tabs: leading.includes('\t'),
+    content,
+  };
+}
+
+/**
+ * Comments start with a "#" at the start of a line or after whitespace, as long as it is not within quotes.
+ * Quotes only count when they start a scalar; the apostrophe in "key: it's" is just a character.
+ */
+function stripComment(text) {
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+
+    if (quote === '"') {
+      if (c === '\\') {
+        i++;
+      } else if (c === '"') {
+        quote = null;
+      }
+      continue;
+    }
+    if (quote === "'") {
+      if (c === "'") {
+        if (text[i + 1] === "'") {
+          i++;
+        } else {
+          quote = null;
+        }
+      }
+      continue;
+    }
+
+    if ((c === '"' || c === "'") && /(^|[\s:,[{-])$/.test(text.slice(Math.max(0, i - 1), i))) {
+      quote = c;
+    } else if (c === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+      return text.slice(0, i);
+    }
+  }
+  return text;
+}
+
+function isSequenceEntry(content) {
+  return content === '-' || content.startsWith('- ');
+}
+
+function isDocumentMarker(line) {
+  return line.indent === 0 && (line.content === '---' || line.content === '...');
+}
+
+/**
+ * Splits a "key: value" line into its key and value, or returns null if the line is not a mapping entry.
+ * The mapping indicator is a colon followed by a space or the end of the line, so "/users/:id:" has the key
+ * "/users/:id".
+ */
+function splitMappingEntry(content) {
+  if (content[0] === '[' || content[0] === '{') {
+    return null;
+  }
+
+  let search_from = 0;
+  if (content[0] === '"' || content[0] === "'") {
+    search_from = findQuoteEnd(content, 0);
+    if (search_from < 0) {
+      return null;
+    }
+  }
+
+  const match = /:( |$)/.exec(content.slice(search_from));
+  if (!match) {
+    return null;
+  }
+  const colon = search_from + match.index;
+  const key = content.slice(0, colon).trim();
+  if (key === '') {
+    return null;
+  }
+
+  return {
+    key,
+    value: content.slice(colon + 1).trim(),
+  };
+}
+
+/**
+ * Returns the index just past the closing quote of the quoted string starting at the given index, or -1.
+ */
+function findQuoteEnd(text, start) {
+  const quote = text[start];
+  for (let i = start + 1; i < text.length; i++) {
+    if (quote === '"' && text[i] === '\\') {
+      i++;
+    } else if (text[i] === quote) {
+      if (quote === "'" && text[i + 1] === "'") {
+        i++;
+      } else {
+        return i + 1;
+      }
+    }
+  }
+  return -1;
+}
+
+function isBalanced(text) {
+  let depth = 0;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (c === '"' || c === "'") {
+      const end = findQuoteEnd(text, i);
+      if (end < 0) {
+        return false;
+      }
+      i = end - 1;
+    } else if (c === '[' || c === '{') {
+      depth++;
+    } else if (c === ']' || c === '}') {
+      depth--;
+    }
+  }
+  return depth <= 0;
+}
+
+function skipWhitespace(state) {
+  while (state.index < state.text.length && /\s/.test(state.text[state.index])) {
+    state.index++;
+  }
+}
+
+/**
+ * Resolves plain scalars according to the YAML 1.2 core schema
+ */
+function resolvePlainScalar(scalar) {
+  if (/^(~|null|Null|NULL)?$/.test(scalar)) {
+    return null;
+  }
+  if (/^(true|True|TRUE)$/.test(scalar)) {
+    return true;
+  }
+  if (/^(false|False|FALSE)$/.test(scalar)) {
+    return false;
+  }
+  if (/^[-+]?[0-9]+$/.test(scalar)) {
+    return parseInt(scalar, 10);
+  }
+  if (/^0o[0-7]+$/.test(scalar)) {
+    return parseInt(scalar.slice(2), 8);
+  }
+  if (/^0x[0-9a-fA-F]+$/.test(scalar)) {
+    return parseInt(scalar.slice(2), 16);
+  }
+  if (/^[-+]?(\.[0-9]+|[0-9]+(\.[0-9]*)?)([eE][-+]?[0-9]+)?$/.test(scalar)) {
+    return parseFloat(scalar);
+  }
+  if (/^[-+]?\.(inf|Inf|INF)$/.test(scalar)) {
+    return scalar[0] === '-' ? -Infinity : Infinity;
+  }
+  if (/^\.(nan|NaN|NAN)$/.test(scalar)) {
+    return NaN;
+  }
+  return scalar;
+}
+
+module.exports = YamlParser;
@@ -0,0 +1,343 @@
+'use strict';
+
+const RouteRegistryError = require('./RouteRegistryError');
+const RouteCollectionBuilder = require('./RouteCollectionBuilder');
+const RequestValidator = require('../Validation/RequestValidator');
+const { HTTP_METHODS } = require('./constants');
+
+const MODE_WARN = 'warn';
+const MODE_THROW = 'throw';
+
+// The keys of method nodes, e.g. "get"; see RouteCollectionBuilder._extractRoutes()
+const METHOD_KEYS = [ 'name', 'action', 'controller', 'service_id', 'middleware', 'metadata', 'host', 'validate' ];
+
+// The keys that only mean something together with a "resource" node
+const RESOURCE_OPTION_KEYS = [ 'only', 'except', 'identifier', 'name' ];
+
+// The keys that are only valid at the root of a configuration, or of an imported configuration
+const ROOT_KEYS = [ 'traits', 'resourceTypes' ];
+
+/**
+ * What the value of each key of a configuration level must be, as [ test, description ]. See
+ * RouteCollectionBuilder for what the keys do.
+ */
+const LEVEL_KEY_TYPES = {
+  'priority': [ _value => typeof _value === 'number', 'a number' ],
+  'host': [ _value => typeof _value === 'string', 'a host pattern string' ],
+  'requirements': [ _value => isPlainObject(_value) && Object.keys(_value).every(_key => typeof _value[_key] === 'string' || _value[_key] instanceof RegExp), 'an object of regular expressions, keyed by parameter name' ],
+  'defaults': [ isPlainObject, 'an object keyed by parameter name' ],
+  'validate': [ isValidation, `an object of schemas for any of: ${RequestValidator.SECTIONS.join(', ')}` ],
+  'middleware': [ _value => isHandler(_value) || isArrayOf(_value, isHandler), 'a function, a service reference, or an array of those' ],
+  'error': [ _value => isHandler(_value) || isArrayOf(_value, isHandler), 'a function, a service reference, or an array of those' ],
+  'param': [ _value => isPlainObject(_value) || Array.isArray(_value), 'an object or an array of parameter converters' ],
+  'method_not_allowed': [ isHandler, 'a function or a service reference' ],
+  'automatic_options': [ isHandler, 'a function or a service reference' ],
+  'metadata': [ isPlainObject, 'an object' ],
+  'is': [ _value => isArrayOf(_value, isReference), 'an array of trait names, or { name: parameters } objects' ],
+  'type': [ isReference, 'a resource type name, or a { name: parameters } object' ],
+  'resource': [ _value => isServiceReference(_value) || (null !== _value && typeof _value === 'object'), 'a service reference or a controller' ],
+  'only': [ isResourceActionList, `an array of resource actions: (${getResourceActions().join(', ')})` ],
+  'except': [ isResourceActionList, `an array of resource actions: (${getResourceActions().join(', ')})` ],
+  'identifier': [ _value => typeof _value === 'string', 'a parameter name' ],
+  'name': [ _value => typeof _value === 'string', 'a string' ],
+  'imports': [ _value => isPlainObject(_value) || isArrayOf(_value, isPlainObject), 'a configuration, or an array of configurations' ],
+  'traits': [ _value => isPlainObject(_value) && Object.keys(_value).every(_key => isPlainObject(_value[_key])), 'an object of traits, keyed by name' ],
+  'resourceTypes': [ _value => isPlainObject(_value) && Object.keys(_value).every(_key => isPlainObject(_value[_key])), 'an object of resource types, keyed by name' ],
+};
+
+const METHOD_KEY_TYPES = {
+  'name': LEVEL_KEY_TYPES.name,
+  'action': [ _value => typeof _value === 'function' || typeof _value === 'string', 'a function, a service reference or a method name' ],
+  'controller': [ _value => null !== _value && typeof _value === 'object', 'a controller instance' ],
+  'service_id': [ _value => typeof _value === 'string', 'a service id' ],
+  'middleware': LEVEL_KEY_TYPES.middleware,
+  'metadata': LEVEL_KEY_TYPES.metadata,
+  'host': LEVEL_KEY_TYPES.host,
+  'validate': LEVEL_KEY_TYPES.validate,
+};
+
+/**
+ * Checks a route configuration before it is built, for what RouteCollectionBuilder would silently ignore or fail on
+ * later: unknown keys (e.g. a "middlware" typo), values of the wrong type, and keys used where they do not belong
+ * (e.g. "traits" below the root, or "priority" in a method node). Every problem has a JSON pointer to the key it is
+ * about:
+ *
+ *   { path: '/~1users/get/middlware', message: 'Unknown key "middlware"; did you mean "middleware"?' }
+ *
+ * Modes:
+ *
+ *   throw: validate() throws a RouteRegistryError listing all problems, with a "problems" property
+ *   warn:  validate() logs each problem with the logger's warn()
+ *
+ * Resource type templates are checked too, except for keys and values containing <<parameters>>.
+ */
+class ConfigurationValidator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.mode]    'throw' (default) or 'warn'
+   * @param {Object} [options.logger]  Anything with a warn() method; defaults to the console
+   */
+  constructor(options = {}) {
+    this.mode = options.mode || MODE_THROW;
+    this.logger = options.logger || console;
+
+    if (![ MODE_THROW, MODE_WARN ].includes(this.mode)) {
+      throw new RouteRegistryError(
+        'configuration_validator_invalid_mode',
+        `Invalid mode "${this.mode}"; must be one of: ${MODE_THROW}, ${MODE_WARN}.`
+      );
+    }
+  }
+
+  /**
+   * Returns the problems of the configuration as [ { path, message }, ... ], without throwing or warning
+   *
+   * @param {Object} configuration
+   * @returns {Array}
+   */
+  check(configuration) {
+    const problems = [];
+    this._checkLevel(configuration, '', { root: true, template: false }, problems);
+    return problems;
+  }
+
+  /**
+   * Throws or warns about the problems of the configuration, depending on the mode, and returns them
+   *
+   * @param {Object} configuration
+   * @returns {Array}
+   */
+  validate(configuration) {
+    const problems = this.check(configuration);
+    if (problems.length === 0) {
+      return problems;
+    }
+
+    if (MODE_WARN === this.mode) {
+      problems.forEach(_problem => this.logger.warn(`Route configuration ${describePointer(_problem.path)}: ${_problem.message}`));
+      return problems;
+    }
+
+    const error = new RouteRegistryError(
+      'invalid_route_configuration',
+      `Invalid route configuration:\n${problems.map(_problem => `  ${describePointer(_problem.path)}: ${_problem.message}`).join('\n')}`
+    );
+    error.problems = problems;
+    throw error;
+  }
+
+  /**
+   * @param {Object} level
+   * @param {string} pointer    JSON pointer to the level
+   * @param {Object} context    { root, template }; whether the level is the root of a configuration, and whether it
+   *                            is (part of) a resource type template
+   * @param {Array} problems
+   */
+  _checkLevel(level, pointer, context, problems) {
+    if (!isPlainObject(level)) {
+      problems.push({ path: pointer, message: 'A configuration level must be an object.' });
+      return;
+    }
+
+    Object.keys(level).forEach(_key => {
+      const value = level[_key];
+      const key_pointer = `${pointer}/${escapePointer(_key)}`;
+      if (context.template && hasTemplateParameter(_key)) {
+        return;
+      }
+
+      if (_key.startsWith('/')) {
+        const sub_levels = Array.isArray(value) ? value : [ value ];
+        sub_levels.forEach((_sub_level, _index) => {
+          const sub_pointer = Array.isArray(value) ? `${key_pointer}/${_index}` : key_pointer;
+          this._checkLevel(_sub_level, sub_pointer, { root: false, template: context.template }, problems);
+        });
+      } else if (HTTP_METHODS.includes(_key)) {
+        this._checkMethod(value, key_pointer, context, problems);
+      } else if (ROOT_KEYS.includes(_key) && !context.root) {
+        problems.push({ path: key_pointer, message: `"${_key}" is only valid at the root of the configuration.` });
+      } else if (RESOURCE_OPTION_KEYS.includes(_key) && !('resource' in level) && !('type' in level)) {
+        problems.push({ path: key_pointer, message: `"${_key}" is only used together with "resource".` });
+      } else if (_key in LEVEL_KEY_TYPES) {
+        if (this._checkValue(value, LEVEL_KEY_TYPES[_key], key_pointer, context, problems)) {
+          this._checkNested(_key, value, key_pointer, context, problems);
+        }
+      } else if (METHOD_KEYS.includes(_key)) {
+        problems.push({ path: key_pointer, message: `"${_key}" belongs in a method node, e.g. "get".` });
+      } else {
+        problems.push({ path: key_pointer, message: unknownKeyMessage(_key, Object.keys(LEVEL_KEY_TYPES).concat(HTTP_METHODS)) });
+      }
+    });
+  }
+
+  /**
+   * Traits, resource types and imports are configurations of their own
+   */
+  _checkNested(key, value, pointer, context, problems) {
+    if ('traits' === key) {
+      Object.keys(value).forEach(_name => this._checkTrait(value[_name], `${pointer}/${escapePointer(_name)}`, problems));
+    } else if ('resourceTypes' === key) {
+      Object.keys(value).forEach(_name => {
+        this._checkLevel(value[_name], `${pointer}/${escapePointer(_name)}`, { root: false, template: true }, problems);
+      });
+    } else if ('imports' === key) {
+      [].concat(value).forEach((_imported, _index) => {
+        const imported_pointer = Array.isArray(value) ? `${pointer}/${_index}` : pointer;
+        this._checkLevel(_imported, imported_pointer, { root: true, template: context.template }, problems);
+      });
+    }
+  }
+
+  _checkTrait(trait, pointer, problems) {
+    const trait_keys = RouteCollectionBuilder.TRAIT_KEYS;
+    Object.keys(trait).forEach(_key => {
+      const key_pointer = `${pointer}/${escapePointer(_key)}`;
+      if (!trait_keys.includes(_key)) {
+        problems.push({ path: key_pointer, message: unknownKeyMessage(_key, trait_keys) });
+      } else if (_key in LEVEL_KEY_TYPES) {
+        this._checkValue(trait[_key], LEVEL_KEY_TYPES[_key], key_pointer, { template: false }, problems);
+      }
+    });
+  }
+
+  _checkMethod(method, pointer, context, problems) {
+    if (typeof method === 'function' || isServiceReference(method) || Array.isArray(method)) {
+      return;
+    }
+    if (context.template && typeof method === 'string' && hasTemplateParameter(method)) {
+      return;
+    }
+    if (!isPlainObject(method)) {
+      problems.push({
+        path: pointer,
+        message: 'A method must be a function, a service reference, an array or an object with an "action".',
+      });
+      return;
+    }
+
+    Object.keys(method).forEach(_key => {
+      const key_pointer = `${pointer}/${escapePointer(_key)}`;
+      if (context.template && hasTemplateParameter(_key)) {
+        return;
+      }
+
+      if (_key in METHOD_KEY_TYPES) {
+        this._checkValue(method[_key], METHOD_KEY_TYPES[_key], key_pointer, context, problems);
+      } else if (_key in LEVEL_KEY_TYPES || _key.startsWith('/')) {
+        problems.push({ path: key_pointer, message: `"${_key}" is only valid on a configuration level, not on a method.` });
+      } else {
+        problems.push({ path: key_pointer, message: unknownKeyMessage(_key, METHOD_KEYS) });
+      }
+    });
+  }
+
+  /**
+   * Returns whether the value is of the expected type; values with <<parameters>> in templates are not checked
+   */
+  _checkValue(value, [ test, description ], pointer, context, problems) {
+    if (context.template && containsTemplateParameter(value)) {
+      return false;
+    }
+    if (!test(value)) {
+      problems.push({ path: pointer, message: `Expected ${description}.` });
+      return false;
+    }
+    return true;
+  }
+}
+
+ConfigurationValidator.MODE_WARN = MODE_WARN;
+ConfigurationValidator.MODE_THROW = MODE_THROW;
+
+module.exports = ConfigurationValidator;
+
+/**
+ * "/users" becomes "~1users", as keys are escaped in JSON pointers
+ */
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function describePointer(pointer) {
+  return '' === pointer ? '(root)' : pointer;
+}
+
+function unknownKeyMessage(key, known_keys) {
+  const suggestion = known_keys
+    .map(_known_key => ({ key: _known_key, distance: editDistance(key.toLowerCase(), _known_key.toLowerCase()) }))
+    .filter(_candidate => _candidate.distance <= Math.max(1, Math.floor(key.length / 4)))
+    .sort((_a, _b) => _a.distance - _b.distance)[0];
+
+  return suggestion ? `Unknown key "${key}"; did you mean "${suggestion.key}"?` : `Unknown key "${key}".`;
+}
+
+/**
+ * The edit distance between two strings, where swapping two adjacent characters counts as a single edit
+ */
+function editDistance(a, b) {
+  const distances = Array.from({ length: a.length + 1 }, (_row, i) => Array.from({ length: b.length + 1 }, (_column, j) => 0 === i ? j : 0 === j ? i : 0));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      distances[i][j] = Math.min(
+        distances[i - 1][j] + 1,
+        distances[i][j - 1] + 1,
+        distances[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return distances[a.length][b.length];
+}
+
+function hasTemplateParameter(value) {
+  return typeof value === 'string' && /<<[^>]*>>/.test(value);
+}
+
+function containsTemplateParameter(value) {
+  if (hasTemplateParameter(value)) {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.some(containsTemplateParameter);
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).some(_key => hasTemplateParameter(_key) || containsTemplateParameter(value[_key]));
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return null !== value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isArrayOf(value, test) {
+  return Array.isArray(value) && value.every(test);
+}
+
+function isServiceReference(value) {
+  return typeof value === 'string' && value.startsWith('@');
+}
+
+function isHandler(value) {
+  return typeof value === 'function' || isServiceReference(value);
+}
+
+function isReference(value) {
+  return typeof value === 'string' || (isPlainObject(value) && Object.keys(value).length === 1);
+}
+
+function isValidation(value) {
+  return isPlainObject(value) && Object.keys(value).every(_section => {
+    return RequestValidator.SECTIONS.includes(_section) && (typeof value[_section] === 'boolean' || isPlainObject(value[_section]));
+  });
+}
+
+function getResourceActions() {
+  return RouteCollectionBuilder.RESOURCE_ACTIONS.map(_resource_action => _resource_action.action);
+}
+
+function isResourceActionList(value) {
+  return isArrayOf(value, _action => getResourceActions().includes(_action));
+}
@@ -0,0 +1,83 @@
+'use strict';
+
+const RouteRegistryError = require('./RouteRegistryError');
+
+// The property that handlers are tagged with; a symbol, so that it never clashes with anything on the function
+const HANDLER_KIND = Symbol('handler_kind');
+
+const KIND_ACTION = 'action';
+const KIND_MIDDLEWARE = 'middleware';
+const KIND_PARAMETER_CONVERTER = 'parameter_converter';
+const KIND_ERROR_HANDLER = 'error_handler';
+
+/**
+ * Tags handlers with their kind, for routes that validate their handlers with the "explicit" policy. Under that
+ * policy, a tagged handler is accepted whatever number of arguments it declares, so long as it is used as the kind
+ * it was tagged with; untagged handlers must still declare the exact number of arguments. See Route.validate().
+ *
+ *   const { Handler } = require('express-route-registry');
+ *
+ *   RouteBuilder.get('/users/:id')
+ *     .with(Handler.middleware(async (req, res) => { ... }))
+ *     .param('id', Handler.param(async (req, res, next, ...rest) => { ... }))
+ *     .to(Handler.action(async (req, res) => { ... }));
+ *
+ * Express tells error handlers apart from other handlers by their number of arguments, so Handler.error() returns
+ * a function that declares exactly 4 (err, req, res, next), wrapping the error handler when needed. Error handlers
+ * tagged this way can also be handed to Express directly.
+ */
+class Handler {
+  static action(action) {
+    return tag(action, KIND_ACTION);
+  }
+
+  static middleware(middleware) {
+    return tag(middleware, KIND_MIDDLEWARE);
+  }
+
+  static param(parameter_converter) {
+    return tag(parameter_converter, KIND_PARAMETER_CONVERTER);
+  }
+
+  static error(error_handler) {
+    if (typeof error_handler === 'function' && error_handler.length !== 4) {
+      const wrapped = error_handler;
+      error_handler = function(err, req, res, next) {
+        return wrapped.apply(this, arguments);
+      };
+      Object.defineProperty(error_handler, 'name', { value: wrapped.name });
+    }
+
+    return tag(error_handler, KIND_ERROR_HANDLER);
+  }
+
+  /**
+   * Returns the kind a handler was tagged with, or null when it is untagged.
+   */
+  static getKind(handler) {
+    return (typeof handler === 'function' && handler[HANDLER_KIND]) || null;
+  }
+}
+
+Handler.ACTION = KIND_ACTION;
+Handler.MIDDLEWARE = KIND_MIDDLEWARE;
+Handler.PARAMETER_CONVERTER = KIND_PARAMETER_CONVERTER;
+Handler.ERROR_HANDLER = KIND_ERROR_HANDLER;
+
+module.exports = Handler;
+
+function tag(handler, kind) {
+  if (typeof handler !== 'function') {
+    throw new RouteRegistryError('handler_not_callable', `Only functions can be tagged as a "${kind}" handler.`);
+  }
+  const existing_kind = Handler.getKind(handler);
+  if (existing_kind && existing_kind !== kind) {
+    throw new RouteRegistryError(
+      'handler_kind_conflict',
+      `Handler "${handler.name || 'anonymous'}" is already tagged as a "${existing_kind}" handler; it cannot also be a "${kind}" handler.`
+    );
+  }
+
+  Object.defineProperty(handler, HANDLER_KIND, { value: kind, configurable: true });
+  return handler;
+}
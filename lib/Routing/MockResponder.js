@@ -0,0 +1,203 @@
+'use strict';
+
+const Response = require('./Response');
+
+// The examples generated for strings with these formats
+const FORMAT_EXAMPLES = {
+  'date': '1970-01-01',
+  'date-time': '1970-01-01T00:00:00Z',
+  'email': 'user@example.com',
+  'uri': 'https://example.com',
+  'uuid': '00000000-0000-0000-0000-000000000000',
+  'ipv4': '127.0.0.1',
+};
+
+// How deep examples are generated for nested schemas, so that recursive ones end
+const MAX_EXAMPLE_DEPTH = 8;
+
+/**
+ * Serves the responses that a route declares, in place of its action; see RouteRegistry's "mock" option. Routes
+ * declare their responses in their metadata, either as examples of response bodies by status:
+ *
+ *   metadata: { examples: { 200: { id: 1, name: 'Jane' }, 404: { message: 'Not found.' } } }
+ *
+ * or as OpenAPI response objects, which is what the OpenApiLoader and RamlLoader load:
+ *
+ *   metadata: {
+ *     responses: {
+ *       200: { description: 'The user.', content: { 'application/json': { schema: { ... }, example: { ... } } } },
+ *       404: { description: 'Not found.' },
+ *     },
+ *   }
+ *
+ * The response is the successful (2xx) one with the lowest status, unless the request asks for another status with a
+ * "Prefer: code=404" header. Of the content types of the response, the one the request accepts is sent. Its body is
+ * the "example", the first (or the "Prefer: example=name") of its "examples", or else generated from its schema.
+ */
+class MockResponder {
+  /**
+   * @param {Object} responses  OpenAPI response objects by status
+   */
+  constructor(responses) {
+    this.responses = responses;
+  }
+
+  /**
+   * Returns the responder for the responses the route declares, or null when it declares none
+   *
+   * @param {Route} route
+   * @returns {MockResponder|null}
+   */
+  static forRoute(route) {
+    const metadata = route.getMetadata();
+    const responses = Object.assign({}, metadata.responses);
+    Object.keys(metadata.examples || {}).forEach(_status => {
+      const example = metadata.examples[_status];
+      const content_type = typeof example === 'string' ? 'text/plain' : 'application/json';
+      responses[_status] = { description: '', content: { [content_type]: { example } } };
+    });
+
+    return Object.keys(responses).length > 0 ? new MockResponder(responses) : null;
+  }
+
+  /**
+   * @param {Object} req
+   * @returns {Response}
+   */
+  getResponse(req) {
+    const preferences = parsePreferences(req);
+    const status = this._getStatus(preferences.code);
+    const response = this.responses[status] || {};
+    const status_code = /^\d{3}$/.test(status) ? Number(status) : 200;
+
+    const content = response.content || {};
+    const content_types = Object.keys(content);
+    if (content_types.length === 0) {
+      return new Response(undefined, status_code);
+    }
+
+    const accepted = typeof req.accepts === 'function' ? req.accepts(content_types) : null;
+    const content_type = accepted || content_types[0];
+    const body = getExample(content[content_type] || {}, preferences.example);
+
+    if (/[/+]json$/.test(content_type)) {
+      return Response.json(body, status_code, { 'Content-Type': content_type });
+    }
+    return new Response(undefined === body ? undefined : String(body), status_code, { 'Content-Type': content_type });
+  }
+
+  /**
+   * The action that sends the mocked responses
+   *
+   * @returns {Function}
+   */
+  action() {
+    return (req, res, next) => this.getResponse(req).sendTo(res, next);
+  }
+
+  _getStatus(preferred_code) {
+    const statuses = Object.keys(this.responses);
+    if (preferred_code && statuses.includes(preferred_code)) {
+      return preferred_code;
+    }
+
+    const successful = statuses.filter(_status => /^2\d\d$/.test(_status)).sort();
+    if (successful.length > 0) {
+      return successful[0];
+    }
+    return [ '2XX', 'default' ].find(_status => statuses.includes(_status)) || statuses[0];
+  }
+}
+
+MockResponder.exampleFromSchema = exampleFromSchema;
+
+module.exports = MockResponder;
+
+/**
+ * Reads the "code" and "example" preferences of the Prefer header, e.g. "Prefer: code=404, example=missing"
+ */
+function parsePreferences(req) {
+  const header = req.headers && req.headers.prefer;
+  const preferences = {};
+  String(header || '').split(/[,;]/).forEach(_preference => {
+    const match = /^\s*(code|example)\s*=\s*"?([^"]*)"?\s*$/.exec(_preference);
+    if (match) {
+      preferences[match[1]] = match[2];
+    }
+  });
+  return preferences;
+}
+
+function getExample(media_type, preferred_example) {
+  if ('example' in media_type) {
+    return media_type.example;
+  }
+
+  const examples = media_type.examples || {};
+  const name = preferred_example in examples ? preferred_example : Object.keys(examples)[0];
+  if (undefined !== name) {
+    const example = examples[name];
+    return example && typeof example === 'object' && 'value' in example ? example.value : example;
+  }
+
+  return media_type.schema ? exampleFromSchema(media_type.schema) : undefined;
+}
+
+/**
+ * Makes up a value that satisfies the schema; its "example", "default", "const" or first "enum" value if it has any,
+ * and otherwise a value of its type:
+ *
+ *   { type: 'object', properties: { id: { type: 'integer' }, email: { type: 'string', format: 'email' } } }
+ *
+ * gives { id: 0, email: 'user@example.com' }.
+ */
+function exampleFromSchema(schema, depth = 0) {
+  if (!schema || typeof schema !== 'object' || depth > MAX_EXAMPLE_DEPTH) {
+    return null;
+  }
+  for (const _keyword of [ 'example', 'default', 'const' ]) {
+    if (_keyword in schema) {
+      return schema[_keyword];
+    }
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[0];
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    return schema.allOf
+      .map(_schema => exampleFromSchema(_schema, depth + 1))
+      .reduce((_merged, _example) => isPlainObject(_merged) && isPlainObject(_example) ? Object.assign(_merged, _example) : _example, {});
+  }
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives) && alternatives.length > 0) {
+    return exampleFromSchema(alternatives[0], depth + 1);
+  }
+
+  const types = [].concat(schema.type || ('properties' in schema ? 'object' : 'items' in schema ? 'array' : []));
+  const type = types.find(_type => 'null' !== _type) || types[0];
+  switch (type) {
+    case 'object': {
+      const example = {};
+      Object.keys(schema.properties || {}).forEach(_name => {
+        example[_name] = exampleFromSchema(schema.properties[_name], depth + 1);
+      });
+      return example;
+    }
+    case 'array':
+      return schema.items ? [ exampleFromSchema(schema.items, depth + 1) ] : [];
+    case 'string':
+      return FORMAT_EXAMPLES[schema.format] || 'string';
+    case 'integer':
+    case 'number':
+      return typeof schema.minimum === 'number' ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+function isPlainObject(value) {
+  return null !== value && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,225 @@
+'use strict';
+
+const OPENAPI_VERSION = '3.0.3';
+
+// The pattern path-to-regexp assigns to parameters that were declared without a custom regexp, e.g. "/:id"
+const DEFAULT_SEGMENT_PATTERN = '[^\\/]+?';
+
+// Patterns that anything matches; these are left out of the schemas of their parameters
+const UNRESTRICTED_PATTERNS = [ '.*', '.+', '.*?', '.+?' ];
+
+// Headers that OpenAPI describes elsewhere, and that must not be listed as parameters
+const RESERVED_HEADERS = [ 'accept', 'content-type', 'authorization' ];
+
+// The metadata keys that are copied into operations as is; see RouteRegistry.toOpenAPI()
+const OPERATION_METADATA_KEYS = [ 'summary', 'description', 'tags', 'deprecated', 'responses', 'security' ];
+
+/**
+ * Builds an OpenAPI 3 document out of routes; see RouteRegistry.toOpenAPI() for how routes are described.
+ */
+class OpenApiGenerator {
+  constructor(options = {}, context = {}) {
+    this.options = options;
+    this.context = context;
+  }
+
+  /**
+   * Routes are described in the given order; of routes answering the same method on the same path, the first wins.
+   */
+  generate(routes) {
+    const document = {
+      openapi: OPENAPI_VERSION,
+      info: Object.assign({ title: 'API', version: '1.0.0' }, this.options.info),
+    };
+
+    const servers = this._getServers();
+    if (servers.length > 0) {
+      document.servers = servers;
+    }
+
+    const paths = {};
+    routes
+      .filter(_route => !this.options.filter || this.options.filter(_route))
+      .forEach(_route => {
+        this._getPathVariants(_route).forEach(_variant => {
+          if (!paths[_variant.path]) {
+            paths[_variant.path] = {};
+          }
+          const path_item = paths[_variant.path];
+          if (_route.getHost() && !path_item.servers) {
+            path_item.servers = [ this._getHostServer(_route) ];
+          }
+
+          _route.getMethods().forEach(_method => {
+            if (!(_method in path_item)) {
+              path_item[_method] = this._describeOperation(_route, _variant);
+            }
+          });
+        });
+      });
+    document.paths = paths;
+
+    return document;
+  }
+
+  _getServers() {
+    if (this.options.servers) {
+      return this.options.servers;
+    }
+    const base_path = this.context.base_path || '';
+    if (this.context.host) {
+      return [ { url: `${this.context.scheme || 'http'}://${this.context.host}${base_path}` } ];
+    }
+    return base_path ? [ { url: base_path } ] : [];
+  }
+
+  /**
+   * OpenAPI has no notion of optional path parameters, so a route with optional parameters is described as one path
+   * with all of its parameters, and one path for each combination of left out parameters. The latter have the names
+   * of the left out parameters appended to their operationId, to keep those unique.
+   */
+  _getPathVariants(route) {
+    const tokens = route.getTokens();
+    const optional_tokens = tokens.filter(_token => typeof _token === 'object' && _token.optional);
+
+    const variants = [];
+    for (let mask = 0; mask < (1 << optional_tokens.length); mask++) {
+      const left_out = optional_tokens.filter((_token, _index) => mask & (1 << _index));
+      const path_tokens = tokens.filter(_token => !left_out.includes(_token));
+
+      variants.push({
+        path: path_tokens.map(_token => typeof _token === 'string' ? _token : `${_token.prefix}{${_token.name}}`).join('') || '/',
+        tokens: path_tokens.filter(_token => typeof _token === 'object'),
+        operation_suffix: left_out.length > 0 ? `_without_${left_out.map(_token => _token.name).join('_and_')}` : '',
+      });
+    }
+    return variants;
+  }
+
+  /**
+   * Host patterns become path-level servers, with a variable for each host parameter
+   */
+  _getHostServer(route) {
+    const defaults = route.getDefaults();
+    const variables = {};
+    const host = route.getHostTokens().map(_token => {
+      if (typeof _token === 'string') {
+        return _token;
+      }
+      variables[_token.name] = { default: String(_token.name in defaults ? defaults[_token.name] : _token.name) };
+      return `${_token.prefix}{${_token.name}}`;
+    }).join('');
+
+    const server = { url: `${this.context.scheme || 'http'}://${host}${this.context.base_path || ''}` };
+    if (Object.keys(variables).length > 0) {
+      server.variables = variables;
+    }
+    return server;
+  }
+
+  _describeOperation(route, variant) {
+    const metadata = route.getMetadata();
+    const validation = route.getValidation();
+    const operation = { operationId: `${route.getName()}${variant.operation_suffix}` };
+
+    OPERATION_METADATA_KEYS.forEach(_key => {
+      if (_key in metadata) {
+        operation[_key] = metadata[_key];
+      }
+    });
+
+    const parameters = variant.tokens.map(_token => ({
+      name: String(_token.name),
+      in: 'path',
+      required: true,
+      schema: this._describePathParameter(route, _token),
+    })).concat(
+      describeParameters(validation.query, 'query'),
+      describeParameters(validation.headers, 'header')
+    );
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    if (validation.body) {
+      operation.requestBody = {
+        required: true,
+        content: { 'application/json': { schema: validation.body } },
+      };
+    }
+
+    operation.responses = Object.assign({}, operation.responses || { default: { description: 'Default response.' } });
+    if (Object.keys(validation).length > 0 && !operation.responses['400']) {
+      operation.responses['400'] = { description: 'Invalid request.' };
+    }
+
+    // Anything else OpenAPI supports can be provided verbatim with the "openapi" metadata key
+    return Object.assign(operation, metadata.openapi);
+  }
+
+  /**
+   * The schema of a path parameter is the one in the "params" validation schema if there is one, and is otherwise
+   * derived from the parameter's pattern; see describePattern()
+   */
+  _describePathParameter(route, token) {
+    const params_schema = route.getValidation().params;
+    const declared_schema = params_schema && params_schema.properties && params_schema.properties[token.name];
+    const schema = Object.assign({}, declared_schema || describePattern(token.pattern));
+
+    const defaults = route.getDefaults();
+    if (token.name in defaults && !('default' in schema)) {
+      schema.default = defaults[token.name];
+    }
+    return schema;
+  }
+}
+
+OpenApiGenerator.OPENAPI_VERSION = OPENAPI_VERSION;
+
+module.exports = OpenApiGenerator;
+
+/**
+ * Derives a schema from the pattern of a parameter:
+ *
+ *   [^\/]+?       { type: 'string' }
+ *   \d+           { type: 'integer' }, as do other patterns of only digits, e.g. [0-9]{4}
+ *   draft|final   { type: 'string', enum: [ 'draft', 'final' ] }
+ *   [a-z]+        { type: 'string', pattern: '^(?:[a-z]+)$' }
+ */
+function describePattern(pattern) {
+  if (!pattern || DEFAULT_SEGMENT_PATTERN === pattern || UNRESTRICTED_PATTERNS.includes(pattern)) {
+    return { type: 'string' };
+  }
+
+  const without_digits = pattern.replace(/\\d|\[0-9\]|\[1-9\]/g, '');
+  if (without_digits !== pattern && '' === without_digits.replace(/[+*?]|\{\d+(,\d*)?\}/g, '')) {
+    return { type: 'integer' };
+  }
+
+  if (/^[\w-]+(\|[\w-]+)*$/.test(pattern)) {
+    return { type: 'string', enum: pattern.split('|') };
+  }
+
+  return { type: 'string', pattern: `^(?:${pattern})$` };
+}
+
+/**
+ * Turns the properties of a "query" or "headers" validation schema into parameters
+ */
+function describeParameters(schema, location) {
+  if (!schema || typeof schema !== 'object' || !schema.properties) {
+    return [];
+  }
+
+  const required = schema.required || [];
+  return Object.keys(schema.properties)
+    .filter(_name => 'header' !== location || !RESERVED_HEADERS.includes(_name.toLowerCase()))
+    .map(_name => {
+      const property_schema = schema.properties[_name];
+      const parameter = { name: _name, in: location, required: required.includes(_name), schema: property_schema };
+      if (property_schema && property_schema.description) {
+        parameter.description = property_schema.description;
+      }
+      return parameter;
+    });
+}
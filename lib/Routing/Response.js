@@ -0,0 +1,188 @@
+'use strict';
+
+const RouteRegistryError = require('./RouteRegistryError');
+
+const FORMAT_AUTO = 'auto';
+const FORMAT_JSON = 'json';
+const FORMAT_TEXT = 'text';
+const FORMAT_REDIRECT = 'redirect';
+const FORMAT_STREAM = 'stream';
+
+/**
+ * A response returned by an action, for routes that send the return values of their actions (see
+ * RouteRegistry's "send_return_values" option). This keeps actions from depending on the Express response, and lets
+ * their unit tests inspect what they return instead of mocking res:
+ *
+ *   async show_action(req) {
+ *     const user = await this.users.find(req.params.id);
+ *     if (!user) {
+ *       return Response.json({ message: 'Not found.' }, 404);
+ *     }
+ *     return user;  // Sent as JSON
+ *   }
+ *
+ * Return values are sent with Response.send(). Besides instances of this class, any object with a sendTo(res, next)
+ * method is treated as a response.
+ */
+class Response {
+  constructor(body = undefined, status = 200, headers = {}) {
+    this.body = body;
+    this.status = status;
+    this.headers = Object.assign({}, headers);
+    this.format = FORMAT_AUTO;
+    this.location = null;
+  }
+
+  static json(body, status = 200, headers = {}) {
+    return new Response(body, status, headers).setFormat(FORMAT_JSON);
+  }
+
+  static text(body, status = 200, headers = {}) {
+    return new Response(String(body), status, headers).setFormat(FORMAT_TEXT);
+  }
+
+  static redirect(location, status = 302, headers = {}) {
+    const response = new Response(undefined, status, headers).setFormat(FORMAT_REDIRECT);
+    response.location = location;
+    return response;
+  }
+
+  /**
+   * A readable stream piped into the response; errors of the stream are passed on to next()
+   */
+  static stream(stream, status = 200, headers = {}) {
+    if (!isStream(stream)) {
+      throw new RouteRegistryError('response_invalid_stream', 'Response.stream() expects a readable stream.');
+    }
+    return new Response(stream, status, headers).setFormat(FORMAT_STREAM);
+  }
+
+  static noContent(headers = {}) {
+    return new Response(undefined, 204, headers);
+  }
+
+  /**
+   * Sends the value returned by an action:
+   *
+   *   - undefined:           Nothing is sent; the action is expected to have responded itself, or called next()
+   *   - a response:          Sent with its sendTo() method
+   *   - a readable stream:   Piped into the response
+   *   - a string:            Sent as text, unless a Content-Type was already set
+   *   - a Buffer:            Sent as is
+   *   - anything else:       Sent as JSON, including null
+   *
+   * Nothing is sent either when the headers were already sent.
+   */
+  static send(value, res, next) {
+    if (undefined === value || res.headersSent) {
+      return;
+    }
+
+    if (isResponse(value)) {
+      value.sendTo(res, next);
+    } else if (isStream(value)) {
+      Response.stream(value).sendTo(res, next);
+    } else {
+      sendBody(res, value, FORMAT_AUTO);
+    }
+  }
+
+  static isResponse(value) {
+    return isResponse(value);
+  }
+
+  setFormat(format) {
+    this.format = format;
+    return this;
+  }
+
+  getFormat() {
+    return this.format;
+  }
+
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  getStatus() {
+    return this.status;
+  }
+
+  setHeader(name, value) {
+    this.headers[name] = value;
+    return this;
+  }
+
+  getHeader(name) {
+    const key = Object.keys(this.headers).find(_name => _name.toLowerCase() === name.toLowerCase());
+    return key ? this.headers[key] : undefined;
+  }
+
+  getHeaders() {
+    return this.headers;
+  }
+
+  getBody() {
+    return this.body;
+  }
+
+  getLocation() {
+    return this.location;
+  }
+
+  /**
+   * Applies the response to the Express response
+   */
+  sendTo(res, next) {
+    res.status(this.status);
+    if (Object.keys(this.headers).length > 0) {
+      res.set(this.headers);
+    }
+
+    switch (this.format) {
+      case FORMAT_REDIRECT:
+        res.redirect(this.status, this.location);
+        break;
+      case FORMAT_STREAM:
+        this.body.on('error', next);
+        this.body.pipe(res);
+        break;
+      default:
+        sendBody(res, this.body, this.format);
+    }
+  }
+}
+
+Response.FORMAT_AUTO = FORMAT_AUTO;
+Response.FORMAT_JSON = FORMAT_JSON;
+Response.FORMAT_TEXT = FORMAT_TEXT;
+Response.FORMAT_REDIRECT = FORMAT_REDIRECT;
+Response.FORMAT_STREAM = FORMAT_STREAM;
+
+module.exports = Response;
+
+function sendBody(res, body, format) {
+  if (FORMAT_JSON === format) {
+    res.json(body);
+  } else if (undefined === body) {
+    res.end();
+  } else if ('string' === typeof body) {
+    if (!res.get('Content-Type')) {
+      res.type('text');
+    }
+    res.send(body);
+  } else if (Buffer.isBuffer(body)) {
+    res.send(body);
+  } else {
+    res.json(body);
+  }
+}
+
+function isResponse(value) {
+  return !!value && typeof value === 'object' && typeof value.sendTo === 'function';
+}
+
+function isStream(value) {
+  return !!value && typeof value === 'object' && typeof value.pipe === 'function' && typeof value.on === 'function';
+}
@@ -1,8 +1,17 @@
 'use strict';
 
+const url = require('url');
+
 const pathToRegexp = require('path-to-regexp');
 const RouteRegistryError = require('./RouteRegistryError');
-const { HTTP_METHODS } = require('./constants');
+const Handler = require('./Handler');
+const Response = require('./Response');
+const MockResponder = require('./MockResponder');
+const RequestValidator = require('../Validation/RequestValidator');
+const { HTTP_METHODS, HANDLER_VALIDATION_POLICIES, MOCK_MODES } = require('./constants');
+
+// Marks actions that stand in for ones that are not implemented yet; see Route.placeholder()
+const PLACEHOLDER = Symbol('placeholder');
 
 /**
  * An encapsulation of an HTTP route, to make registering, testing, and moving routes around easier.
@@ -47,6 +56,28 @@ const { HTTP_METHODS } = require('./constants');
  * Using the RouteRegistry to generate path
  *
  *   registry.generate('route_name', { id: 5 });   // Returns "/foo/5/bar" (more details to read in RouteRegistry)
+ *
+ *
+ * Restricting a Route to a host; host parameters are merged into req.params:
+ *
+ *   RouteBuilder.get('/dashboard').host(':tenant.example.com').to( ... );
+ *
+ *
+ * Declaring parameter requirements and defaults outside of the pattern; the following is equivalent to the pattern
+ * "/foo/:id(\\d+)/bar", except that its canonical path remains "/foo/:id/bar":
+ *
+ *   RouteBuilder.get('/foo/:id/bar').requirements({ id: '\\d+' }).defaults({ id: 1 }).to( ... );
+ *
+ *
+ * Accepting handlers that do not declare the exact arguments Express passes them, such as async (req, res) => { ... };
+ * see validate() and Handler:
+ *
+ *   RouteBuilder.get('/foo').handlerValidation('lenient').to(async (req, res) => { ... });
+ *
+ *
+ * Sending the value an action returns as the response, instead of calling res.send(); see Response:
+ *
+ *   RouteBuilder.get('/foo').handlerValidation('lenient').sendReturnValues().to(async req => ({ foo: 'bar' }));
  */
 class Route {
   constructor(route_pattern, options = {}) {
@@ -55,7 +86,7 @@ class Route {
     }
     this.pattern = route_pattern;
 
-    this.action = options.action || (function defaultAction(req, res, next) { res.status(500).send('Under construction.') });
+    this.action = options.action || defaultAction;
     this.methods = options.methods || [ 'get' ];
     this.controller = options.controller || null;
     this.controller_service_id = options.controller_service_id || null;
@@ -65,12 +96,53 @@ class Route {
     this.parameter_converters = options.parameter_converters || [];
     this.error_handlers = options.error_handlers || [];
 
+    // Answers requests on this route's path for methods that no route answers; see RouteRegistry.registerAll()
+    this.method_not_allowed_handler = options.method_not_allowed_handler || null;
+    this.options_handler = options.options_handler || null;
+
+    // The traits ("is" node) this route inherited, with the parameters they were applied with; for introspection only
+    this.traits = options.traits || [];
+
+    // Arbitrary information about the route, e.g. for documentation or authorization
+    this.metadata = options.metadata || {};
+
     this.name = options.name;
     this.priority = options.priority || 0;
 
+    // Regular expressions that parameters must match, and the values of parameters that are not provided; a
+    // requirement embedded in the pattern itself, e.g. "/:id(\\d+)", takes precedence
+    this.requirements = options.requirements || {};
+    this.defaults = options.defaults || {};
+
+    // How strictly the handlers are validated; one of HANDLER_VALIDATION_POLICIES, see validate(). Left unset, the
+    // number of arguments of the handlers is not checked until the route gets a policy; from the registry it is added
+    // to, or the strict default when it is registered on its own. See register()
+    this.handler_validation = options.handler_validation || null;
+
+    // JSON-Schema-like definitions that the params, query, headers and body of requests must satisfy; see
+    // RequestValidator
+    this.validation = options.validation || {};
+
+    // Whether the value returned by the action (or the value its promise resolves to) is sent as the response
+    this.send_return_values = !!options.send_return_values;
+
+    // Whether the route serves the responses it declares instead of running its action; one of MOCK_MODES, or false.
+    // See MockResponder
+    this.mock = options.mock || false;
+
     this.compiled_route = null;
+    this.compiled_regexp = null;
+    this.tokens = null;
     this.canonical_route_path = null;
 
+    // An optional host pattern, e.g. ":tenant.example.com"; compiled like the path, but with "." as the delimiter
+    this.host = options.host || null;
+    this.compiled_host = null;
+    this.compiled_host_regexp = null;
+    this.host_tokens = [];
+    this.canonical_host = '';
+
+    this._compileHost();
     this.compile();
   }
 
@@ -80,6 +152,20 @@ class Route {
     }
     const exception_prefix = `Exception on route: "${this.name}";`;
 
+    if (this.handler_validation && !HANDLER_VALIDATION_POLICIES.includes(this.handler_validation)) {
+      throw new RouteRegistryError(
+        'route_invalid_handler_validation',
+        `${exception_prefix} Invalid handler validation "${this.handler_validation}"; must be one of: ${HANDLER_VALIDATION_POLICIES.join(', ')}.`
+      );
+    }
+
+    if (this.mock && !MOCK_MODES.includes(this.mock)) {
+      throw new RouteRegistryError(
+        'route_invalid_mock',
+        `${exception_prefix} Invalid mock mode "${this.mock}"; must be one of: ${MOCK_MODES.join(', ')}.`
+      );
+    }
+
     this.methods.forEach(method => {
       if (!HTTP_METHODS.includes(method)) {
         throw new RouteRegistryError(
@@ -89,6 +175,47 @@ class Route {
       }
     });
 
+    if (this.host) {
+      const path_parameters = this.tokens.filter(_token => typeof _token === 'object').map(_token => String(_token.name));
+      this.host_tokens.filter(_token => typeof _token === 'object').forEach(_token => {
+        if (path_parameters.includes(String(_token.name))) {
+          throw new RouteRegistryError(
+            'route_duplicate_parameter',
+            `${exception_prefix} The parameter "${_token.name}" appears in both the host and the path.`
+          );
+        }
+      });
+    }
+
+    Object.keys(this.requirements).forEach(id => {
+      const requirement = this.requirements[id];
+      if (typeof requirement !== 'string' && !(requirement instanceof RegExp)) {
+        throw new RouteRegistryError(
+          'route_invalid_requirement',
+          `${exception_prefix} The requirement of parameter "${id}" must be a string or a RegExp.`
+        );
+      }
+    });
+
+    if (null === this.validation || typeof this.validation !== 'object' || Array.isArray(this.validation)) {
+      throw new RouteRegistryError('route_invalid_validation', `${exception_prefix} Validation schemas must be an object.`);
+    }
+    Object.keys(this.validation).forEach(section => {
+      const schema = this.validation[section];
+      if (!RequestValidator.SECTIONS.includes(section)) {
+        throw new RouteRegistryError(
+          'route_invalid_validation',
+          `${exception_prefix} Cannot validate "${section}"; must be one of: ${RequestValidator.SECTIONS.join(', ')}.`
+        );
+      }
+      if (typeof schema !== 'boolean' && (null === schema || typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new RouteRegistryError(
+          'route_invalid_validation',
+          `${exception_prefix} The validation schema of "${section}" must be an object or a boolean.`
+        );
+      }
+    });
+
     if (this.priority) {
       if (typeof this.priority !== 'number') {
         throw new RouteRegistryError('route_invalid_priority', `${exception_prefix} Invalid route priority specified.`);
@@ -108,7 +235,7 @@ class Route {
       if (typeof this.controller[this.action] !== 'function') {
         throw new RouteRegistryError('route_action_not_callable', `${exception_prefix} Controller action is not callable.`);
       }
-      if (this.controller[this.action].length !== 3) {
+      if (!this._acceptsHandler(this.controller[this.action], [ Handler.ACTION ], 3, 'Controller action')) {
         throw new RouteRegistryError(
           'route_controller_action_incorrect_argument_count',
           `${exception_prefix} Controller action definition accepts wrong number of arguments: Must be 3 (req, res, next).`
@@ -118,7 +245,7 @@ class Route {
       if (typeof this.action !== 'function') {
         throw new RouteRegistryError('route_invalid_function_action', `${exception_prefix} Invalid action specified.`);
       }
-      if (this.action.length !== 3) {
+      if (!this._acceptsHandler(this.action, [ Handler.ACTION ], 3, 'Action')) {
         throw new RouteRegistryError(
           'route_function_action_incorrect_argument_count',
           `${exception_prefix} Action definition accepts wrong number of arguments: Must be 3 (req, res, next).`
@@ -128,7 +255,7 @@ class Route {
 
     //
     // Validate the middleware
-    //   It needs to be an array of functions with 3 arguments; (req, res, next)
+    //   It needs to be an array of functions with 3 arguments; (req, res, next), unless _acceptsHandler() says otherwise
     //
 
     if (!Array.isArray(this.middleware)) {
@@ -139,7 +266,7 @@ class Route {
       if (typeof _middleware !== 'function') {
         throw new RouteRegistryError('route_invalid_middleware', `${exception_prefix} Middleware at index ${_index} is invalid.`);
       }
-      if (_middleware.length !== 3) {
+      if (!this._acceptsHandler(_middleware, [ Handler.MIDDLEWARE ], 3, `Middleware at index ${_index}`)) {
         throw new RouteRegistryError(
           'route_middleware_incorrect_argument_count',
           `${exception_prefix} Middleware at index ${_index} accepts the wrong number of arguments; must be 3 (req, res, next).`
@@ -179,7 +306,7 @@ class Route {
             `${exception_prefix} Parameter converter at ${_index} is invalid.`
           );
         }
-        if (func.length !== 4) {
+        if (!this._acceptsHandler(func, [ Handler.PARAMETER_CONVERTER ], 4, `Parameter converter at ${_index}`)) {
           throw new RouteRegistryError(
             'route_invalid_parameter_converter_argument_count',
             `${exception_prefix} Parameter converter at ${_index} accepts the wrong number of arguments; Must be 4 (req, res, next, id).`
@@ -196,7 +323,7 @@ class Route {
 
     //
     // Validate your error handlers
-    //   It needs to be an array of functions with 4 arguments, (err, req, res, next)
+    //   It needs to be an array of functions with 4 arguments, (err, req, res, next), unless _acceptsHandler() says otherwise
     //
     if (!Array.isArray(this.error_handlers)) {
       throw new RouteRegistryError('error_handlers_not_array', `${exception_prefix} Error Handlers is not an array.`);
@@ -206,35 +333,93 @@ class Route {
       if (typeof _error_handler !== 'function') {
         throw new RouteRegistryError('route_invalid_error_handler', `${exception_prefix} Error Handler at index ${_index} is invalid.`);
       }
-      if (_error_handler.length !== 4) {
+      if (!this._acceptsHandler(_error_handler, [ Handler.ERROR_HANDLER ], 4, `Error Handler at index ${_index}`)) {
         throw new RouteRegistryError(
           'route_error_handler_incorrect_argument_count',
           `${exception_prefix} Error Handler at index ${_index} accepts the wrong number of arguments; Must be 4 (err, req, res, next).`
         );
       }
     });
+
+    //
+    // Validate the 405 Method Not Allowed and OPTIONS handlers
+    //   They are optional, but otherwise behave like actions; (req, res, next)
+    //
+    [
+      [ 'method_not_allowed_handler', 'Method Not Allowed handler' ],
+      [ 'options_handler', 'OPTIONS handler' ],
+    ].forEach(([ _property, _description ]) => {
+      const handler = this[_property];
+      if (null === handler) {
+        return;
+      }
+      if (typeof handler !== 'function') {
+        throw new RouteRegistryError(`route_invalid_${_property}`, `${exception_prefix} ${_description} is invalid.`);
+      }
+      if (!this._acceptsHandler(handler, [ Handler.ACTION, Handler.MIDDLEWARE ], 3, _description)) {
+        throw new RouteRegistryError(
+          `route_${_property}_incorrect_argument_count`,
+          `${exception_prefix} ${_description} accepts the wrong number of arguments; Must be 3 (req, res, next).`
+        );
+      }
+    });
   }
 
   register(express_router) {
+    // Routes that were never given a handler validation policy are held to the default one from here on
+    if (!this.hasHandlerValidation()) {
+      this.setHandlerValidation(this.getHandlerValidation());
+    }
+
     const action = this.getRouteDestination();
 
+    // Express 4 ignores whatever handlers return, so async handlers are wrapped to pass their rejections to next()
+    const route_handlers = this.middleware.concat(action).map(wrapHandler);
+
+    // Requests are validated after the parameter converters fired, but before any middleware
+    const validation_handler = this.getValidationHandler();
+    if (validation_handler) {
+      route_handlers.unshift(validation_handler);
+    }
+    // Defaults are filled in before the parameter converters fire, so converters see defaulted parameters the same as
+    // captured ones, like with RouteDispatcher. Express only fires converters for the parameters it captured, so routes
+    // with defaults fire all of their converters here instead
+    const has_defaults = this._getDefaultedParameterNames().length > 0;
+    if (has_defaults) {
+      route_handlers.unshift((req, res, next) => {
+        this._applyDefaults(req.params);
+        runHandlers(this.getParameterConverterHandlers(req.params), req, res, next);
+      });
+    }
+
     // Annoying, but parameter converters are global to the whole application/current router. In order to prevent
     // the parameter converter from bleeding into a higher-level router context, we need to create a sub-router
     // Similarly, error handlers are global to the current router.
-    if (this.parameter_converters.length > 0 || this.error_handlers.length > 0) {
+    // Host and parameter requirements also need a sub-router, so they are checked before any parameter converter fires
+    const has_requirements = !!this.host || this._hasAppliedRequirements();
+    if (this.parameter_converters.length > 0 || this.error_handlers.length > 0 || has_requirements) {
       // FIXME (derek) Hack; this inline express dependency messes up my original intention to make this
       // class not depend on express at all (and thus be OK to use on the React app). How to fix this?
       const sub_router = require('express').Router();
-      this.parameter_converters.forEach(c => {
-        sub_router.param(c.id, c.parameter_converter);
-      });
+
+      if (has_requirements) {
+        const requirement_handlers = this._createRequirementHandlers();
+        sub_router.use(requirement_handlers.check);
+        route_handlers.unshift(requirement_handlers.restore);
+      }
+
+      if (!has_defaults) {
+        this.parameter_converters.forEach(c => {
+          sub_router.param(c.id, wrapHandler(c.parameter_converter));
+        });
+      }
 
       this.methods.forEach(method => {
-        sub_router[method](this.pattern, ...this.middleware, action);
+        sub_router[method](this.pattern, ...route_handlers);
       });
 
       this.error_handlers.forEach(error_handler => {
-        sub_router.use(error_handler);
+        sub_router.use(wrapErrorHandler(error_handler));
       });
 
       express_router.use(sub_router);
@@ -244,18 +429,131 @@ class Route {
     // since the matched route pattern is final
     else {
       this.methods.forEach(method => {
-        express_router[method](this.pattern, ...this.middleware, action);
+        express_router[method](this.pattern, ...route_handlers);
       });
     }
   }
 
+  /**
+   * Express has no notion of hosts, and is registered with the pattern as-is, without the requirements declared
+   * outside of it. These are enforced with two handlers:
+   *
+   * - check: Middleware ahead of the actual route. It leaves the sub-router when the request does not satisfy the
+   *          requirements, and otherwise fires the parameter converters of the host parameters. It is not registered
+   *          as a route, as the parameter converters of the path would fire for it as well
+   * - restore: The first handler of the actual route; merges the host parameters into req.params, which Express
+   *          resets for every route
+   */
+  _createRequirementHandlers() {
+    const host_parameters = new WeakMap();
+
+    const check = (req, res, next) => {
+      // The sub-router holds only this route, so there is nothing left in it for requests the route does not answer
+      const path = typeof req.path === 'string' ? req.path : url.parse(req.url).pathname;
+      if (!this.handlesMethod(req.method) || !this.isMatch(path)) {
+        next('router');
+        return;
+      }
+
+      const parameters = this.extractHostParameters(Route.getRequestHostname(req));
+      if (null === parameters) {
+        next('router');
+        return;
+      }
+      host_parameters.set(req, parameters);
+
+      // Routes with defaults fire the converters of their host parameters along with the others; see register()
+      const has_defaults = this._getDefaultedParameterNames().length > 0;
+      runHandlers(has_defaults ? [] : this.getParameterConverterHandlers(parameters), req, res, next);
+    };
+
+    const restore = (req, res, next) => {
+      Object.assign(req.params, host_parameters.get(req));
+      next();
+    };
+
+    return { check, restore };
+  }
+
   /**
    * Generates the URL
    *
    * @param parameters
    */
   generate(parameters) {
-    return this.compiled_route(parameters); // This will raise exceptions if it's missing parameters
+    // This will raise exceptions if it's missing parameters, or if they do not match the requirements
+    return this.compiled_route(Object.assign({}, this.defaults, parameters));
+  }
+
+  /**
+   * Generates the host, or returns null when the route has no host requirement.
+   *
+   * @param parameters
+   * @returns {string|null}
+   */
+  generateHost(parameters) {
+    return this.compiled_host ? this.compiled_host(Object.assign({}, this.defaults, parameters)) : null;
+  }
+
+  getHost() {
+    return this.host;
+  }
+
+  setHost(host) {
+    this.host = host || null;
+    this._compileHost();
+    this.validate();
+    return this;
+  }
+
+  /**
+   * Returns the host pattern parsed into path-to-regexp tokens; an empty array when the route has no host requirement.
+   *
+   * @returns {Array}
+   */
+  getHostTokens() {
+    return this.host_tokens;
+  }
+
+  /**
+   * Like getCanonicalRoutePath(), but for the host pattern. Returns an empty string when there is no host requirement.
+   *
+   * @returns {string}
+   */
+  getCanonicalHost() {
+    return this.canonical_host;
+  }
+
+  /**
+   * Routes without a host requirement answer any host.
+   *
+   * @param {string} hostname    Without the port
+   * @returns {boolean}
+   */
+  handlesHost(hostname) {
+    return !this.host || null !== this.extractHostParameters(hostname);
+  }
+
+  /**
+   * Returns the parameters captured from the given hostname, or null if it does not match the host requirement.
+   *
+   * @param {string} hostname    Without the port
+   * @returns {Object|null}
+   */
+  extractHostParameters(hostname) {
+    if (!this.host) {
+      return {};
+    }
+    const match = this.compiled_host_regexp.exec(hostname || '');
+    if (null === match) {
+      return null;
+    }
+
+    const parameters = {};
+    this.host_tokens.filter(_token => typeof _token === 'object').forEach((_token, _index) => {
+      parameters[_token.name] = match[_index + 1];
+    });
+    return parameters;
   }
 
   getPattern() {
@@ -264,14 +562,115 @@ class Route {
 
   setPattern(pattern) {
     this.pattern = pattern;
-    this.compiled_route = null;
-    this.canonical_route_path = null;
+    this._recompile();
 
-    this.compile();
+    return this;
+  }
+
+  /**
+   * Whether a handler passes the handler validation policy, given the kinds of handler it may be tagged as and the
+   * number of arguments it must otherwise declare. Throws when, under the "explicit" policy, the handler is tagged
+   * as another kind of handler.
+   */
+  _acceptsHandler(handler, kinds, argument_count, description) {
+    if (!this.hasHandlerValidation()) {
+      return true;
+    }
+
+    const handler_validation = this.getHandlerValidation();
+    if ('lenient' === handler_validation) {
+      return true;
+    }
+
+    const kind = Handler.getKind(handler);
+    if ('explicit' === handler_validation && kind) {
+      if (!kinds.includes(kind)) {
+        throw new RouteRegistryError(
+          'route_handler_kind_mismatch',
+          `Exception on route: "${this.name}"; ${description} is tagged as a "${kind}" handler; expected: ${kinds.join(' or ')}.`
+        );
+      }
+      return true;
+    }
+
+    return handler.length === argument_count;
+  }
+
+  setHandlerValidation(handler_validation) {
+    this.handler_validation = handler_validation;
+    this.validate();
+    return this;
+  }
+
+  getHandlerValidation() {
+    return this.handler_validation || 'strict';
+  }
+
+  /**
+   * Whether the route was given a handler validation policy of its own, rather than the default
+   */
+  hasHandlerValidation() {
+    return null !== this.handler_validation;
+  }
+
+  setValidation(validation) {
+    this.validation = validation;
+    this.validate();
+    return this;
+  }
+
+  getValidation() {
+    return this.validation;
+  }
+
+  /**
+   * Returns the middleware validating requests against the validation schemas, or null when there are none
+   */
+  getValidationHandler() {
+    if (0 === Object.keys(this.validation).length) {
+      return null;
+    }
+    return new RequestValidator(this.validation).middleware();
+  }
+
+  setSendReturnValues(send_return_values) {
+    this.send_return_values = !!send_return_values;
+    return this;
+  }
+
+  isSendingReturnValues() {
+    return this.send_return_values;
+  }
 
+  setMock(mock) {
+    this.mock = mock || false;
+    this.validate();
     return this;
   }
 
+  getMock() {
+    return this.mock;
+  }
+
+  /**
+   * Routes are implemented unless their action is a placeholder, like the default action; see Route.placeholder()
+   */
+  isImplemented() {
+    return !(typeof this.action === 'function' && this.action[PLACEHOLDER]);
+  }
+
+  /**
+   * Marks an action as standing in for one that is not implemented yet, so that the registry's "mock" option
+   * 'missing' serves the route's declared responses in its place
+   *
+   * @param {Function} action
+   * @returns {Function}
+   */
+  static placeholder(action) {
+    action[PLACEHOLDER] = true;
+    return action;
+  }
+
   setPriority(priority) {
     this.priority = priority;
     this.validate();
@@ -290,10 +689,34 @@ class Route {
     return this.methods;
   }
 
+  /**
+   * Returns true if this route answers the given HTTP method. Like Express, routes with a GET action also
+   * answer HEAD requests.
+   *
+   * @param {string} method
+   * @returns {boolean}
+   */
+  handlesMethod(method) {
+    method = method.toLowerCase();
+    if (this.methods.includes(method)) {
+      return true;
+    }
+    return method === 'head' && this.methods.includes('get');
+  }
+
   getCanonicalRoutePath() {
     return this.canonical_route_path;
   }
 
+  /**
+   * Returns the pattern parsed into path-to-regexp tokens; static strings and parameter descriptor objects.
+   *
+   * @returns {Array}
+   */
+  getTokens() {
+    return this.tokens;
+  }
+
   setMiddleware(middleware) {
     this.middleware = middleware;
     this.validate();
@@ -314,13 +737,70 @@ class Route {
     return this;
   }
 
+  getMethodNotAllowedHandler() {
+    return this.method_not_allowed_handler;
+  }
+
+  setMethodNotAllowedHandler(handler) {
+    this.method_not_allowed_handler = handler;
+    this.validate();
+    return this;
+  }
+
+  getOptionsHandler() {
+    return this.options_handler;
+  }
+
+  setOptionsHandler(handler) {
+    this.options_handler = handler;
+    this.validate();
+    return this;
+  }
+
+  /**
+   * Returns the traits applied to this route, outermost first, as [ { name, parameters }, ... ]
+   *
+   * @returns {Array.<Object>}
+   */
+  getTraits() {
+    return this.traits;
+  }
+
+  setTraits(traits) {
+    this.traits = traits;
+    return this;
+  }
+
+  /**
+   * @returns {Object}
+   */
+  getMetadata() {
+    return this.metadata;
+  }
+
+  setMetadata(metadata) {
+    this.metadata = metadata;
+    return this;
+  }
+
   getRouteDestination() {
-    if (this.controller && this.controller.constructor && this.action) {
-      // Bind 'this' to the controller to prevent problems later on
-      return this.controller[this.action].bind(this.controller);
-    } else if (typeof this.action === 'function') {
-      return this.action;
+    if ('all' === this.mock || ('missing' === this.mock && !this.isImplemented())) {
+      const mock_responder = MockResponder.forRoute(this);
+      if (mock_responder) {
+        return mock_responder.action();
+      }
     }
+
+    const action = (() => {
+      if (this.controller && this.controller.constructor && this.action) {
+        // Bind 'this' to the controller to prevent problems later on
+        return this.controller[this.action].bind(this.controller);
+      } else if (typeof this.action === 'function') {
+        return this.action;
+      }
+    })();
+
+    return action && this.send_return_values ? sendingReturnValue(action) : action;
   }
 
   setParameterConverters(parameter_converters) {
@@ -334,8 +814,148 @@ class Route {
   }
 
   isMatch(route) {
-    // FIXME (derek) I *think* this is how it works but I'm not 100% clear
-    return null !== pathToRegexp(this.pattern).exec(route);
+    return null !== this.compiled_regexp.exec(route);
+  }
+
+  /**
+   * Returns the named (and unnamed) parameters captured from the given path, or null if the path does not match.
+   *
+   * Parameters are URI-decoded the same way Express decodes req.params; a malformed parameter raises a URIError
+   * with a status of 400.
+   *
+   * When a hostname is given, the host parameters are included as well, and null is returned if the host does not
+   * match.
+   *
+   * @param {string} path
+   * @param {string} [hostname]
+   * @returns {Object|null}
+   */
+  extractParameters(path, hostname) {
+    const match = this.compiled_regexp.exec(path);
+    if (null === match) {
+      return null;
+    }
+
+    const parameters = undefined === hostname ? {} : this.extractHostParameters(hostname);
+    if (null === parameters) {
+      return null;
+    }
+    this.tokens.filter(_token => typeof _token === 'object').forEach((_token, _index) => {
+      parameters[_token.name] = decodeParameter(match[_index + 1]);
+    });
+    this._applyDefaults(parameters);
+    return parameters;
+  }
+
+  getRequirements() {
+    return this.requirements;
+  }
+
+  setRequirements(requirements) {
+    this.requirements = requirements;
+    this._recompile();
+    return this;
+  }
+
+  getDefaults() {
+    return this.defaults;
+  }
+
+  setDefaults(defaults) {
+    this.defaults = defaults;
+    return this;
+  }
+
+  /**
+   * The parameter converters to fire for the given parameters, as (req, res, next) handlers. Like Express, converters
+   * fire once per parameter, in the order the parameters appear in the host and then the pattern, and parameters that
+   * are undefined are skipped.
+   *
+   * @param {Object} parameters
+   * @returns {Function[]}
+   */
+  getParameterConverterHandlers(parameters) {
+    const handlers = [];
+
+    this.host_tokens.concat(this.tokens).filter(_token => typeof _token === 'object').forEach(_token => {
+      const value = parameters[_token.name];
+      if (undefined === value) {
+        return;
+      }
+
+      this.parameter_converters
+        .filter(_converter => String(_converter.id) === String(_token.name))
+        .forEach(_converter => {
+          handlers.push((req, res, next) => _converter.parameter_converter(req, res, next, value));
+        });
+    });
+
+    return handlers;
+  }
+
+  /**
+   * Fills in the defaults of the parameters that were not captured. Defaults of parameters that appear in neither
+   * the host nor the path are left out, as defaults are inherited by entire route collections.
+   */
+  _applyDefaults(parameters) {
+    this._getDefaultedParameterNames().forEach(_name => {
+      if (undefined === parameters[_name]) {
+        parameters[_name] = this.defaults[_name];
+      }
+    });
+  }
+
+  _hasAppliedRequirements() {
+    return this.host_tokens.concat(this.tokens).some(_token => typeof _token === 'object' && _token.name in this.requirements);
+  }
+
+  _getDefaultedParameterNames() {
+    return this.host_tokens.concat(this.tokens)
+      .filter(_token => typeof _token === 'object' && _token.name in this.defaults)
+      .map(_token => _token.name);
+  }
+
+  _recompile() {
+    this.compiled_route = null;
+    this.compiled_regexp = null;
+    this.tokens = null;
+    this.canonical_route_path = null;
+
+    this._compileHost();
+    this.compile();
+  }
+
+  /**
+   * Replaces the default patterns of the parameters that have a requirement.
+   */
+  _applyRequirements(tokens) {
+    return tokens.map(_token => {
+      if (typeof _token !== 'object' || !(_token.name in this.requirements)) {
+        return _token;
+      }
+      if (_token.pattern !== `[^${escapeString(_token.delimiter)}]+?`) {
+        return _token;
+      }
+      return Object.assign({}, _token, { pattern: normalizeRequirement(this.requirements[_token.name]) });
+    });
+  }
+
+  _compileHost() {
+    if (!this.host) {
+      this.compiled_host = null;
+      this.compiled_host_regexp = null;
+      this.host_tokens = [];
+      this.canonical_host = '';
+      return;
+    }
+
+    const host_options = { delimiter: '.' };
+    this.host_tokens = this._applyRequirements(pathToRegexp.parse(this.host, host_options));
+    this.compiled_host = pathToRegexp.tokensToFunction(this.host_tokens);
+    this.compiled_host_regexp = pathToRegexp.tokensToRegExp(this.host_tokens, [], host_options);
+    this.canonical_host = this.host_tokens.map(_part => {
+      return typeof _part === 'string' ? _part.toLowerCase() : `${_part.prefix}:${_part.name}`;
+    }).join('');
   }
 
   compile() {
@@ -345,7 +965,9 @@ class Route {
 
     // Chew up the URL's structural pattern so we can make sense of it and do cool stuff with it later
     // https://www.npmjs.com/package/path-to-regexp
-    this.compiled_route = pathToRegexp.compile(this.pattern);
+    this.tokens = this._applyRequirements(pathToRegexp.parse(this.pattern));
+    this.compiled_route = pathToRegexp.tokensToFunction(this.tokens);
+    this.compiled_regexp = pathToRegexp.tokensToRegExp(this.tokens);
     this.canonical_route_path = this._generateCanonicalRoutePath();
     this.name = this.name || this._generateName();
 
@@ -353,8 +975,7 @@ class Route {
   }
 
   _generateCanonicalRoutePath() {
-    const parts = pathToRegexp.parse(this.pattern);
-    return parts.map(_part => {
+    return this.tokens.map(_part => {
       if (typeof _part === 'string') {
         return _part;
       } else {
@@ -383,9 +1004,8 @@ class Route {
     // it is generally undesirable to use this route name as it can subtly change when the URL path changes,
     // as opposed to the others. The BEST thing to do is be explicit about route names.
     else {
-      const tokens = pathToRegexp.parse(this.pattern);
       const bits = [ this.methods.join('|') ];
-      tokens.forEach(_token => {
+      this.tokens.forEach(_token => {
         if (typeof _token === 'string') {
           // strip out slashes /
           // the g is necessary to replace all instances
@@ -399,4 +1019,131 @@ class Route {
   }
 }
 
+/**
+ * Returns the hostname of the request without the port, preferring Express's req.hostname (which respects the
+ * "trust proxy" setting).
+ *
+ * @param {Object} req
+ * @returns {string}
+ */
+Route.getRequestHostname = function getRequestHostname(req) {
+  if (typeof req.hostname === 'string') {
+    return req.hostname;
+  }
+  const host = (req.headers && req.headers.host) || '';
+  // IPv6 literals are enclosed in brackets, e.g. [::1]:3000
+  return host.replace(/^(\[[^\]]*\]|[^:]*):\d*$/, '$1');
+};
+
+/**
+ * Passes the rejection of a promise returned by a handler on to next(), like Express 5 does. Promises that reject
+ * without a reason are rejected with an Error instead, as next() would otherwise treat them as a success.
+ *
+ * @param {*} result    Whatever the handler returned
+ * @param {function} next
+ */
+function forwardRejection(result, next) {
+  if (result && typeof result.then === 'function') {
+    result.then(undefined, err => next(err || new Error('Rejected promise')));
+  }
+}
+
+/**
+ * Wraps middleware, actions and parameter converters; (req, res, next) or (req, res, next, value). The wrapper keeps
+ * the name, and an arity of 3 so Express does not mistake it for an error handler.
+ */
+function wrapHandler(handler) {
+  const wrapper = function(req, res, next) {
+    forwardRejection(handler.apply(this, arguments), next);
+  };
+  Object.defineProperty(wrapper, 'name', { value: handler.name });
+  return wrapper;
+}
+
+/**
+ * Runs (req, res, next) handlers one after the other, until one of them passes an error or something else to next()
+ */
+function runHandlers(handlers, req, res, next) {
+  let index = 0;
+  const nextHandler = err => {
+    const handler = handlers[index++];
+    if (err || !handler) {
+      next(err);
+      return;
+    }
+    try {
+      wrapHandler(handler)(req, res, nextHandler);
+    } catch (handler_err) {
+      next(handler_err);
+    }
+  };
+  nextHandler();
+}
+
+/**
+ * Same as wrapHandler(), but for error handlers; (err, req, res, next).
+ */
+function wrapErrorHandler(handler) {
+  const wrapper = function(err, req, res, next) {
+    forwardRejection(handler.apply(this, arguments), next);
+  };
+  Object.defineProperty(wrapper, 'name', { value: handler.name });
+  return wrapper;
+}
+
+/**
+ * Wraps an action to send what it returns, or what the promise it returns resolves to; see Response.send()
+ */
+function sendingReturnValue(action) {
+  const wrapper = function(req, res, next) {
+    const result = action.apply(this, arguments);
+    if (result && typeof result.then === 'function') {
+      return result.then(value => Response.send(value, res, next));
+    }
+    Response.send(result, res, next);
+  };
+  Object.defineProperty(wrapper, 'name', { value: action.name });
+  return wrapper;
+}
+
+Route.forwardRejection = forwardRejection;
+
+const defaultAction = Route.placeholder(function defaultAction(req, res, next) {
+  res.status(500).send('Under construction.');
+});
+
+/**
+ * Requirements are regular expressions, or their source; capturing groups are made non-capturing, as they would
+ * otherwise shift the positions of the captured parameters. Escaped parentheses and those in character classes, like
+ * "[(]", are left alone.
+ */
+function normalizeRequirement(requirement) {
+  const source = requirement instanceof RegExp ? requirement.source : String(requirement);
+  return source.replace(/\\.|\[(?:\\.|[^\]\\])*\]|\((?!\?)/g, _token => '(' === _token ? '(?:' : _token);
+}
+
+// Same as path-to-regexp's escapeString(), which it uses to build the default pattern of parameters
+function escapeString(str) {
+  return str.replace(/([.+*?=^!:${}()[\]|/\\])/g, '\\$1');
+}
+
+/**
+ * Mirrors decode_param() from Express's router Layer
+ */
+function decodeParameter(value) {
+  if (typeof value !== 'string' || value.length === 0) {
+    return value;
+  }
+
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    if (err instanceof URIError) {
+      err.message = `Failed to decode param '${value}'`;
+      err.status = err.statusCode = 400;
+    }
+    throw err;
+  }
+}
+
 module.exports = Route;
@@ -73,6 +73,46 @@ class RouteBuilder {
     return this;
   }
 
+  metadata(metadata) {
+    this.opts.metadata = metadata;
+    return this;
+  }
+
+  host(host) {
+    this.opts.host = host;
+    return this;
+  }
+
+  requirements(requirements) {
+    this.opts.requirements = Object.assign({}, this.opts.requirements, requirements);
+    return this;
+  }
+
+  defaults(defaults) {
+    this.opts.defaults = Object.assign({}, this.opts.defaults, defaults);
+    return this;
+  }
+
+  validation(validation) {
+    this.opts.validation = Object.assign({}, this.opts.validation, validation);
+    return this;
+  }
+
+  handlerValidation(handler_validation) {
+    this.opts.handler_validation = handler_validation;
+    return this;
+  }
+
+  sendReturnValues(send_return_values = true) {
+    this.opts.send_return_values = send_return_values;
+    return this;
+  }
+
+  mock(mock = 'all') {
+    this.opts.mock = mock;
+    return this;
+  }
+
   toAction(action) {
     this.opts.action = action;
     return this.build();
@@ -1,5 +1,7 @@
 'use strict';
 
+const RequestValidator = require('../Validation/RequestValidator');
+
 class RouteCollection {
   constructor() {
     this.routes = {};
@@ -86,6 +88,108 @@ class RouteCollection {
     });
   }
 
+  /**
+   * Sets the handler for 405 Method Not Allowed responses on all routes in the collection that do not already
+   * have one, so handlers configured on more specific (lower-level) collections take precedence.
+   */
+  setMethodNotAllowedHandler(handler) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      if (!route.getMethodNotAllowedHandler()) {
+        route.setMethodNotAllowedHandler(handler);
+      }
+    });
+  }
+
+  /**
+   * Same as setMethodNotAllowedHandler(), but for automatic OPTIONS responses.
+   */
+  setOptionsHandler(handler) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      if (!route.getOptionsHandler()) {
+        route.setOptionsHandler(handler);
+      }
+    });
+  }
+
+  /**
+   * Adds the given parameter requirements to all routes in the collection, without overriding the requirements they
+   * already have; requirements configured on more specific (lower-level) collections take precedence.
+   */
+  inheritRequirements(requirements) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setRequirements(Object.assign({}, requirements, route.getRequirements()));
+    });
+  }
+
+  /**
+   * Same as inheritRequirements(), but for parameter defaults.
+   */
+  inheritDefaults(defaults) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setDefaults(Object.assign({}, defaults, route.getDefaults()));
+    });
+  }
+
+  /**
+   * Merges the given validation schemas into those of all routes in the collection; schemas configured on more
+   * specific (lower-level) collections take precedence. See RequestValidator.mergeSchemas().
+   */
+  inheritValidation(validation) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setValidation(RequestValidator.mergeSchemas(validation, route.getValidation()));
+    });
+  }
+
+  /**
+   * Sets the host requirement on all routes in the collection that do not already have one, so hosts configured on
+   * more specific (lower-level) collections take precedence.
+   */
+  setHost(host) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      if (!route.getHost()) {
+        route.setHost(host);
+      }
+    });
+  }
+
+  /**
+   * Adds the given parameter converters to all routes in the collection, ahead of the ones they already have.
+   */
+  prependAllParameterConverters(parameter_converters) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setParameterConverters(parameter_converters.concat(route.getParameterConverters()));
+    });
+  }
+
+  /**
+   * Merges the given metadata into all routes in the collection, without overriding the metadata they already have;
+   * metadata configured on more specific (lower-level) collections takes precedence.
+   */
+  inheritMetadata(metadata) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setMetadata(Object.assign({}, metadata, route.getMetadata()));
+    });
+  }
+
+  /**
+   * Records the given traits on all routes in the collection, ahead of the traits they already have; traits applied
+   * at higher levels are applied later, but are listed first.
+   */
+  prependTraits(traits) {
+    Object.keys(this.routes).forEach(route_name => {
+      const route = this.routes[route_name];
+      route.setTraits(traits.concat(route.getTraits()));
+    });
+  }
+
   addPrefix(prefix) {
     prefix = prefix.trim();
     prefix = trimStuff(prefix, '/');
@@ -3,20 +3,49 @@
 const RouteCollection = require('./RouteCollection');
 const RouteBuilder = require('./RouteBuilder');
 const RouteRegistryError = require('./RouteRegistryError');
+const RequestValidator = require('../Validation/RequestValidator');
 const { HTTP_METHODS } = require('./constants');
 
+// The keys a trait can be configured with; "description" and "usage" are informational only, as in RAML
+const TRAIT_KEYS = [ 'middleware', 'error', 'param', 'priority', 'metadata', 'is', 'parameters', 'description', 'usage' ];
+
+// The property that the FileLoader tags the configurations it reads with, naming the file they came from; a symbol,
+// so that it never clashes with the keys of the configuration
+const SOURCE_FILE = Symbol('source_file');
+
+// The routes a "resource" node expands to, relative to the resource's path
+const RESOURCE_ACTIONS = [
+  { action: 'index', methods: [ 'get' ], path: '' },
+  { action: 'create', methods: [ 'post' ], path: '' },
+  { action: 'show', methods: [ 'get' ], path: '/:identifier' },
+  { action: 'update', methods: [ 'put', 'patch' ], path: '/:identifier' },
+  { action: 'destroy', methods: [ 'delete' ], path: '/:identifier' },
+];
+
 class RouteCollectionBuilder {
   constructor(configuration) {
     this.configuration = configuration;
     this.traits = {};
+    // The configurations that the traits were defined in, by trait name; see _extractTraits()
+    this.trait_sources = {};
+    this.resource_types = {};
+    this.import_roots = new Set();
     this.root_collection = null;
     this.container = null;
+    this.handler_validation = null;
   }
 
   setContainer(service_container) {
     this.container = service_container;
   }
 
+  /**
+   * The handler validation policy of the routes that are built; see Route.validate()
+   */
+  setHandlerValidation(handler_validation) {
+    this.handler_validation = handler_validation;
+  }
+
   hasContainer() {
     return !!this.container;
   }
@@ -27,19 +56,30 @@ class RouteCollectionBuilder {
     return this.root_collection;
   }
 
-  _recursiveRouteBuilder(current_configuration, parent_route_collection, prefix = '') {
+  _recursiveRouteBuilder(current_configuration, parent_route_collection, prefix = '', parent_path = '') {
     const this_collection = new RouteCollection();
+    const resource_path = parent_path + prefix;
 
     // Register all traits and resourceTypes
     this._extractTraits(current_configuration);
+    this._extractResourceTypes(current_configuration);
+
+    // When the 'type' node is used, the resource type's template is merged into this configuration level
+    current_configuration = this._applyResourceType(current_configuration, resource_path);
 
     // Add all of the routes to this collection
     this._extractRoutes(current_configuration, this_collection);
 
+    // RESTful resources expand into their conventional routes
+    this._extractResource(current_configuration, this_collection, prefix);
+
     // Next, recursively construct and add all sub-collections
     // This is done BEFORE middleware/parameter converters are set so that the sub-routes can properly
     // inherit middleware.
-    this._extractSubRoutes(current_configuration, this_collection);
+    this._extractSubRoutes(current_configuration, this_collection, resource_path);
+
+    // Imported configurations are built the same way as sub-routes, just without a prefix of their own
+    this._extractImports(current_configuration, this_collection, resource_path);
 
     // We have all the routes registered by this point. Here we begin to add features that are common to
     // or inherited by all routes in and below this current route collection
@@ -52,6 +92,17 @@ class RouteCollectionBuilder {
       this_collection.setPriority(current_configuration.priority);
     }
 
+    // Host requirement, e.g. ":tenant.example.com"; the host configured closest to the route wins
+    if ('host' in current_configuration) {
+      this_collection.setHost(current_configuration.host);
+    }
+
+    // Parameter requirements and defaults
+    this._extractRequirements(current_configuration, this_collection);
+
+    // Request validation schemas
+    this._extractValidation(current_configuration, this_collection);
+
     // Middleware
     this._extractMiddleware(current_configuration, this_collection);
 
@@ -61,8 +112,14 @@ class RouteCollectionBuilder {
     // Error handlers
     this._extractErrorHandlers(current_configuration, this_collection);
 
+    // 405 Method Not Allowed and automatic OPTIONS responses
+    this._extractAllowedMethodHandlers(current_configuration, this_collection);
+
+    // Arbitrary metadata
+    this._extractMetadata(current_configuration, this_collection);
+
     // Lastly, apply traits when the 'is' node is used. These have lower precedence than explicitly provided
-    // "middleware"
+    // "middleware", "param", "priority" and "metadata"
     this._extractInheritedTraits(current_configuration, this_collection);
 
     // Great, we're done constructing this route collection; append it to the parent
@@ -74,28 +131,148 @@ class RouteCollectionBuilder {
    *
    * traits:
    *   middleware: [ ... ]
+   *   error: [ ... ]
+   *   param: [ ... ]
+   *   priority: 10
+   *   metadata: { ... }
+   *   is: [ ... ]
    *
-   * Currently traits only support middleware
+   * All keys are optional, and follow the same syntax as they do on a configuration level. Traits can be composed
+   * of other traits with "is". See _extractInheritedTraits() for how traits are applied.
+   *
+   * Traits can take parameters, RAML style. A trait that declares "parameters" (their default values) is
+   * parameterized; its middleware and error handlers are factories (functions, or service ids of functions) that are
+   * called with the parameters and return the actual middleware or error handler:
+   *
+   * traits:
+   *   paginated:
+   *     parameters: { max: 50 }
+   *     middleware: ({ max }) => (req, res, next) => { ... }
    */
   _extractTraits(configuration) {
-    const is_root_configuration = configuration === this.configuration;
-
     if ('traits' in configuration) {
-      // traits is only valid at the root.
-      if (!is_root_configuration) {
+      // traits is only valid at the root, or the root of an imported configuration.
+      if (!this._isRootConfiguration(configuration)) {
         throw new RouteRegistryError('invalid_usage_of_trait_node', 'The "traits" node is only valid at the root of the configuration');
       }
 
       Object.keys(configuration.traits).forEach(trait_name => {
         const trait_configuration = configuration.traits[trait_name];
-        this.traits[trait_name] = {
-          middleware: trait_configuration.middleware,
-          error: trait_configuration.error,
+        Object.keys(trait_configuration).forEach(_key => {
+          if (!TRAIT_KEYS.includes(_key)) {
+            throw new RouteRegistryError(
+              'invalid_trait_configuration',
+              `The trait "${trait_name}" has an unsupported key "${_key}"; expected one of: (${TRAIT_KEYS.join(', ')}).`
+            );
+          }
+        });
+
+        // An imported configuration must not replace the traits of the configuration that imports it, nor those of
+        // another import
+        const source = this.trait_sources[trait_name];
+        if (source && source !== configuration) {
+          throw new RouteRegistryError(
+            'trait_name_collision',
+            `Trait name collision on: "${trait_name}". It is defined in ${this._describeSource(source)}, ` +
+            `and again in ${this._describeSource(configuration)}.`
+          );
         }
+        this.trait_sources[trait_name] = configuration;
+
+        this.traits[trait_name] = Object.assign({}, trait_configuration, {
+          parameters: trait_configuration.parameters || null,
+        });
+      });
+    }
+  }
+
+  /**
+   * The configuration of "resourceTypes" is a key value mapping from the name of the resource type to a template of
+   * a configuration level, RAML style:
+   *
+   * resourceTypes:
+   *   collection:
+   *     middleware: [ ... ]
+   *     get: '<<controller>>::index_action'
+   *     post: '<<controller>>::create_action'
+   *
+   * A configuration level applies a resource type with the "type" node; either the name of the resource type, or
+   * an object mapping the name to the template parameters:
+   *
+   * '/articles':
+   *   type: { collection: { controller: '@ArticleController' } }
+   *
+   * Template parameters are substituted in all keys and string values of the template. Two parameters are always
+   * available: <<resourcePath>> (the full path of the level) and <<resourcePathName>> (the last segment of the
+   * path without parameters, as is). Parameters can be transformed with RAML's functions; e.g.
+   * <<resourcePathName | !singularize>>.
+   * A value that consists of a lone parameter, e.g. '<<controller>>', is replaced with the parameter as-is, so
+   * functions and controller instances can be passed as parameters too.
+   *
+   * The template is then merged into the configuration level:
+   *
+   * 1) Template middleware is fired before the level's own middleware
+   * 2) Template error handlers are fired after the level's own error handlers
+   * 3) Template parameter converters, traits ("is"), metadata, requirements, defaults and validation schemas are
+   *    added to the level's own
+   * 4) For everything else, e.g. method keys and sub routes, the level's own configuration wins
+   *
+   * Resource types may themselves apply other resource types with the "type" node.
+   */
+  _extractResourceTypes(configuration) {
+    if ('resourceTypes' in configuration) {
+      // resourceTypes is only valid at the root, or the root of an imported configuration.
+      if (!this._isRootConfiguration(configuration)) {
+        throw new RouteRegistryError('invalid_usage_of_resource_types_node', 'The "resourceTypes" node is only valid at the root of the configuration');
+      }
+
+      Object.keys(configuration.resourceTypes).forEach(resource_type_name => {
+        this.resource_types[resource_type_name] = configuration.resourceTypes[resource_type_name];
       });
     }
   }
 
+  _applyResourceType(current_configuration, resource_path, applied_resource_types = []) {
+    if (!('type' in current_configuration)) {
+      return current_configuration;
+    }
+
+    const { name, parameters } = parseParameterizedReference(current_configuration.type, 'type');
+    if (!(name in this.resource_types)) {
+      throw new RouteRegistryError('invalid_resource_type_requested', `There is no such resource type registered: ${name}.`);
+    }
+    if (applied_resource_types.includes(name)) {
+      throw new RouteRegistryError(
+        'circular_resource_type',
+        `Circular resource types detected: ${applied_resource_types.concat(name).join(' -> ')}.`
+      );
+    }
+
+    const template_parameters = Object.assign({
+      resourcePath: resource_path,
+      resourcePathName: getResourcePathName(resource_path),
+    }, parameters);
+
+    const template = this._applyResourceType(
+      substituteTemplateParameters(this.resource_types[name], template_parameters, `Resource type "${name}"`),
+      resource_path,
+      applied_resource_types.concat(name)
+    );
+
+    return mergeResourceType(template, current_configuration);
+  }
+
+  _isRootConfiguration(configuration) {
+    return configuration === this.configuration || this.import_roots.has(configuration);
+  }
+
+  _describeSource(configuration) {
+    if (configuration[SOURCE_FILE]) {
+      return `"${configuration[SOURCE_FILE]}"`;
+    }
+    return configuration === this.configuration ? 'the root configuration' : 'an imported configuration';
+  }
+
   /**
    * The configuration of routes has a key of "get", "post", "delete", "put", or "patch"
    *
@@ -109,11 +286,12 @@ class RouteCollectionBuilder {
    *    In this case, the registry assumes the provided function _*is*_ the express action. The function is passed
    *    as-is to expressJS.
    *
-   * 2) An object with keys "action" (optional: "name" and "middleware")
+   * 2) An object with keys "action" (optional: "name", "middleware", "metadata" and "host")
    *
    *    In this case, it supplies additional information to the registry. The "name" overrides the automatic route
    *    name, and "action" should be the function that is the express action. "middleware" is expressJS middleware
-   *    that is applied to specifically this route.
+   *    that is applied to specifically this route. "host" restricts this route to a host pattern. "validate" holds
+   *    the request validation schemas of this route; see _extractValidation().
    *
    * 3) An object with keys "controller" and "action" (optional: "name" and "middleware")
    *
@@ -145,13 +323,20 @@ class RouteCollectionBuilder {
    *    The "service_id" is the service-container service id of a controller service. The "action" is the method
    *    name on the controller.
    *
+   * 7) A service reference string; "@service_id::action" or "@service_id"
+   *
+   *    This structure uses the service-container, and is mostly intended for YAML configuration, where functions
+   *    cannot be expressed.
+   *
+   *    "@service_id::action" is a simplified syntax of #5. "@service_id" refers to a service that is itself the
+   *    express action. A service reference can also be used as the "action" of #2.
    *
    */
   _extractRoutes(current_configuration, this_collection) {
     HTTP_METHODS.forEach(method => {
       if (method in current_configuration) {
         const route_destination = current_configuration[method];
-        const route_builder = RouteBuilder[method](''); // FIXME (derek) we probably do not need the RouteBuilder anymore
+        const route_builder = RouteBuilder[method]('', { handler_validation: this.handler_validation }); // FIXME (derek) we probably do not need the RouteBuilder anymore
 
         const route = (() => {
           // Type 1: Simple. We just specify a controller function with (req, res, next) as args.
@@ -159,6 +344,11 @@ class RouteCollectionBuilder {
             return route_builder.toAction(route_destination);
           }
 
+          // Type 7: A service reference; "@service_id::action" or "@service_id"
+          else if (isServiceReference(route_destination)) {
+            return this._buildServiceReferenceRoute(route_builder, route_destination);
+          }
+
           // Type 2: It's an array with 2 or 3 elements.
           else if (Array.isArray(route_destination)) {
             if (route_destination[2]) {
@@ -179,7 +369,16 @@ class RouteCollectionBuilder {
               route_builder.named(route_destination.name);
             }
             if ('middleware' in route_destination) {
-              route_builder.with(route_destination.middleware);
+              route_builder.with(...[].concat(route_destination.middleware).map(this._standardizeMiddleware, this));
+            }
+            if ('metadata' in route_destination) {
+              route_builder.metadata(route_destination.metadata);
+            }
+            if ('host' in route_destination) {
+              route_builder.host(route_destination.host);
+            }
+            if ('validate' in route_destination) {
+              route_builder.validation(this._checkValidation(route_destination.validate));
             }
 
             if ('service_id' in route_destination) {
@@ -189,6 +388,8 @@ class RouteCollectionBuilder {
             }
             else if ('controller' in route_destination) {
               return route_builder.toControllerAction(route_destination.controller, route_destination.action);
+            } else if (isServiceReference(route_destination.action)) {
+              return this._buildServiceReferenceRoute(route_builder, route_destination.action);
             } else {
               return route_builder.toAction(route_destination.action);
             }
@@ -205,6 +406,119 @@ class RouteCollectionBuilder {
     });
   }
 
+  /**
+   * The "resource" node expands into the conventional RESTful routes for the controller it refers to:
+   *
+   *   '/articles': {
+   *     resource: '@ArticleController',
+   *   }
+   *
+   *   GET       /articles       -> index_action     articles_index
+   *   POST      /articles       -> create_action    articles_create
+   *   GET       /articles/:id   -> show_action      articles_show
+   *   PUT/PATCH /articles/:id   -> update_action    articles_update
+   *   DELETE    /articles/:id   -> destroy_action   articles_destroy
+   *
+   * The controller is either a service reference or a controller instance. Additional options are:
+   *
+   *   only:        Array of actions to generate (e.g. [ 'index', 'show' ])
+   *   except:      Array of actions to skip
+   *   identifier:  Name of the parameter that identifies a single resource; defaults to "id"
+   *   name:        Prefix of the route names; defaults to the last static segment of the path
+   *
+   * The generated routes belong to the current route collection, so they inherit middleware, parameter converters,
+   * traits and error handlers like any other route at this level. Methods that are explicitly configured at the same
+   * level (e.g. a "get" node) take the place of the generated route.
+   */
+  _extractResource(current_configuration, this_collection, prefix) {
+    if (!('resource' in current_configuration)) {
+      return;
+    }
+
+    const resource = current_configuration.resource;
+    const actions = this._getResourceActions(current_configuration);
+    const identifier = current_configuration.identifier || 'id';
+    const name = current_configuration.name || getResourceName(prefix);
+    if (!name) {
+      throw new RouteRegistryError(
+        'invalid_resource_name',
+        `Unable to name the routes of the resource at "${prefix}"; please provide a "name".`
+      );
+    }
+
+    let controller = resource;
+    let service_id = null;
+    if (isServiceReference(resource)) {
+      service_id = this._normalizeServiceId(resource);
+      controller = this._getService(service_id);
+    } else if (null === resource || typeof resource !== 'object') {
+      throw new RouteRegistryError('invalid_resource_controller', 'The "resource" node must be a service reference or a controller.');
+    }
+
+    RESOURCE_ACTIONS
+      .filter(_resource_action => actions.includes(_resource_action.action))
+      .filter(_resource_action => {
+        return _resource_action.path !== '' || !_resource_action.methods.some(_method => _method in current_configuration);
+      })
+      .forEach(_resource_action => {
+        const method_name = `${_resource_action.action}_action`;
+        if (typeof controller[method_name] !== 'function') {
+          throw new RouteRegistryError(
+            'invalid_resource_controller',
+            `The controller of the resource "${name}" has no "${method_name}" method; implement it or leave it out with "only" or "except".`
+          );
+        }
+
+        const route_builder = RouteBuilder.start(
+          _resource_action.methods[0],
+          _resource_action.path.replace(':identifier', `:${identifier}`),
+          { methods: _resource_action.methods.slice(), handler_validation: this.handler_validation }
+        ).named(`${name}_${_resource_action.action}`);
+
+        const route = service_id
+          ? route_builder.toServiceAction(controller, method_name, service_id)
+          : route_builder.toControllerAction(controller, method_name);
+
+        this_collection.add(route.getName(), route);
+      });
+  }
+
+  _getResourceActions(current_configuration) {
+    const all_actions = RESOURCE_ACTIONS.map(_resource_action => _resource_action.action);
+
+    const validate = (option) => {
+      const actions = current_configuration[option];
+      if (!Array.isArray(actions) || actions.some(_action => !all_actions.includes(_action))) {
+        throw new RouteRegistryError(
+          'invalid_resource_action',
+          `The "${option}" node must be an array of resource actions: (${all_actions.join(', ')}).`
+        );
+      }
+      return actions;
+    };
+
+    let actions = all_actions;
+    if ('only' in current_configuration) {
+      actions = validate('only');
+    }
+    if ('except' in current_configuration) {
+      const except = validate('except');
+      actions = actions.filter(_action => !except.includes(_action));
+    }
+    return actions;
+  }
+
+  _buildServiceReferenceRoute(route_builder, reference) {
+    const [ service_reference, action ] = reference.split('::');
+    const service_id = this._normalizeServiceId(service_reference);
+    const service = this._getService(service_id);
+
+    if (action) {
+      return route_builder.toServiceAction(service, action, service_id);
+    }
+    return route_builder.toAction(service);
+  }
+
   _normalizeServiceId(service_id) {
     if (service_id.startsWith('@')) {
       return service_id.substring(1);
@@ -256,22 +570,46 @@ class RouteCollectionBuilder {
    * 2) Error handlers are fired in the opposite order of middleware. Generally, error handlers do not forward the
    *    errors to each other, but if you do, you MUST call next(error).
    */
-  _extractSubRoutes(current_configuration, this_collection) {
+  _extractSubRoutes(current_configuration, this_collection, resource_path = '') {
     Object.keys(current_configuration).forEach(_key => {
       if (_key.startsWith('/')) {
         const next_configuration = current_configuration[_key];
 
         if (Array.isArray(next_configuration)) {
           next_configuration.forEach(_next_configuration_collection => {
-            this._recursiveRouteBuilder(_next_configuration_collection, this_collection, _key);
+            this._recursiveRouteBuilder(_next_configuration_collection, this_collection, _key, resource_path);
           });
         } else {
-          this._recursiveRouteBuilder(next_configuration, this_collection, _key);
+          this._recursiveRouteBuilder(next_configuration, this_collection, _key, resource_path);
         }
       }
     });
   }
 
+  /**
+   * The "imports" node pulls other route configurations in under the current prefix, as if they were written
+   * inline. It is either a single configuration or an array of them.
+   *
+   * Imported configurations inherit middleware, parameter converters, error handlers and traits exactly as sub
+   * routes do, and may declare "traits" of their own at their root; a trait name can only be defined once.
+   *
+   * The FileLoader resolves imported files into configurations before they reach here.
+   */
+  _extractImports(current_configuration, this_collection, resource_path = '') {
+    if ('imports' in current_configuration) {
+      [].concat(current_configuration.imports).forEach(_imported_configuration => {
+        if (null === _imported_configuration || typeof _imported_configuration !== 'object' || Array.isArray(_imported_configuration)) {
+          throw new RouteRegistryError(
+            'invalid_usage_of_imports_node',
+            'The "imports" node must contain route configurations; use the FileLoader to import files.'
+          );
+        }
+        this.import_roots.add(_imported_configuration);
+        this._recursiveRouteBuilder(_imported_configuration, this_collection, '', resource_path);
+      });
+    }
+  }
+
   /**
    * Middleware are functions that accept exactly 3 arguments: (req, res, next).
    *
@@ -328,6 +666,8 @@ class RouteCollectionBuilder {
    *
    * 4) Array of objects with keys: "id" and "parameter_converter"
    *
+   * 5) Object mapping parameter names to functions or service ids; { user_id: '@param.user', ... }
+   *
    *
    * In all of the above cases, the string is the name of the parameter. For example, a configuration with
    * "user_id" as the string would trigger off of a route of "/user/:user_id" but not "/book/:book_id".
@@ -338,83 +678,89 @@ class RouteCollectionBuilder {
    */
   _extractParameterConverters(current_configuration, this_collection) {
     if ('param' in current_configuration) {
-      /**
-       * Helper function
-       */
-      const addParameterConverter = (param, collection) => {
-
-        // Case 1; it's Array syntax; [ id, func ] or [ id, service_id ]
-        if (Array.isArray(param) && (param.length === 2) && (typeof param[0] === 'string')) {
-          // 1.1 id,func
-          if (typeof param[1] === 'function') {
-            const id = param[0];
-            const parameter_converter = param[1];
-            collection.addParameterConverter(id, parameter_converter);
-            return;
-          }
+      this._parseParameterConverters(current_configuration.param).forEach(_converter => {
+        this_collection.addParameterConverter(_converter.id, _converter.parameter_converter);
+      });
+    }
+  }
 
-          // 1.2 id,service_id
-          else if (typeof param[1] === 'string' && param[1].startsWith('@')) {
-            const id = param[0];
-            const service_id = this._normalizeServiceId(param[1]);
-            const parameter_converter = this._getService(service_id);
-            collection.addParameterConverter(id, parameter_converter);
-            return;
-          }
+  /**
+   * Parses any of the "param" node syntaxes into an array of { id, parameter_converter } objects
+   */
+  _parseParameterConverters(param) {
+    /**
+     * Helper function
+     */
+    const parseParameterConverter = param => {
 
-          // Otherwise fall thru and error
+      // Case 1; it's Array syntax; [ id, func ] or [ id, service_id ]
+      if (Array.isArray(param) && (param.length === 2) && (typeof param[0] === 'string')) {
+        // 1.1 id,func
+        if (typeof param[1] === 'function') {
+          return { id: param[0], parameter_converter: param[1] };
         }
 
-        // Case 2; it's { id, parameter_converter
-        else if (typeof param === 'object'
-          && ('id' in param)
-          && ('parameter_converter' in param)
-          && typeof param.id === 'string') {
-          // 2.1 parameter_converter is a func
-          if (typeof param.parameter_converter === 'function') {
-            collection.addParameterConverter(param.id, param.parameter_converter);
-            return;
-          }
+        // 1.2 id,service_id
+        else if (typeof param[1] === 'string' && param[1].startsWith('@')) {
+          const service_id = this._normalizeServiceId(param[1]);
+          return { id: param[0], parameter_converter: this._getService(service_id) };
+        }
 
-          // 2.2 parameter_converter is a service_id
-          else if (typeof param.parameter_converter === 'string' && param.parameter_converter.startsWith('@')) {
-            const service = this._getService(this._normalizeServiceId(param.parameter_converter));
-            collection.addParameterConverter(param.id, service);
-            return;
-          }
+        // Otherwise fall thru and error
+      }
+
+      // Case 2; it's { id, parameter_converter
+      else if (typeof param === 'object'
+        && ('id' in param)
+        && ('parameter_converter' in param)
+        && typeof param.id === 'string') {
+        // 2.1 parameter_converter is a func
+        if (typeof param.parameter_converter === 'function') {
+          return { id: param.id, parameter_converter: param.parameter_converter };
+        }
 
-          // Fall thru and error
+        // 2.2 parameter_converter is a service_id
+        else if (typeof param.parameter_converter === 'string' && param.parameter_converter.startsWith('@')) {
+          const service = this._getService(this._normalizeServiceId(param.parameter_converter));
+          return { id: param.id, parameter_converter: service };
         }
 
-        // Broken
-        throw new RouteRegistryError('route_registry_invalid_configuration', 'Invalid configuration.');
-      };
+        // Fall thru and error
+      }
 
+      // Broken
+      throw new RouteRegistryError('route_registry_invalid_configuration', 'Invalid configuration.');
+    };
 
-      const param = current_configuration.param;
-      // param can either be an array of parameter converters
-      if (Array.isArray(param)) {
 
-        // [ id, func ] or [ id, service ]
-        if (param.every(item => {
-          return Array.isArray(item) && item.length === 2;
-          })) {
-          param.forEach(_param => addParameterConverter(_param, this_collection));
-          return;
-        }
+    // param can either be an array of parameter converters
+    if (Array.isArray(param)) {
 
-        // { id, parameter_converter }
-        else if (param.every(item => {
-          return typeof item === 'object' && ('id' in item) && ('parameter_converter' in item);
-          })) {
-          param.forEach(_param => addParameterConverter(_param, this_collection));
-          return;
-        }
+      // [ id, func ] or [ id, service ]
+      if (param.every(item => {
+        return Array.isArray(item) && item.length === 2;
+      })) {
+        return param.map(parseParameterConverter);
+      }
 
+      // { id, parameter_converter }
+      else if (param.every(item => {
+        return typeof item === 'object' && ('id' in item) && ('parameter_converter' in item);
+      })) {
+        return param.map(parseParameterConverter);
       }
-      // Or a single one
-      addParameterConverter(param, this_collection);
+
+    }
+
+    // { id: func or service_id, ... }
+    else if (typeof param === 'object' && !('parameter_converter' in param) && Object.keys(param).every(key => {
+      return typeof param[key] === 'function' || isServiceReference(param[key]);
+    })) {
+      return Object.keys(param).map(_id => parseParameterConverter([ _id, param[_id] ]));
     }
+
+    // Or a single one
+    return [ parseParameterConverter(param) ];
   }
 
   /**
@@ -443,50 +789,445 @@ class RouteCollectionBuilder {
     }
   }
 
+  /**
+   * When enabled on RouteRegistry.registerAll() or RouteRegistry.middleware(), requests to a known path with a method
+   * that none of the path's routes answer are automatically responded to with a 405 Method Not Allowed, and OPTIONS
+   * requests are automatically responded to with the path's allowed methods.
+   *
+   * The "method_not_allowed" and "automatic_options" nodes customize these responses. They are functions that accept
+   * 3 arguments: (req, res, next), or service ids. The "Allow" header is already set by the time they are called.
+   *
+   * Unlike middleware, these are not stacked; the handler configured closest to the route wins.
+   */
+  _extractAllowedMethodHandlers(current_configuration, this_collection) {
+    if ('method_not_allowed' in current_configuration) {
+      this_collection.setMethodNotAllowedHandler(
+        this._standardizeMiddleware(current_configuration.method_not_allowed)
+      );
+    }
+    if ('automatic_options' in current_configuration) {
+      this_collection.setOptionsHandler(
+        this._standardizeMiddleware(current_configuration.automatic_options)
+      );
+    }
+  }
+
+  /**
+   * Parameter requirements and defaults can be declared outside of the route patterns, and apply to the parameters
+   * of the same name in all routes at and below the configuration level:
+   *
+   *   '/users/:id': {
+   *     requirements: { id: '\\d+' },   // Same as '/users/:id(\\d+)'
+   *     defaults: { page: 1 },
+   *     '/posts/:page?': { ... },
+   *   }
+   *
+   * Both are merged key by key; the ones configured closest to the route win. See Route for how they are applied.
+   */
+  _extractRequirements(current_configuration, this_collection) {
+    [ 'requirements', 'defaults' ].forEach(_node => {
+      if (!(_node in current_configuration)) {
+        return;
+      }
+      const value = current_configuration[_node];
+      if (null === value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new RouteRegistryError(`invalid_${_node}_configuration`, `The "${_node}" node must be an object keyed by parameter name.`);
+      }
+    });
+
+    if ('requirements' in current_configuration) {
+      this_collection.inheritRequirements(current_configuration.requirements);
+    }
+    if ('defaults' in current_configuration) {
+      this_collection.inheritDefaults(current_configuration.defaults);
+    }
+  }
+
+  /**
+   * The "validate" node holds JSON-Schema-like definitions of the parts of the request; "params", "query", "headers"
+   * and "body". It can be configured on any level, and on the object form of a route:
+   *
+   *   '/users': {
+   *     validate: { headers: { type: 'object', required: [ 'x-api-key' ] } },
+   *     '/:id': {
+   *       validate: { params: { type: 'object', properties: { id: { type: 'integer' } } } },
+   *       get: ...,
+   *     },
+   *   }
+   *
+   * Schemas are inherited down the tree, and merged; see RequestValidator.mergeSchemas(). Invalid requests are passed
+   * on to the error handlers as a RequestValidationError, after the parameter converters fired but before any
+   * middleware.
+   */
+  _extractValidation(current_configuration, this_collection) {
+    if ('validate' in current_configuration) {
+      this_collection.inheritValidation(this._checkValidation(current_configuration.validate));
+    }
+  }
+
+  _checkValidation(validation) {
+    if (null === validation || typeof validation !== 'object' || Array.isArray(validation)) {
+      throw new RouteRegistryError(
+        'invalid_validate_configuration',
+        'The "validate" node must be an object with schemas for any of: params, query, headers, body.'
+      );
+    }
+    return validation;
+  }
+
+  /**
+   * Metadata is arbitrary information attached to routes, e.g. for documentation or authorization; see
+   * Route.getMetadata(). It is an object, and is merged key by key; metadata configured closer to the route wins.
+   */
+  _extractMetadata(current_configuration, this_collection) {
+    if ('metadata' in current_configuration) {
+      this_collection.inheritMetadata(current_configuration.metadata);
+    }
+  }
+
   /**
    * The traits that were registered globally can be inherited using the "is" node.
    *
-   * This node is simply an array of strings that match the trait names. All middleware defined in the traits
-   * will be inherited for this configuration.
+   * This node is simply an array of trait names. All middleware defined in the traits will be inherited for this
+   * configuration. Parameterized traits are given their parameters with objects instead of names; parameters
+   * that are left out fall back on the trait's defaults:
+   *
+   * is: [ 'secure', { paginated: { max: 100 } } ]
    *
-   * Notably, explicitly defined middleware/errors at the same configuration level are evaluated first, before
-   * traits.
+   * Traits that are composed of other traits are expanded first; a trait's own traits are applied before the trait
+   * itself, so is: [ 'audited' ] where audited is: [ 'secure' ] is the same as is: [ 'secure', 'audited' ]. Each trait
+   * is only applied once per level, and circular traits are an error.
+   *
+   * The expanded traits are then applied in order, with the following precedence:
+   *
+   * 1) Middleware: fired in the order of the traits, before the middleware explicitly defined at the same level
+   * 2) Parameter converters: fired in the order of the traits, before those explicitly defined at the same level
+   * 3) Error handlers: reached in the order of the traits, after those explicitly defined at the same level
+   * 4) Priority: the last trait with a priority wins, but a priority explicitly defined at the same level wins over
+   *    all traits
+   * 5) Metadata: merged in the order of the traits (later traits win), but metadata explicitly defined at the same
+   *    level or closer to the route wins over traits
+   *
+   * The applied traits and their parameters are recorded on the routes; see Route.getTraits().
    */
   _extractInheritedTraits(current_configuration, this_collection) {
     if ('is' in current_configuration) {
-      const trait_names = current_configuration.is;
-      trait_names.forEach(trait_name => {
-        if (!(trait_name in this.traits)) {
-          throw new RouteRegistryError('invalid_trait_requested', `There is no such trait registered: ${trait_name}.`);
-        }
-        const trait = this.traits[trait_name];
-
-        // Register middleware
-        const trait_middleware = trait.middleware;
-        if (trait_middleware) {
-          if (Array.isArray(trait_middleware)) {
-            const middlewares = trait_middleware.map(this._standardizeMiddleware.bind(this));
-            this_collection.prependAllMiddleware(middlewares);
-          } else {
-            this_collection.prependMiddleware(
-              this._standardizeMiddleware(trait_middleware)
-            );
-          }
-        }
+      const applied_traits = this._resolveTraits(current_configuration.is, []);
+
+      const middlewares = [];
+      const error_handlers = [];
+      const parameter_converters = [];
+      const metadata = {};
+      let priority;
 
-        const trait_error_handlers = trait.error;
-        if (trait_error_handlers) {
-          if (Array.isArray(trait_error_handlers)) {
-            const errors = trait_error_handlers.map(this._standardizeErrorHandler.bind(this));
-            this_collection.addAllErrorHandlers(errors)
-          } else {
-            this_collection.addErrorHandler(
-              this._standardizeErrorHandler(trait_error_handlers)
+      applied_traits.forEach(({ name: trait_name, parameters: trait_parameters, trait }) => {
+        // Parameterized traits have factories, rather than the middleware and error handlers themselves
+        const instantiate = (handler, standardize) => {
+          const standardized = standardize.call(this, handler);
+          if (!trait_parameters) {
+            return standardized;
+          }
+          if (typeof standardized !== 'function') {
+            throw new RouteRegistryError(
+              'invalid_trait_factory',
+              `The middleware and error handlers of the parameterized trait "${trait_name}" must be factory functions.`
             );
           }
+          return standardized(trait_parameters);
+        };
+
+        if (trait.middleware) {
+          [].concat(trait.middleware).forEach(_middleware => {
+            middlewares.push(instantiate(_middleware, this._standardizeMiddleware));
+          });
+        }
+        if (trait.error) {
+          [].concat(trait.error).forEach(_error => {
+            error_handlers.push(instantiate(_error, this._standardizeErrorHandler));
+          });
+        }
+        if (trait.param) {
+          this._parseParameterConverters(trait.param).forEach(_converter => parameter_converters.push(_converter));
         }
+        if ('priority' in trait) {
+          priority = trait.priority;
+        }
+        Object.assign(metadata, trait.metadata);
       });
+
+      this_collection.prependAllMiddleware(middlewares);
+      this_collection.addAllErrorHandlers(error_handlers);
+      this_collection.prependAllParameterConverters(parameter_converters);
+      this_collection.inheritMetadata(metadata);
+      if (undefined !== priority && !('priority' in current_configuration)) {
+        this_collection.setPriority(priority);
+      }
+
+      this_collection.prependTraits(applied_traits.map(_applied_trait => {
+        return { name: _applied_trait.name, parameters: _applied_trait.parameters || {} };
+      }));
+    }
+  }
+
+  /**
+   * Expands trait references into the ordered list of traits to apply, as [ { name, parameters, trait }, ... ]
+   */
+  _resolveTraits(trait_references, trait_stack, resolved_traits = []) {
+    trait_references.forEach(trait_reference => {
+      const { name: trait_name, parameters } = parseParameterizedReference(trait_reference, 'is');
+      if (!(trait_name in this.traits)) {
+        throw new RouteRegistryError('invalid_trait_requested', `There is no such trait registered: ${trait_name}.`);
+      }
+      if (trait_stack.includes(trait_name)) {
+        throw new RouteRegistryError(
+          'circular_trait',
+          `Circular traits detected: ${trait_stack.concat(trait_name).join(' -> ')}.`
+        );
+      }
+
+      const trait = this.traits[trait_name];
+      if (trait.is) {
+        this._resolveTraits(trait.is, trait_stack.concat(trait_name), resolved_traits);
+      }
+      if (!resolved_traits.some(_resolved_trait => _resolved_trait.name === trait_name)) {
+        resolved_traits.push({
+          name: trait_name,
+          parameters: this._getTraitParameters(trait_name, trait, parameters),
+          trait,
+        });
+      }
+    });
+
+    return resolved_traits;
+  }
+
+  /**
+   * Returns the parameters to instantiate the trait with (the given parameters over the trait's defaults), or null
+   * if the trait is not parameterized.
+   */
+  _getTraitParameters(trait_name, trait, parameters) {
+    if (!trait.parameters) {
+      if (parameters) {
+        throw new RouteRegistryError('invalid_trait_parameters', `The trait "${trait_name}" does not accept parameters.`);
+      }
+      return null;
+    }
+
+    Object.keys(parameters || {}).forEach(_parameter => {
+      if (!(_parameter in trait.parameters)) {
+        throw new RouteRegistryError(
+          'invalid_trait_parameters',
+          `The trait "${trait_name}" has no parameter "${_parameter}"; expected one of: (${Object.keys(trait.parameters).join(', ')}).`
+        );
+      }
+    });
+    return Object.assign({}, trait.parameters, parameters);
+  }
+}
+
+/**
+ * Resource types ("type" node) and traits ("is" node) are referred to either by name, or with
+ * { name: { parameter: value, ... } }. The parameters are null when referred to by name.
+ */
+function parseParameterizedReference(reference, node_name) {
+  if (typeof reference === 'string') {
+    return { name: reference, parameters: null };
+  }
+  if (reference && typeof reference === 'object' && Object.keys(reference).length === 1) {
+    const name = Object.keys(reference)[0];
+    return { name, parameters: reference[name] || {} };
+  }
+  throw new RouteRegistryError(
+    `invalid_usage_of_${node_name}_node`,
+    `The "${node_name}" node must refer to names, or { name: { parameters } }.`
+  );
+}
+
+/**
+ * Substitutes <<parameters>> in the keys and string values of a template; see _extractResourceTypes(). The template
+ * is described in errors, e.g. 'Resource type "collection"'.
+ */
+function substituteTemplateParameters(value, parameters, template_description) {
+  if (typeof value === 'string') {
+    const lone_parameter = /^<<\s*(\w+)\s*>>$/.exec(value);
+    if (lone_parameter) {
+      return getTemplateParameter(lone_parameter[1], parameters, template_description);
+    }
+    return substituteTemplateString(value, parameters, template_description);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(_value => substituteTemplateParameters(_value, parameters, template_description));
+  }
+
+  // Only plain objects are templates; functions, controller instances, etc... are left alone
+  if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+    const result = {};
+    Object.keys(value).forEach(_key => {
+      result[substituteTemplateString(_key, parameters, template_description)] =
+        substituteTemplateParameters(value[_key], parameters, template_description);
+    });
+    return result;
+  }
+
+  return value;
+}
+
+function substituteTemplateString(value, parameters, template_description) {
+  return value.replace(/<<\s*(\w+)((?:\s*\|\s*!\w+)*)\s*>>/g, (match, name, functions) => {
+    return functions.split('|').slice(1).reduce(
+      (result, _function) => applyTemplateFunction(_function.trim(), result),
+      String(getTemplateParameter(name, parameters, template_description))
+    );
+  });
+}
+
+function getTemplateParameter(name, parameters, template_description) {
+  if (!(name in parameters)) {
+    throw new RouteRegistryError(
+      'invalid_resource_type_parameter',
+      `${template_description} requires the parameter "${name}".`
+    );
+  }
+  return parameters[name];
+}
+
+/**
+ * RAML's parameter functions; https://github.com/raml-org/raml-spec/blob/master/versions/raml-10/raml-10.md#parameter-functions
+ */
+function applyTemplateFunction(name, value) {
+  const words = () => value
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .split(/[\s_-]+/)
+    .filter(_word => _word !== '');
+  const capitalize = word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase();
+
+  switch (name) {
+    case '!singularize':
+      return singularize(value);
+    case '!pluralize':
+      return pluralize(value);
+    case '!uppercase':
+      return value.toUpperCase();
+    case '!lowercase':
+      return value.toLowerCase();
+    case '!lowercamelcase':
+      return words().map((_word, _index) => _index === 0 ? _word.toLowerCase() : capitalize(_word)).join('');
+    case '!uppercamelcase':
+      return words().map(capitalize).join('');
+    case '!lowerunderscorecase':
+      return words().join('_').toLowerCase();
+    case '!upperunderscorecase':
+      return words().join('_').toUpperCase();
+    case '!lowerhyphencase':
+      return words().join('-').toLowerCase();
+    case '!upperhyphencase':
+      return words().join('-').toUpperCase();
+    default:
+      throw new RouteRegistryError('invalid_resource_type_function', `Unknown resource type parameter function: ${name}.`);
+  }
+}
+
+// Naive English inflection; good enough for resource names
+function singularize(word) {
+  if (/[^aeiou]ies$/i.test(word)) {
+    return word.slice(0, -3) + 'y';
+  }
+  if (/(s|x|z|ch|sh)es$/i.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (/[^s]s$/i.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) {
+    return word.slice(0, -1) + 'ies';
+  }
+  if (/(s|x|z|ch|sh)$/i.test(word)) {
+    return word + 'es';
+  }
+  return word + 's';
+}
+
+/**
+ * Merges a resource type's template into the configuration level that applies it. The rules are documented on
+ * RouteCollectionBuilder._extractResourceTypes().
+ */
+function mergeResourceType(template, configuration) {
+  const merged = Object.assign({}, template, configuration);
+  delete merged.type;
+
+  if ('middleware' in template && 'middleware' in configuration) {
+    merged.middleware = [].concat(template.middleware, configuration.middleware);
+  }
+  if ('error' in template && 'error' in configuration) {
+    merged.error = [].concat(configuration.error, template.error);
+  }
+  if ('param' in template && 'param' in configuration) {
+    merged.param = normalizeParameterConverters(configuration.param).concat(normalizeParameterConverters(template.param));
+  }
+  [ 'metadata', 'requirements', 'defaults' ].forEach(_key => {
+    if (_key in template && _key in configuration) {
+      merged[_key] = Object.assign({}, template[_key], configuration[_key]);
     }
+  });
+  if ('validate' in template && 'validate' in configuration) {
+    merged.validate = RequestValidator.mergeSchemas(template.validate, configuration.validate);
   }
+  if ('is' in template && 'is' in configuration) {
+    merged.is = template.is.concat(configuration.is.filter(_trait => !template.is.includes(_trait)));
+  }
+
+  return merged;
+}
+
+/**
+ * Converts any of the "param" node syntaxes into an array of [ id, parameter_converter ] pairs
+ */
+function normalizeParameterConverters(param) {
+  if (Array.isArray(param)) {
+    if (param.length === 2 && typeof param[0] === 'string') {
+      return [ param ];
+    }
+    return param.map(_param => Array.isArray(_param) ? _param : [ _param.id, _param.parameter_converter ]);
+  }
+  if ('parameter_converter' in param) {
+    return [ [ param.id, param.parameter_converter ] ];
+  }
+  return Object.keys(param).map(_id => [ _id, param[_id] ]);
+}
+
+/**
+ * Names resources after the last static segment of their path; "/users/:user_id/blog-posts" becomes "blog_posts"
+ */
+function getResourceName(prefix) {
+  const segments = prefix.split('/').filter(_segment => /^\w/.test(_segment));
+  if (segments.length === 0) {
+    return null;
+  }
+  return segments[segments.length - 1].replace(/\W+/g, '_');
+}
+
+/**
+ * RAML's <<resourcePathName>>: the last segment of the path that has no URI parameters, as is; e.g.
+ * "/users/:user_id/blog-posts" gives "blog-posts". RAML paths, with parameters like "{user_id}", work too
+ */
+function getResourcePathName(resource_path) {
+  const segments = resource_path.split('/').filter(_segment => _segment && !/[:{*]/.test(_segment));
+  return segments.length > 0 ? segments[segments.length - 1] : '';
 }
+
+function isServiceReference(value) {
+  return typeof value === 'string' && value.startsWith('@');
+}
+
+RouteCollectionBuilder.substituteTemplateParameters = substituteTemplateParameters;
+RouteCollectionBuilder.getResourcePathName = getResourcePathName;
+RouteCollectionBuilder.TRAIT_KEYS = TRAIT_KEYS;
+RouteCollectionBuilder.SOURCE_FILE = SOURCE_FILE;
+RouteCollectionBuilder.RESOURCE_ACTIONS = RESOURCE_ACTIONS;
+
 module.exports = RouteCollectionBuilder;
@@ -0,0 +1,461 @@
+'use strict';
+
+const RouteMatcher = require('./RouteMatcher');
+
+// The pattern path-to-regexp assigns to parameters that were declared without a custom regexp, e.g. "/:id"
+const DEFAULT_SEGMENT_PATTERN = '[^\\/]+?';
+
+// The ranks of path segments for compareSpecificity(); lower is more specific
+const SEGMENT_RANK_STATIC = 0;
+const SEGMENT_RANK_CONSTRAINED = 1;
+const SEGMENT_RANK_BARE = 2;
+const SEGMENT_RANK_WILDCARD = 3;
+
+// The printable ASCII characters; everything else is lumped together, see analyzePattern()
+const ASCII_CHARACTERS = Array.from({ length: 95 }, (_value, _index) => String.fromCharCode(_index + 32));
+
+/**
+ * Compares the patterns of two routes, for RouteRegistry.add() to reject routes that collide and to warn about
+ * routes that are shadowed. Only the host and path are compared; methods are left to the caller.
+ *
+ * Two routes collide when their patterns have the same structure (ignoring the names of the parameters), and every
+ * pair of parameters in the same position could match the same value:
+ *
+ *   /foo/:id(\\d+)   vs  /foo/:slug(\\d+)       collide
+ *   /foo/:id(\\d+)   vs  /foo/:id([a-z]+)       do not collide; no value matches both
+ *   /foo/:id         vs  /foo/bar               do not collide; these have a different structure
+ *
+ * Regular expressions cannot be compared exactly in general. Parameter requirements are considered to overlap,
+ * unless one of them is a plain list of alternatives (e.g. "draft|final") none of which match the other, or their
+ * lengths or first or last characters tell them apart. This errs on the side of reporting a collision.
+ *
+ * A route shadows another when it matches every URL the other matches. This errs on the other side; only the
+ * shadowing we can be sure of is reported.
+ *
+ * Lastly, routes can be ordered by how specific they are; see compareSpecificity().
+ */
+class RouteComparator {
+  /**
+   * Sort function that puts more specific routes first. Routes are compared by, in order:
+   *
+   * 1) Host: routes with a host requirement come before routes without one
+   * 2) Path segments, from left to right: static segments come before parameters with a requirement, which come
+   *    before bare parameters, which come before optional, repeated and wildcard (slash-spanning) parameters
+   * 3) The number of segments; longer paths come first
+   * 4) The canonical host and path, alphabetically
+   * 5) The route name, alphabetically
+   *
+   * As route names are unique within a registry, the order never depends on the order routes were added in.
+   *
+   * @param {Route} route1
+   * @param {Route} route2
+   * @returns {number}
+   */
+  static compareSpecificity(route1, route2) {
+    if (!!route1.getHost() !== !!route2.getHost()) {
+      return route1.getHost() ? -1 : 1;
+    }
+
+    const ranks1 = getSegmentRanks(route1.getTokens());
+    const ranks2 = getSegmentRanks(route2.getTokens());
+    for (let i = 0; i < Math.min(ranks1.length, ranks2.length); i++) {
+      if (ranks1[i] !== ranks2[i]) {
+        return ranks1[i] - ranks2[i];
+      }
+    }
+    if (ranks1.length !== ranks2.length) {
+      return ranks2.length - ranks1.length;
+    }
+
+    return compareStrings(
+      route1.getCanonicalHost() + route1.getCanonicalRoutePath(),
+      route2.getCanonicalHost() + route2.getCanonicalRoutePath()
+    ) || compareStrings(route1.getName(), route2.getName());
+  }
+
+  /**
+   * @param {Route} route1
+   * @param {Route} route2
+   * @returns {boolean}
+   */
+  static collides(route1, route2) {
+    return tokensCollide(route1.getHostTokens(), route2.getHostTokens())
+      && tokensCollide(route1.getTokens(), route2.getTokens());
+  }
+
+  /**
+   * Returns true when route1 matches every host and path that route2 matches.
+   *
+   * @param {Route} route1
+   * @param {Route} route2
+   * @returns {boolean}
+   */
+  static shadows(route1, route2) {
+    if (route1.getHost()) {
+      if (!route2.getHost() || !segmentsCover(getSegments(route1.getHostTokens(), '.'), getSegments(route2.getHostTokens(), '.'))) {
+        return false;
+      }
+    }
+    return segmentsCover(getSegments(route1.getTokens(), '/'), getSegments(route2.getTokens(), '/'));
+  }
+
+  /**
+   * Returns false when no value can match both parameter requirements.
+   *
+   * @param {string} pattern1
+   * @param {string} pattern2
+   * @returns {boolean}
+   */
+  static patternsOverlap(pattern1, pattern2) {
+    if (pattern1 === pattern2) {
+      return true;
+    }
+
+    const alternatives1 = getAlternatives(pattern1);
+    if (null !== alternatives1) {
+      return alternatives1.some(_alternative => matchesPattern(_alternative, pattern2));
+    }
+    const alternatives2 = getAlternatives(pattern2);
+    if (null !== alternatives2) {
+      return alternatives2.some(_alternative => matchesPattern(_alternative, pattern1));
+    }
+
+    const analysis1 = analyzePattern(pattern1);
+    const analysis2 = analyzePattern(pattern2);
+    if (null === analysis1 || null === analysis2) {
+      return true;
+    }
+    if (analysis1.min > analysis2.max || analysis2.min > analysis1.max) {
+      return false;
+    }
+    if (!analysis1.nullable && !analysis2.nullable) {
+      if (!charactersIntersect(analysis1.first, analysis2.first) || !charactersIntersect(analysis1.last, analysis2.last)) {
+        return false;
+      }
+    }
+    return true;
+  }
+}
+
+function getSegmentRanks(tokens) {
+  const ranks = [];
+  tokens.forEach(_token => {
+    if (typeof _token === 'string') {
+      _token.split('/').filter(_part => _part !== '').forEach(() => ranks.push(SEGMENT_RANK_STATIC));
+    } else if (_token.optional || _token.repeat || !RouteMatcher.isSegmentSafe(_token.pattern)) {
+      ranks.push(SEGMENT_RANK_WILDCARD);
+    } else if (_token.pattern === DEFAULT_SEGMENT_PATTERN) {
+      ranks.push(SEGMENT_RANK_BARE);
+    } else {
+      ranks.push(SEGMENT_RANK_CONSTRAINED);
+    }
+  });
+  return ranks;
+}
+
+function compareStrings(string1, string2) {
+  return string1 < string2 ? -1 : (string1 > string2 ? 1 : 0);
+}
+
+function tokensCollide(tokens1, tokens2) {
+  if (tokens1.length !== tokens2.length) {
+    return false;
+  }
+
+  return tokens1.every((_token1, _index) => {
+    const _token2 = tokens2[_index];
+    if (typeof _token1 === 'string' || typeof _token2 === 'string') {
+      return typeof _token1 === typeof _token2 && _token1.toLowerCase() === _token2.toLowerCase();
+    }
+    return _token1.prefix === _token2.prefix
+      && _token1.optional === _token2.optional
+      && _token1.repeat === _token2.repeat
+      && _token1.partial === _token2.partial
+      && RouteComparator.patternsOverlap(_token1.pattern, _token2.pattern);
+  });
+}
+
+/**
+ * Breaks the tokens up into segments separated by the delimiter, each of which is either { static: '...' } or
+ * { pattern: '...', optional: bool }, like RouteMatcher does. Returns null when that is not possible.
+ */
+function getSegments(tokens, delimiter) {
+  const segments = [];
+
+  for (const _token of tokens) {
+    if (typeof _token === 'string') {
+      _token.split(delimiter).filter(_part => _part !== '').forEach(_part => segments.push({ static: _part.toLowerCase() }));
+      continue;
+    }
+
+    if (_token.repeat || _token.partial || (_token.prefix !== delimiter && !(_token.prefix === '' && segments.length === 0))) {
+      return null;
+    }
+    if (delimiter === '/' && !RouteMatcher.isSegmentSafe(_token.pattern)) {
+      return null;
+    }
+    segments.push({ pattern: _token.pattern, optional: _token.optional });
+  }
+
+  return segments;
+}
+
+function segmentsCover(segments1, segments2) {
+  if (null === segments1 || null === segments2 || segments1.length !== segments2.length) {
+    return false;
+  }
+
+  return segments1.every((_segment1, _index) => {
+    const _segment2 = segments2[_index];
+    if (_segment1.static !== undefined) {
+      return _segment1.static === _segment2.static;
+    }
+    if (_segment2.static !== undefined) {
+      return matchesPattern(_segment2.static, _segment1.pattern);
+    }
+    if (_segment2.optional && !_segment1.optional) {
+      return false;
+    }
+    return patternCovers(_segment1.pattern, _segment2.pattern);
+  });
+}
+
+function patternCovers(pattern1, pattern2) {
+  if (pattern1 === pattern2 || pattern1 === DEFAULT_SEGMENT_PATTERN || pattern1 === '[^\\.]+?') {
+    // The default patterns match anything within a segment, which getSegments() already made sure of
+    return true;
+  }
+  const alternatives = getAlternatives(pattern2);
+  return null !== alternatives && alternatives.every(_alternative => matchesPattern(_alternative, pattern1));
+}
+
+function matchesPattern(value, pattern) {
+  // Routes match case-insensitively, same as Express
+  return new RegExp(`^(?:${pattern})$`, 'i').test(value);
+}
+
+/**
+ * Returns the values of a pattern that is a plain list of alternatives, e.g. "draft|final" or "(?:draft|final)",
+ * or null if the pattern is anything else.
+ */
+function getAlternatives(pattern) {
+  const group = /^\((?:\?:)?(.*)\)$/.exec(pattern);
+  const source = group ? group[1] : pattern;
+
+  const alternatives = [ '' ];
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') {
+      const escaped = source[++i];
+      if (escaped === undefined || /[0-9A-Za-z]/.test(escaped)) {
+        return null;
+      }
+      alternatives[alternatives.length - 1] += escaped;
+    } else if (c === '|') {
+      alternatives.push('');
+    } else if ('[](){}*+?.^$'.includes(c)) {
+      return null;
+    } else {
+      alternatives[alternatives.length - 1] += c;
+    }
+  }
+  return alternatives;
+}
+
+/**
+ * Works out the minimum and maximum length of the values a pattern matches, whether it matches an empty value, and
+ * the characters its values can start and end with. Returns null for patterns using anything beyond groups,
+ * alternation, character classes and quantifiers, e.g. lookaheads and backreferences.
+ *
+ * Characters are sets of printable ASCII characters, plus OTHER for anything else.
+ */
+function analyzePattern(pattern) {
+  const parser = { source: pattern, index: 0 };
+  try {
+    const analysis = parseAlternation(parser);
+    return parser.index === pattern.length ? analysis : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function parseAlternation(parser) {
+  const alternatives = [ parseSequence(parser) ];
+  while (parser.source[parser.index] === '|') {
+    parser.index++;
+    alternatives.push(parseSequence(parser));
+  }
+
+  return {
+    min: Math.min(...alternatives.map(_alternative => _alternative.min)),
+    max: Math.max(...alternatives.map(_alternative => _alternative.max)),
+    nullable: alternatives.some(_alternative => _alternative.nullable),
+    first: unionCharacters(alternatives.map(_alternative => _alternative.first)),
+    last: unionCharacters(alternatives.map(_alternative => _alternative.last)),
+  };
+}
+
+function parseSequence(parser) {
+  const items = [];
+  while (parser.index < parser.source.length && parser.source[parser.index] !== '|' && parser.source[parser.index] !== ')') {
+    items.push(parseQuantifier(parser, parseAtom(parser)));
+  }
+
+  const first = [];
+  for (const _item of items) {
+    first.push(_item.first);
+    if (!_item.nullable) {
+      break;
+    }
+  }
+  const last = [];
+  for (const _item of items.slice().reverse()) {
+    last.push(_item.last);
+    if (!_item.nullable) {
+      break;
+    }
+  }
+
+  return {
+    min: items.reduce((_sum, _item) => _sum + _item.min, 0),
+    max: items.reduce((_sum, _item) => _sum + _item.max, 0),
+    nullable: items.every(_item => _item.nullable),
+    first: unionCharacters(first),
+    last: unionCharacters(last),
+  };
+}
+
+function parseAtom(parser) {
+  const source = parser.source;
+  const c = source[parser.index];
+
+  if (c === '(') {
+    parser.index++;
+    if (source[parser.index] === '?') {
+      if (source[parser.index + 1] !== ':') {
+        throw new Error('Unsupported group');
+      }
+      parser.index += 2;
+    }
+    const group = parseAlternation(parser);
+    if (source[parser.index] !== ')') {
+      throw new Error('Unterminated group');
+    }
+    parser.index++;
+    return group;
+  }
+
+  let atom;
+  if (c === '[') {
+    const end = findClassEnd(source, parser.index);
+    atom = source.substring(parser.index, end + 1);
+    parser.index = end + 1;
+  } else if (c === '\\') {
+    atom = source.substr(parser.index, 2);
+    if (!/^\\[dDwWsS]$/.test(atom) && /^\\[0-9A-Za-z]$/.test(atom)) {
+      // Backreferences, word boundaries, hex and unicode escapes, etc...
+      throw new Error('Unsupported escape');
+    }
+    parser.index += 2;
+  } else if ('^$*+?{}]'.includes(c)) {
+    throw new Error('Unsupported character');
+  } else {
+    atom = c;
+    parser.index++;
+  }
+
+  const characters = getCharacters(atom);
+  return { min: 1, max: 1, nullable: false, first: characters, last: characters };
+}
+
+function parseQuantifier(parser, item) {
+  const source = parser.source;
+  let min;
+  let max;
+
+  const c = source[parser.index];
+  if (c === '*' || c === '+' || c === '?') {
+    min = c === '+' ? 1 : 0;
+    max = c === '?' ? 1 : Infinity;
+    parser.index++;
+  } else if (c === '{') {
+    const match = /^\{(\d+)(,(\d*))?\}/.exec(source.substring(parser.index));
+    if (!match) {
+      throw new Error('Invalid quantifier');
+    }
+    min = parseInt(match[1], 10);
+    max = match[2] === undefined ? min : (match[3] === '' ? Infinity : parseInt(match[3], 10));
+    parser.index += match[0].length;
+  } else {
+    return item;
+  }
+
+  // Lazy quantifiers match the same values
+  if (source[parser.index] === '?') {
+    parser.index++;
+  }
+
+  if (max === 0) {
+    return { min: 0, max: 0, nullable: true, first: emptyCharacters(), last: emptyCharacters() };
+  }
+  return {
+    min: item.min * min,
+    max: item.max === 0 ? 0 : item.max * max,
+    nullable: min === 0 || item.nullable,
+    first: item.first,
+    last: item.last,
+  };
+}
+
+function findClassEnd(source, start) {
+  // A "]" right after the opening bracket (or its negation) is a literal
+  let i = start + 1;
+  if (source[i] === '^') {
+    i++;
+  }
+  if (source[i] === ']') {
+    i++;
+  }
+  for (; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === ']') {
+      return i;
+    }
+  }
+  throw new Error('Unterminated character class');
+}
+
+/**
+ * Tests every printable ASCII character against a single-character atom; ".", "\D", "\S", "\W" and negated classes
+ * may match other characters as well.
+ */
+function getCharacters(atom) {
+  const regexp = new RegExp(`^${atom}$`, 'i');
+  return {
+    ascii: new Set(ASCII_CHARACTERS.filter(_character => regexp.test(_character))),
+    other: atom === '.' || /^\\[DSW]$/.test(atom) || atom.startsWith('[^'),
+  };
+}
+
+function emptyCharacters() {
+  return { ascii: new Set(), other: false };
+}
+
+function unionCharacters(characters) {
+  const union = emptyCharacters();
+  characters.forEach(_characters => {
+    _characters.ascii.forEach(_character => union.ascii.add(_character));
+    union.other = union.other || _characters.other;
+  });
+  return union;
+}
+
+function charactersIntersect(characters1, characters2) {
+  if (characters1.other && characters2.other) {
+    return true;
+  }
+  return Array.from(characters1.ascii).some(_character => characters2.ascii.has(_character));
+}
+
+module.exports = RouteComparator;
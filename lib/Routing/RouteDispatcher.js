@@ -0,0 +1,234 @@
+'use strict';
+
+const url = require('url');
+
+const Route = require('./Route');
+
+/**
+ * Dispatches requests to the routes of a RouteRegistry from a single Express-compatible middleware, as opposed to
+ * registering every route (and a sub-router for every route with parameter converters or error handlers) onto the
+ * Express router individually.
+ *
+ * For every request, the registry is asked for the routes that match the path and answer the method. The first of
+ * these is dispatched by firing, in order:
+ *
+ * 1) The route's parameter converters, in the order the parameters appear in the host and then the route pattern
+ * 2) The route's middleware
+ * 3) The route's action
+ *
+ * If any of these raise an exception, call next(error) or return a promise that rejects, the route's error handlers are
+ * fired in order.
+ *
+ * This mirrors how Express would have run the same route when registered with Route.register(), including the
+ * chain-of-responsibility semantics of next():
+ *
+ * - next('route') or next() from the action (or from an error handler that swallows the error) moves on to the
+ *   next route that matches
+ * - next('router') leaves the registry altogether
+ * - An error that makes it past all of the route's error handlers is forwarded to the outer Express router
+ *
+ * Options:
+ *
+ *   method_not_allowed: When true, requests to a known path with a method that none of its routes answer are
+ *                       responded to with a 405 Method Not Allowed
+ *   automatic_options:  When true, OPTIONS requests to a known path without an explicit OPTIONS route are responded
+ *                       to with the allowed methods
+ *
+ * Both responses carry an "Allow" header, and can be customized per route collection; see
+ * RouteCollectionBuilder._extractAllowedMethodHandlers().
+ */
+class RouteDispatcher {
+  constructor(route_registry, options = {}) {
+    this.route_registry = route_registry;
+    this.options = options;
+  }
+
+  /**
+   * @param {Object} req
+   * @param {Object} res
+   * @param {function} done   The outer Express router's next()
+   */
+  handle(req, res, done) {
+    const path = getRequestPath(req);
+    const hostname = Route.getRequestHostname(req);
+    const routes = this.route_registry.matchAll(path, hostname).filter(_route => _route.handlesMethod(req.method));
+
+    // Like Express, route parameters only live as long as the request is within the router
+    const parent_params = req.params;
+    const exit = err => {
+      req.params = parent_params;
+      done(err);
+    };
+
+    if (routes.length === 0) {
+      this.handleUnmatchedMethod(req, res, exit);
+      return;
+    }
+
+    let index = 0;
+    const nextRoute = () => {
+      const route = routes[index++];
+      if (!route) {
+        exit();
+        return;
+      }
+
+      let params;
+      try {
+        params = route.extractParameters(path, hostname);
+      } catch (err) {
+        exit(err);
+        return;
+      }
+
+      req.params = params;
+      this.dispatchRoute(route, req, res, err => {
+        if (err === 'router') {
+          exit();
+        } else if (err && err !== 'route') {
+          exit(err);
+        } else {
+          nextRoute();
+        }
+      });
+    };
+
+    nextRoute();
+  }
+
+  /**
+   * Answers requests to known paths that no route answers the method of, with either a 405 Method Not Allowed or
+   * an automatic OPTIONS response, depending on the options. All other requests are passed along to next().
+   */
+  handleUnmatchedMethod(req, res, next) {
+    const method = req.method.toLowerCase();
+    const answer_options = !!this.options.automatic_options && method === 'options';
+    if (!answer_options && !this.options.method_not_allowed) {
+      next();
+      return;
+    }
+
+    const path = getRequestPath(req);
+    const hostname = Route.getRequestHostname(req);
+    let result;
+    try {
+      result = this.route_registry.matchRequest({ method, path, host: hostname });
+    } catch (err) {
+      next(err);
+      return;
+    }
+    if (!result || !result.method_not_allowed) {
+      next();
+      return;
+    }
+
+    const allowed_methods = result.allowed_methods.slice();
+    if (this.options.automatic_options && !allowed_methods.includes('options')) {
+      allowed_methods.push('options');
+    }
+
+    // The handler configured on the highest priority route for the path wins
+    const routes = this.route_registry.matchAll(path, hostname);
+    const handler = answer_options
+      ? findHandler(routes, _route => _route.getOptionsHandler()) || defaultOptionsHandler
+      : findHandler(routes, _route => _route.getMethodNotAllowedHandler()) || defaultMethodNotAllowedHandler;
+
+    res.setHeader('Allow', allowed_methods.map(_method => _method.toUpperCase()).join(', '));
+    invoke(() => handler(req, res, next), next);
+  }
+
+  /**
+   * Runs a single route's parameter converters, middleware, action and error handlers against the request.
+   * The request's params are expected to already be populated.
+   *
+   * The given next() is called when the route is done with the request without having sent a response, with:
+   *
+   * - No arguments (or 'route') when the route passes on the request
+   * - 'router' when the route wants to leave the router altogether
+   * - An error when the route's error handlers did not handle the error
+   */
+  dispatchRoute(route, req, res, next) {
+    const handlers = route.getParameterConverterHandlers(req.params).concat(
+      route.getValidationHandler() || [],
+      route.getMiddleware(),
+      [ route.getRouteDestination() ]
+    );
+
+    const runErrorHandlers = err => {
+      let error_index = 0;
+      const nextErrorHandler = next_err => {
+        if (!next_err || next_err === 'route' || next_err === 'router') {
+          next(next_err);
+          return;
+        }
+        const error_handler = route.getErrorHandlers()[error_index++];
+        if (!error_handler) {
+          next(next_err);
+          return;
+        }
+        invoke(() => error_handler(next_err, req, res, nextErrorHandler), nextErrorHandler);
+      };
+
+      nextErrorHandler(err);
+    };
+
+    let handler_index = 0;
+    const nextHandler = err => {
+      if (err === 'route' || err === 'router') {
+        next(err);
+        return;
+      }
+      if (err) {
+        runErrorHandlers(err);
+        return;
+      }
+      const handler = handlers[handler_index++];
+      if (!handler) {
+        next();
+        return;
+      }
+      invoke(() => handler(req, res, nextHandler), nextHandler);
+    };
+
+    nextHandler();
+  }
+}
+
+function defaultMethodNotAllowedHandler(req, res, next) {
+  res.status(405).send('Method Not Allowed');
+}
+
+// Same as Express's own automatic OPTIONS response
+function defaultOptionsHandler(req, res, next) {
+  res.send(res.getHeader('Allow'));
+}
+
+function findHandler(routes, getHandler) {
+  const route = routes.find(_route => !!getHandler(_route));
+  return route ? getHandler(route) : null;
+}
+
+/**
+ * Express catches exceptions thrown synchronously by handlers and forwards them to next(error). Rejections of the
+ * promises that async handlers return are forwarded too, same as Route.register() does.
+ */
+function invoke(fn, next) {
+  let result;
+  try {
+    result = fn();
+  } catch (err) {
+    next(err);
+    return;
+  }
+  Route.forwardRejection(result, next);
+}
+
+function getRequestPath(req) {
+  // Express already parses this for us, relative to where the router is mounted
+  if (typeof req.path === 'string') {
+    return req.path;
+  }
+  return url.parse(req.url).pathname;
+}
+
+module.exports = RouteDispatcher;
@@ -0,0 +1,217 @@
+'use strict';
+
+// The pattern path-to-regexp assigns to parameters that were declared without a custom regexp, e.g. "/:id"
+const DEFAULT_SEGMENT_PATTERN = '[^\\/]+?';
+
+/**
+ * A compiled matcher that finds the routes matching a given path without testing every route in the registry.
+ *
+ * Routes are broken up into path segments and stored in a segment trie:
+ *
+ *   /users              -> (users)
+ *   /users/:id(\\d+)    -> (users) -> [\d+]
+ *   /users/:id/orders   -> (users) -> [^\/]+? -> (orders)
+ *
+ * Static segments are looked up by exact (case-insensitive) value, while parameter segments are tested against
+ * their regexp. Routes with patterns that cannot be cleanly expressed as whole segments (optional or repeated
+ * parameters, multiple parameters within a single directory, regexps that can span slashes or match nothing at all,
+ * etc...) are kept aside and are tested the old fashioned way.
+ *
+ * The trie only ever narrows down the candidates; every candidate is still confirmed against the route's own
+ * compiled regexp, so the matcher is guaranteed to agree with Route.isMatch().
+ *
+ * The matcher is immutable. The given routes are expected to already be ordered by precedence (highest first);
+ * when routes change, simply build a new matcher.
+ */
+class RouteMatcher {
+  constructor(routes = []) {
+    this.routes = routes;
+    this.root = createNode();
+    this.fallback_routes = [];
+
+    this.routes.forEach((route, index) => this._insert(route, index));
+  }
+
+  /**
+   * Returns the highest precedence route that matches the given path, or undefined if none match.
+   *
+   * @param {string} path
+   * @returns {Route|undefined}
+   */
+  match(path) {
+    return this.matchAll(path)[0];
+  }
+
+  /**
+   * Returns all routes that match the given path, in order of precedence.
+   *
+   * @param {string} path
+   * @returns {Array.<Route>}
+   */
+  matchAll(path) {
+    const candidates = [];
+    this._collect(this.root, splitPath(path), 0, candidates);
+
+    return candidates
+      .concat(this.fallback_routes)
+      .sort((e1, e2) => e1.index - e2.index)
+      .filter(_entry => _entry.route.isMatch(path))
+      .map(_entry => _entry.route);
+  }
+
+  _insert(route, index) {
+    const entry = { route, index };
+    const segments = this._getSegments(route);
+
+    if (null === segments) {
+      this.fallback_routes.push(entry);
+      return;
+    }
+
+    let node = this.root;
+    segments.forEach(_segment => {
+      if (_segment.static !== undefined) {
+        if (!node.static_children.has(_segment.static)) {
+          node.static_children.set(_segment.static, createNode());
+        }
+        node = node.static_children.get(_segment.static);
+      } else {
+        let child = node.param_children.find(_child => _child.pattern === _segment.pattern);
+        if (!child) {
+          child = { pattern: _segment.pattern, regexp: new RegExp(`^(?:${_segment.pattern})$`, 'i'), node: createNode() };
+          node.param_children.push(child);
+        }
+        node = child.node;
+      }
+    });
+
+    node.routes.push(entry);
+  }
+
+  /**
+   * Breaks the route's pattern up into an array of segments, each of which is either { static: '...' } or
+   * { pattern: '...' }. Returns null when the route's pattern cannot be represented as whole segments.
+   */
+  _getSegments(route) {
+    const segments = [];
+
+    for (const _token of route.getTokens()) {
+      if (typeof _token === 'string') {
+        splitPath(_token).forEach(_part => segments.push({ static: _part.toLowerCase() }));
+        continue;
+      }
+
+      if (_token.prefix !== '/' || _token.optional || _token.repeat || _token.partial) {
+        return null;
+      }
+      // The trie has no segments for parameters that are empty, e.g. "/foo/:id(\\d*)" matching "/foo/"
+      if (!isSegmentSafe(_token.pattern) || new RegExp(`^(?:${_token.pattern})$`).test('')) {
+        return null;
+      }
+      segments.push({ pattern: _token.pattern });
+    }
+
+    return segments;
+  }
+
+  _collect(node, segments, depth, candidates) {
+    if (depth === segments.length) {
+      node.routes.forEach(_entry => candidates.push(_entry));
+      return;
+    }
+
+    const segment = segments[depth];
+    const static_child = node.static_children.get(segment.toLowerCase());
+    if (static_child) {
+      this._collect(static_child, segments, depth + 1, candidates);
+    }
+
+    node.param_children.forEach(_child => {
+      if (_child.regexp.test(segment)) {
+        this._collect(_child.node, segments, depth + 1, candidates);
+      }
+    });
+  }
+}
+
+function createNode() {
+  return {
+    static_children: new Map(),
+    param_children: [],
+    routes: [],
+  };
+}
+
+/**
+ * Splits a path into its non-empty segments; "/foo//bar/" becomes [ 'foo', 'bar' ]
+ */
+function splitPath(path) {
+  return path.split('/').filter(_part => _part !== '');
+}
+
+/**
+ * Determines whether a parameter regexp is guaranteed to never match a slash, meaning the parameter can never
+ * span multiple path segments. This errs on the side of caution; anything we cannot reason about is unsafe.
+ */
+function isSegmentSafe(pattern) {
+  if (pattern === DEFAULT_SEGMENT_PATTERN) {
+    return true;
+  }
+
+  let in_class = false;
+  let class_negated = false;
+  let class_has_slash = false;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+
+    if (c === '\\') {
+      const escaped = pattern[++i];
+      // \D, \S and \W all match slashes, and hex/unicode escapes could be anything
+      if ('DSWxuc'.includes(escaped)) {
+        return false;
+      }
+      if (escaped === '/') {
+        if (!in_class || !class_negated) {
+          return false;
+        }
+        class_has_slash = true;
+      }
+      continue;
+    }
+
+    if (in_class) {
+      if (c === ']') {
+        if (class_negated && !class_has_slash) {
+          return false;
+        }
+        in_class = false;
+      } else if (pattern[i + 1] === '-' && pattern[i + 2] !== undefined && pattern[i + 2] !== ']') {
+        // Ranges such as [!-~] can sneak a slash in
+        if (!class_negated && c <= '/' && pattern[i + 2] >= '/') {
+          return false;
+        }
+        i += 2;
+      }
+      continue;
+    }
+
+    if (c === '.') {
+      return false;
+    }
+    if (c === '[') {
+      in_class = true;
+      class_negated = pattern[i + 1] === '^';
+      class_has_slash = false;
+      if (class_negated) {
+        i++;
+      }
+    }
+  }
+
+  return !in_class;
+}
+
+RouteMatcher.isSegmentSafe = isSegmentSafe;
+
+module.exports = RouteMatcher;
@@ -1,12 +1,104 @@
 'use strict';
 
 const RouteRegistryError = require('./RouteRegistryError');
+const RouteMatcher = require('./RouteMatcher');
+const RouteDispatcher = require('./RouteDispatcher');
+const RouteComparator = require('./RouteComparator');
+const OpenApiGenerator = require('./OpenApiGenerator');
+const ConfigurationValidator = require('./ConfigurationValidator');
+const { HANDLER_VALIDATION_POLICIES, MOCK_MODES } = require('./constants');
 
+const ORDERING_REGISTRATION = 'registration';
+const ORDERING_SPECIFICITY = 'specificity';
+
+// How arrays and objects in the query strings of generated URLs are serialized; see generate()
+const ARRAY_FORMATS = [ 'brackets', 'indices', 'repeat', 'comma' ];
+const OBJECT_FORMATS = [ 'brackets', 'dot' ];
+
+/**
+ * Options:
+ *
+ *   warn_shadowed_routes: Log a warning when a route is added that can never be matched, because a route that comes
+ *                         before it (see registerAll()) matches all of its URLs, or vice versa
+ *   logger:               Where the warnings go; anything with a warn() method. Defaults to the console
+ *   ordering:             How routes with the same priority are ordered, for registerAll(), middleware() and match():
+ *                         - 'registration' (default): In the order they were added
+ *                         - 'specificity': The most specific routes first, e.g. "/users/me" before "/users/:id";
+ *                           see RouteComparator.compareSpecificity()
+ *   base_path:            Where the routes are mounted, e.g. "/api/v2" for app.use('/api/v2', router); generated URLs
+ *                         include it. See generate()
+ *   handler_validation:   How strictly the handlers of routes are validated when they are added, or loaded from a
+ *                         configuration; routes built with a policy of their own keep it:
+ *                         - 'strict' (default): Handlers must declare exactly the arguments Express passes them
+ *                         - 'lenient': Handlers only need to be callable, e.g. async (req, res) => { ... }
+ *                         - 'explicit': Handlers tagged with their kind only need to be used as that kind; untagged
+ *                           handlers are validated strictly. See Handler
+ *   send_return_values:   Send the values that the actions of routes return (or the values their promises resolve
+ *                         to) as the response, so that actions need not call res.send(); see Response.send()
+ *   mock:                 Serve the responses that routes declare in their metadata instead of running their actions,
+ *                         e.g. to work against the routes before they are implemented; see MockResponder:
+ *                         - 'missing': Only for routes that are not implemented; see Route.isImplemented()
+ *                         - 'all': For all routes that declare responses
+ *   configuration_validation: What to do about problems of configurations given to routeBuilder() or the loaders,
+ *                         such as unknown keys; see ConfigurationValidator:
+ *                         - 'off' (default): Do not check configurations
+ *                         - 'warn': Log a warning for each problem with the logger
+ *                         - 'throw': Throw a RouteRegistryError listing all problems
+ */
 class RouteRegistry {
-  constructor() {
+  constructor(options = {}) {
     this.routes = [];
     this.routes_by_name = {};
+    // The first route added for each method and canonical path, e.g. "get /users/:id"; routes whose requirements tell
+    // them apart may share a canonical path
     this.routes_by_canonical_path = {};
+
+    this.warn_shadowed_routes = !!options.warn_shadowed_routes;
+    this.logger = options.logger || console;
+
+    this.ordering = options.ordering || ORDERING_REGISTRATION;
+    if (![ ORDERING_REGISTRATION, ORDERING_SPECIFICITY ].includes(this.ordering)) {
+      throw new RouteRegistryError(
+        'route_registry_invalid_ordering',
+        `Invalid ordering "${this.ordering}"; must be one of: ${ORDERING_REGISTRATION}, ${ORDERING_SPECIFICITY}.`
+      );
+    }
+
+    this.handler_validation = options.handler_validation || 'strict';
+    if (!HANDLER_VALIDATION_POLICIES.includes(this.handler_validation)) {
+      throw new RouteRegistryError(
+        'route_registry_invalid_handler_validation',
+        `Invalid handler validation "${this.handler_validation}"; must be one of: ${HANDLER_VALIDATION_POLICIES.join(', ')}.`
+      );
+    }
+
+    this.send_return_values = !!options.send_return_values;
+
+    this.configuration_validation = options.configuration_validation || 'off';
+    if ('off' !== this.configuration_validation) {
+      // Also validates the mode
+      this.configuration_validator = new ConfigurationValidator({ mode: this.configuration_validation, logger: this.logger });
+    }
+
+    this.mock = options.mock || false;
+    if (this.mock && !MOCK_MODES.includes(this.mock)) {
+      throw new RouteRegistryError(
+        'route_registry_invalid_mock',
+        `Invalid mock mode "${this.mock}"; must be one of: ${MOCK_MODES.join(', ')}.`
+      );
+    }
+
+    // The host and scheme that generated URLs are relative to; see setContext()
+    this.context = {
+      host: null,
+      scheme: 'http',
+      base_path: options.base_path || '',
+      array_format: 'brackets',
+      object_format: 'brackets',
+    };
+
+    // Lazily compiled; see _getMatcher()
+    this.matcher = null;
   }
 
   // HACK TEMPORARY
@@ -14,26 +106,58 @@ class RouteRegistry {
     this.container = container;
   }
 
+  getHandlerValidation() {
+    return this.handler_validation;
+  }
+
+  /**
+   * Checks a configuration before it is built, according to the "configuration_validation" option
+   *
+   * @param {Object} configuration
+   */
+  validateConfiguration(configuration) {
+    if (this.configuration_validator) {
+      this.configuration_validator.validate(configuration);
+    }
+  }
+
   add(route_name, route) {
+    // The registry's policy applies to the routes that did not choose one of their own; a route that is not up to
+    // it is rejected here
+    if (!route.hasHandlerValidation()) {
+      route.setHandlerValidation(this.handler_validation);
+    }
+    if (this.send_return_values) {
+      route.setSendReturnValues(true);
+    }
+    if (this.mock) {
+      route.setMock(this.mock);
+    }
+
     const methods = route.getMethods();
-    const canonical_path = route.getCanonicalRoutePath();
+    // Routes without a host requirement have an empty canonical host
+    const canonical_path = route.getCanonicalHost() + route.getCanonicalRoutePath();
 
     methods.forEach(method => {
       const method_path = `${method} ${canonical_path}`;
-      // A method path collision warns when two routes have the exact same method + canonical path. This is
-      // dangerous as it may be unclear which of the two routes an inbound path will match.
-      //
-      // NOTE: There is a valid use case for this; when two paths have the same canonical parameters but
-      //       different requirements (such as \\d+ or string1|string2 or other regexp). My suggestion
-      //       for this is to simply name the parameters different things, e.g:
-      //       '/foo/:id(\\d+)' vs '/foo/:slug([a-zA-z]+)'
-      if (method_path in this.routes_by_canonical_path) {
+      // A method path collision happens when two routes answer the same method on the same canonical path, and their
+      // parameters could match the same values. This is dangerous as it may be unclear which of the two routes an
+      // inbound path will match. Routes whose requirements tell them apart do not collide, e.g. '/foo/:id(\\d+)' and
+      // '/foo/:id([a-z]+)'; see RouteComparator.
+      const colliding_route = this.routes.find(_route => {
+        return _route.getMethods().includes(method)
+          && _route.getCanonicalHost() + _route.getCanonicalRoutePath() === canonical_path
+          && RouteComparator.collides(_route, route);
+      });
+      if (colliding_route) {
         throw new RouteRegistryError(
           'route_registry_path_collision',
-          `Route canonical path collision on: "${method_path}".`
+          `Route canonical path collision on: "${method_path}". It overlaps with route "${colliding_route.getName()}".`
         );
       }
-      this.routes_by_canonical_path[method_path] = route;
+      if (!(method_path in this.routes_by_canonical_path)) {
+        this.routes_by_canonical_path[method_path] = route;
+      }
     });
 
     // A route name collision happens when two routes share the same name. This most often occurs when two
@@ -44,7 +168,39 @@ class RouteRegistry {
     }
     this.routes_by_name[route_name] = route;
 
+    if (this.warn_shadowed_routes) {
+      this._warnShadowedRoutes(route);
+    }
+
     this.routes.push(route);
+
+    // Invalidate the compiled matcher; it is rebuilt the next time we need to match anything
+    this.matcher = null;
+  }
+
+  _warnShadowedRoutes(route) {
+    const warn = (shadowed_route, shadowing_route) => {
+      shadowed_route.getMethods()
+        .filter(_method => shadowing_route.handlesMethod(_method))
+        .forEach(_method => {
+          const describe = _route => `${_method.toUpperCase()} ${_route.getHost() || ''}${_route.getPattern()}`;
+          this.logger.warn(
+            `Route "${shadowed_route.getName()}" (${describe(shadowed_route)}) is shadowed by route ` +
+            `"${shadowing_route.getName()}" (${describe(shadowing_route)}) and will never be matched.`
+          );
+        });
+    };
+
+    const entry = { route, index: this.routes.length };
+    this.routes.forEach((_route, _index) => {
+      if (this._compareRoutes({ route: _route, index: _index }, entry) < 0) {
+        if (RouteComparator.shadows(_route, route)) {
+          warn(route, _route);
+        }
+      } else if (RouteComparator.shadows(route, _route)) {
+        warn(_route, route);
+      }
+    });
   }
 
   addRoute(route) {
@@ -64,46 +220,329 @@ class RouteRegistry {
     return this.routes;
   }
 
-  generate(route_name, parameters) {
+  /**
+   * Sets the host (and scheme) that generated URLs are relative to, usually that of the current request:
+   *
+   *   registry.setContext({ host: req.get('host'), scheme: req.protocol });
+   *
+   * The context also holds the defaults of the generate() options below, e.g. { base_path: '/app' }.
+   *
+   * @param {Object} context
+   * @param {string} [context.host]
+   * @param {string} [context.scheme]
+   * @param {string} [context.base_path]
+   * @param {string} [context.array_format]
+   * @param {string} [context.object_format]
+   */
+  setContext(context) {
+    this.context = Object.assign({}, this.context, context);
+    return this;
+  }
+
+  getContext() {
+    return this.context;
+  }
+
+  /**
+   * Generates the path to the given route:
+   *
+   *   registry.generate('user_show', { id: 5 });   // Returns "/users/5"
+   *
+   * When the route has a host requirement, and the generated host differs from the current host (see setContext()),
+   * an absolute URL is returned instead:
+   *
+   *   registry.generate('tenant_dashboard', { tenant: 'acme' });   // Returns "http://acme.example.com/dashboard"
+   *
+   * Parameters that appear in neither the path nor the host go into the query string, and a fragment can be added:
+   *
+   *   registry.generate('user_show', { id: 5, tab: 'orders', tags: [ 'a', 'b' ] }, { fragment: 'top' });
+   *   // Returns "/users/5?tab=orders&tags%5B%5D=a&tags%5B%5D=b#top"
+   *
+   * Options (all but "fragment" and "absolute" default to the context; see setContext()):
+   *
+   *   host:          Overrides the current host
+   *   scheme:        Overrides the scheme
+   *   base_path:     Prepended to all generated paths, e.g. where the routes are mounted
+   *   request:       The current Express request; its host and protocol are used as the current host and scheme,
+   *                  and its req.baseUrl, unless empty, as the base path. This way, a registry that is mounted more
+   *                  than once generates URLs under the mount the request came in through
+   *   absolute:      When true, always returns an absolute URL
+   *   fragment:      Appended after a "#"
+   *   array_format:  How arrays are serialized in the query string, given { tags: [ 'a', 'b' ] }:
+   *                  - 'brackets' (default): tags[]=a&tags[]=b
+   *                  - 'indices': tags[0]=a&tags[1]=b
+   *                  - 'repeat': tags=a&tags=b
+   *                  - 'comma': tags=a,b
+   *   object_format: How objects are serialized in the query string, given { filter: { name: 'x' } }:
+   *                  - 'brackets' (default): filter[name]=x
+   *                  - 'dot': filter.name=x
+   *
+   * @param {string} route_name
+   * @param {Object} [parameters]
+   * @param {Object} [options]
+   * @returns {string}
+   */
+  generate(route_name, parameters = {}, options = {}) {
     if (!(route_name in this.routes_by_name)) {
       throw new RouteRegistryError('route_registry_generate_no_such_route', `No such route exists: ${route_name}.`);
     }
-    return this.routes_by_name[route_name].generate(parameters);
+    const route = this.routes_by_name[route_name];
+    const context = this._getGenerationContext(options);
+
+    const route_parameter_names = route.getHostTokens().concat(route.getTokens())
+      .filter(_token => typeof _token === 'object')
+      .map(_token => String(_token.name));
+    const query_parameters = {};
+    Object.keys(parameters || {}).filter(_key => !route_parameter_names.includes(_key)).forEach(_key => {
+      query_parameters[_key] = parameters[_key];
+    });
+
+    const query_string = buildQueryString(query_parameters, context.array_format, context.object_format);
+    const url = normalizeBasePath(context.base_path) + route.generate(parameters)
+      + (query_string ? `?${query_string}` : '')
+      + (options.fragment ? `#${encodeURI(options.fragment).replace(/#/g, '%23')}` : '');
+
+    let host = route.generateHost(parameters);
+    const current_host = context.host;
+    const is_current_host = null !== host && !!current_host && stripPort(current_host).toLowerCase() === host.toLowerCase();
+    if (!options.absolute && (null === host || is_current_host)) {
+      return url;
+    }
+
+    // The current host keeps its port
+    if (null === host || is_current_host) {
+      host = current_host;
+    }
+    if (!host) {
+      throw new RouteRegistryError(
+        'route_registry_generate_no_host',
+        `Unable to generate an absolute URL for route "${route_name}"; no host is known. See RouteRegistry.setContext().`
+      );
+    }
+    return `${context.scheme || 'http'}://${host}${url}`;
   }
 
-  registerAll(express_router) {
-    // First sort routes by priority
-    this.routes.sort((r1, r2) => r2.getPriority() - r1.getPriority()); // sort in descending order so higher priority comes first
+  /**
+   * The context for generate(), overridden by the given request and then the given options.
+   */
+  _getGenerationContext(options) {
+    const context = Object.assign({}, this.context);
 
-    this.routes.forEach(route => {
-      route.register(express_router);
+    const req = options.request;
+    if (req) {
+      const host = typeof req.get === 'function' ? req.get('host') : (req.headers && req.headers.host);
+      if (host) {
+        context.host = host;
+      }
+      if (req.protocol) {
+        context.scheme = req.protocol;
+      }
+      // Only set while the request is being handled by a mounted router, e.g. within the registry's routes; it is
+      // empty outside of one, or for a router mounted at the root, where the configured base path still applies
+      if (typeof req.baseUrl === 'string' && '' !== req.baseUrl) {
+        context.base_path = req.baseUrl;
+      }
+    }
+
+    [ 'host', 'scheme', 'base_path', 'array_format', 'object_format' ].forEach(_key => {
+      if (undefined !== options[_key]) {
+        context[_key] = options[_key];
+      }
     });
+
+    if (!ARRAY_FORMATS.includes(context.array_format)) {
+      throw new RouteRegistryError(
+        'route_registry_invalid_array_format',
+        `Invalid array format "${context.array_format}"; must be one of: ${ARRAY_FORMATS.join(', ')}.`
+      );
+    }
+    if (!OBJECT_FORMATS.includes(context.object_format)) {
+      throw new RouteRegistryError(
+        'route_registry_invalid_object_format',
+        `Invalid object format "${context.object_format}"; must be one of: ${OBJECT_FORMATS.join(', ')}.`
+      );
+    }
+
+    return context;
   }
 
   /**
-   * Returns the highest priority route that matches the given URL or path.
+   * Registers all routes onto the given Express router, in order of priority.
    *
-   * @param {string} path
-   * @returns {Route}
+   * Options:
+   *
+   *   method_not_allowed: Respond to requests to a known path with a method that none of its routes answer with
+   *                       a 405 Method Not Allowed and an "Allow" header, rather than falling through
+   *   automatic_options:  Respond to OPTIONS requests on known paths that have no explicit OPTIONS route with the
+   *                       allowed methods
+   *
+   * Both are off by default. When enabled, a single extra middleware is registered after all of the routes.
+   *
+   * @param {Object} express_router
+   * @param {Object} [options]
    */
-  match(path) {
-    // First sort routes by priority
-    this.routes.sort((r1, r2) => r2.getPriority() - r1.getPriority()); // sort in descending order so higher priority comes first
-    return this.routes.find(route => {
-      return route.isMatch(path);
+  registerAll(express_router, options = {}) {
+    this._getOrderedRoutes().forEach(route => {
+      route.register(express_router);
     });
+
+    if (options.method_not_allowed || options.automatic_options) {
+      const dispatcher = new RouteDispatcher(this, options);
+      express_router.use(function routeRegistryUnmatchedMethod(req, res, next) {
+        dispatcher.handleUnmatchedMethod(req, res, next);
+      });
+    }
+  }
+
+  /**
+   * Returns a single Express-compatible middleware that dispatches requests to the routes in this registry.
+   *
+   *   app.use(registry.middleware());
+   *
+   * This is an alternative to registerAll(); rather than adding one (or more) router layers per route, the
+   * registry matches the request itself and runs the matched route's parameter converters, middleware, action and
+   * error handlers in the same order Express would. Routes added after the middleware is created are picked up.
+   *
+   * Accepts the same options as registerAll().
+   *
+   * @param {Object} [options]
+   * @returns {function}
+   */
+  middleware(options = {}) {
+    const dispatcher = new RouteDispatcher(this, options);
+    return function routeRegistryMiddleware(req, res, next) {
+      dispatcher.handle(req, res, next);
+    };
+  }
+
+  /**
+   * When called with only a path, returns the highest priority route that matches the given URL or path,
+   * regardless of HTTP method:
+   *
+   *   registry.match('/users/5');             // Returns a Route
+   *
+   * When called with an HTTP method and a path, it returns a match result instead; see matchRequest():
+   *
+   *   registry.match('DELETE', '/users/5');   // Returns { route, params, method, ... }
+   *
+   * @param {string} method_or_path
+   * @param {string} [path]
+   * @returns {Route|Object|null}
+   */
+  match(method_or_path, path) {
+    if (arguments.length < 2) {
+      return this._getMatcher().match(method_or_path);
+    }
+    return this.matchRequest({ method: method_or_path, path });
+  }
+
+  /**
+   * Finds the highest priority route that answers the given HTTP method on the given path.
+   *
+   * Returns null if no route matches the path at all (a 404). Otherwise it returns an object with:
+   *
+   *   route:              The matched Route, or null when the path matched but none of its routes answer the method
+   *   params:             The route parameters, decoded the same way Express decodes req.params
+   *   method:             The (lower-cased) requested method
+   *   allowed_methods:    All methods answered on this path
+   *   method_not_allowed: True when the path matched but the method did not (a 405)
+   *
+   * When a host is given, routes with a host requirement that does not match it are skipped, and the host parameters
+   * are included in the params. Without a host, host requirements are ignored.
+   *
+   * @param {Object} request
+   * @param {string} request.method
+   * @param {string} request.path    Any query string or fragment is ignored
+   * @param {string} [request.host]  Any port is ignored
+   * @returns {Object|null}
+   */
+  matchRequest({ method, path, host }) {
+    const request_method = method.toLowerCase();
+    const request_path = path.split(/[?#]/)[0];
+    const request_host = host ? stripPort(host) : undefined;
+
+    const routes = this.matchAll(request_path, request_host);
+    if (routes.length === 0) {
+      return null;
+    }
+
+    const route = routes.find(_route => _route.handlesMethod(request_method)) || null;
+
+    return {
+      route,
+      params: route ? route.extractParameters(request_path, request_host) : {},
+      method: request_method,
+      allowed_methods: this._getAllowedMethods(routes),
+      method_not_allowed: null === route,
+    };
   }
 
   /**
    * Similar to match(), but returns all routes that match, in the order of their priority.
    *
+   * When a hostname is given, routes with a host requirement that does not match it are left out.
+   *
    * @param {string} path
+   * @param {string} [hostname]
    * @returns {Array.<Route>}
    */
-  matchAll(path) {
-    return this.routes.filter(route => {
-      return route.isMatch(path);
+  matchAll(path, hostname) {
+    const routes = this._getMatcher().matchAll(path);
+    if (undefined === hostname) {
+      return routes;
+    }
+    return routes.filter(_route => _route.handlesHost(hostname));
+  }
+
+  _getAllowedMethods(routes) {
+    const methods = [];
+    routes.forEach(_route => {
+      _route.getMethods().forEach(_method => {
+        if (!methods.includes(_method)) {
+          methods.push(_method);
+        }
+      });
     });
+    if (methods.includes('get') && !methods.includes('head')) {
+      methods.push('head');
+    }
+    return methods;
+  }
+
+  /**
+   * Returns all routes sorted in descending order of priority, so higher priority comes first. Routes with
+   * equal priority retain the order they were added in, or are sorted by specificity; see the "ordering" option.
+   *
+   * @returns {Array.<Route>}
+   */
+  _getOrderedRoutes() {
+    return this.routes
+      .map((route, index) => ({ route, index }))
+      .sort((e1, e2) => this._compareRoutes(e1, e2))
+      .map(_entry => _entry.route);
+  }
+
+  _compareRoutes(e1, e2) {
+    const priority = e2.route.getPriority() - e1.route.getPriority();
+    if (priority || this.ordering === ORDERING_REGISTRATION) {
+      return priority || (e1.index - e2.index);
+    }
+    return RouteComparator.compareSpecificity(e1.route, e2.route);
+  }
+
+  /**
+   * The matcher is compiled once from the ordered routes and reused until another route is added.
+   *
+   * NOTE: Routes are expected to be fully configured by the time they are added; changing the pattern or priority
+   *       of a route that is already in the registry will not be picked up by an already-compiled matcher.
+   *
+   * @returns {RouteMatcher}
+   */
+  _getMatcher() {
+    if (null === this.matcher) {
+      this.matcher = new RouteMatcher(this._getOrderedRoutes());
+    }
+    return this.matcher;
   }
 
   /**
@@ -115,13 +554,11 @@ class RouteRegistry {
    * 1) Ability to send an Object to a GET/POST/PATCH... in order to send controller/action and name and method-specific
    * middleware.
    *
-   * 2) Detect unused configuration keys and warn
-   *
-   * 3) Register controller service ids to GET/POST/PATCH
+   * 2) Register controller service ids to GET/POST/PATCH
    *
-   * 4) Register a controller at top level and inherit to descendants so they only need to provide the action
+   * 3) Register a controller at top level and inherit to descendants so they only need to provide the action
    *
-   * 5) Register error handlers
+   * 4) Register error handlers
    */
   routeBuilder(configuration) {
     const route_collection = this.routeCollectionBuilder(configuration);
@@ -131,11 +568,37 @@ class RouteRegistry {
     });
   }
 
+  /**
+   * Returns an OpenAPI 3 document describing the routes, in the order they are matched:
+   *
+   *   registry.toOpenAPI({ info: { title: 'My API', version: '2.1.0' } });
+   *
+   * - Paths are the route patterns with parameters in braces; "/users/:id(\\d+)" becomes "/users/{id}". Routes with
+   *   optional parameters are described once with, and once without them
+   * - Path parameters get a schema derived from their requirement, e.g. { type: 'integer' } for "\\d+", unless the
+   *   "params" validation schema declares one
+   * - The route name is the operationId
+   * - The "query", "headers" and "body" validation schemas become parameters and the request body
+   * - The "summary", "description", "tags", "deprecated", "responses" and "security" metadata of routes are copied
+   *   into their operations, and anything else can be added with the "openapi" metadata; { openapi: { ... } }
+   * - Host requirements become servers of their paths
+   *
+   * @param {Object} [options]
+   * @param {Object} [options.info]        Merged into the default info; { title: 'API', version: '1.0.0' }
+   * @param {Object[]} [options.servers]   Defaults to the host, scheme and base path of the context; see setContext()
+   * @param {Function} [options.filter]    Receives each route, and returns whether it is described
+   */
+  toOpenAPI(options = {}) {
+    return new OpenApiGenerator(options, this.context).generate(this._getOrderedRoutes());
+  }
+
   /**
    * @deprecated
    */
   routeCollectionBuilder(configuration) {
+    this.validateConfiguration(configuration);
     const builder = new (require('./RouteCollectionBuilder'))(configuration);
+    builder.setHandlerValidation(this.handler_validation);
     if (this.container) {
       builder.setContainer(this.container);
     }
@@ -144,4 +607,47 @@ class RouteRegistry {
   }
 }
 
+/**
+ * Serializes the parameters into a query string. Undefined and null values are left out.
+ */
+function buildQueryString(parameters, array_format, object_format) {
+  const pairs = [];
+
+  const add = (key, value) => {
+    if (undefined === value || null === value) {
+      return;
+    }
+    if (Array.isArray(value)) {
+      if (array_format === 'comma') {
+        add(key, value.filter(_value => undefined !== _value && null !== _value).join(','));
+      } else {
+        value.forEach((_value, _index) => {
+          add(array_format === 'repeat' ? key : `${key}[${array_format === 'indices' ? _index : ''}]`, _value);
+        });
+      }
+    } else if (value instanceof Date) {
+      add(key, value.toISOString());
+    } else if (typeof value === 'object') {
+      Object.keys(value).forEach(_key => add(object_format === 'dot' ? `${key}.${_key}` : `${key}[${_key}]`, value[_key]));
+    } else {
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`);
+    }
+  };
+
+  Object.keys(parameters).forEach(_key => add(_key, parameters[_key]));
+  return pairs.join('&');
+}
+
+/**
+ * Base paths have a leading slash, and no trailing slash; "app/" becomes "/app", and "/" becomes "".
+ */
+function normalizeBasePath(base_path) {
+  const trimmed = (base_path || '').replace(/^\/+|\/+$/g, '');
+  return trimmed ? `/${trimmed}` : '';
+}
+
+function stripPort(host) {
+  return host.replace(/^(\[[^\]]*\]|[^:]*):\d*$/, '$1');
+}
+
 module.exports = RouteRegistry;
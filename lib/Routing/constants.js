@@ -6,4 +6,23 @@ exports.HTTP_METHODS = [
   'delete',
   'options',
   'head',
-]
\ No newline at end of file
+]
+
+// How strictly the handlers of routes are validated; see Route.validate()
+//   - strict:   Handlers must declare exactly the arguments Express passes them, e.g. (req, res, next)
+//   - lenient:  Handlers only need to be callable
+//   - explicit: Handlers tagged with their kind (see Handler) only need to be used as that kind; untagged handlers
+//               are validated strictly
+exports.HANDLER_VALIDATION_POLICIES = [
+  'strict',
+  'lenient',
+  'explicit',
+];
+
+// Which routes serve the responses they declare instead of running their actions; see MockResponder
+//   - missing:  Routes without an action, e.g. with the default action, or a stub of the OpenApiLoader
+//   - all:      All routes that declare responses
+exports.MOCK_MODES = [
+  'missing',
+  'all',
+];
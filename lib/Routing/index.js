@@ -6,7 +6,18 @@ const routeregistry = {
   RouteBuilder: require('./RouteBuilder'),
   RouteRegistry: require('./RouteRegistry'),
   RouteCollection: require('./RouteCollection'),
+  ConfigurationValidator: require('./ConfigurationValidator'),
+  Handler: require('./Handler'),
+  Response: require('./Response'),
+  MockResponder: require('./MockResponder'),
+  SchemaValidator: require('../Validation/SchemaValidator'),
+  RequestValidator: require('../Validation/RequestValidator'),
+  RequestValidationError: require('../Validation/RequestValidationError'),
   JsonLoader: require('../Loader/JsonLoader'),
+  YamlLoader: require('../Loader/YamlLoader'),
+  FileLoader: require('../Loader/FileLoader'),
+  OpenApiLoader: require('../Loader/OpenApiLoader'),
+  RamlLoader: require('../Loader/RamlLoader'),
 };
 
 // Conditional exports made only available when useContainer is called
@@ -0,0 +1,31 @@
+'use strict';
+
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+
+/**
+ * Passed on to the error handlers when a request does not satisfy the "validate" schemas of its route; see
+ * RequestValidator. It carries a 400 status for Express' default error handler, and the individual errors:
+ *
+ *   [ { location: 'query', path: '/page', keyword: 'type', message: 'must be integer' } ]
+ *
+ * The location is one of "params", "query", "headers" or "body", and the path is a JSON pointer into it.
+ */
+class RequestValidationError extends RouteRegistryError {
+  constructor(errors) {
+    super(
+      'request_validation_failed',
+      `Invalid request: ${errors.map(_error => `${_error.location}${'/' === _error.path ? '' : _error.path} ${_error.message}`).join('; ')}.`
+    );
+    this.status = 400;
+    this.statusCode = 400;
+    this.errors = errors;
+  }
+
+  /**
+   * The body of a 400 response, e.g. res.status(err.status).json(err)
+   */
+  toJSON() {
+    return { code: this.code, message: 'Invalid request.', errors: this.errors };
+  }
+}
+module.exports = RequestValidationError;
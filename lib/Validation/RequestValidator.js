@@ -0,0 +1,97 @@
+'use strict';
+
+const SchemaValidator = require('./SchemaValidator');
+const RequestValidationError = require('./RequestValidationError');
+
+// The parts of the request that can be validated, in the order they are validated
+const SECTIONS = [ 'params', 'query', 'headers', 'body' ];
+
+// Path parameters, query strings and headers are always strings; their schemas can ask for other types
+const COERCED_SECTIONS = [ 'params', 'query', 'headers' ];
+
+/**
+ * Validates requests against the "validate" schemas of a route, one JSON-Schema-like definition per part of the
+ * request (see SchemaValidator for the supported keywords):
+ *
+ *   validate: {
+ *     params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+ *     query: { type: 'object', properties: { page: { type: 'integer' } }, additionalProperties: false },
+ *     headers: { type: 'object', properties: { 'x-api-key': { type: 'string' } }, required: [ 'x-api-key' ] },
+ *     body: { type: 'object', properties: { name: { type: 'string' } }, required: [ 'name' ] },
+ *   }
+ *
+ * Header names are lower case, as Node.js gives them. The body is validated as parsed by the body parser, which must
+ * run before the route. Params and query strings are replaced by their coerced values, so that e.g. req.query.page
+ * is the number 2 rather than the string "2".
+ */
+class RequestValidator {
+  constructor(schemas) {
+    this.schemas = schemas;
+    this.validator = new SchemaValidator();
+    this.coercing_validator = new SchemaValidator({ coerce: true });
+  }
+
+  /**
+   * Returns the errors of the request, with the location each belongs to; see RequestValidationError
+   */
+  validate(req) {
+    const errors = [];
+    this._getSections().forEach(_section => {
+      const validator = COERCED_SECTIONS.includes(_section) ? this.coercing_validator : this.validator;
+      const result = validator.validate(this.schemas[_section], req[_section]);
+
+      result.errors.forEach(_error => errors.push(Object.assign({ location: _section }, _error)));
+      if (result.valid && [ 'params', 'query' ].includes(_section)) {
+        req[_section] = result.value;
+      }
+    });
+    return errors;
+  }
+
+  /**
+   * Express middleware that passes a RequestValidationError to next() when the request is invalid
+   */
+  middleware() {
+    return (req, res, next) => {
+      const errors = this.validate(req);
+      next(errors.length > 0 ? new RequestValidationError(errors) : undefined);
+    };
+  }
+
+  _getSections() {
+    return SECTIONS.filter(_section => undefined !== this.schemas[_section]);
+  }
+
+  /**
+   * Schemas of the same part of the request are merged when they are inherited; the properties of object schemas are
+   * merged, with the ones of the child winning, and so are their required properties. Otherwise the child's schema
+   * wins.
+   */
+  static mergeSchemas(parent_schemas, child_schemas) {
+    const merged = Object.assign({}, parent_schemas);
+    Object.keys(child_schemas).forEach(_section => {
+      const parent = parent_schemas[_section];
+      const child = child_schemas[_section];
+      if (isObjectSchema(parent) && isObjectSchema(child)) {
+        merged[_section] = Object.assign({}, parent, child, {
+          properties: Object.assign({}, parent.properties, child.properties),
+        });
+        const required = Array.from(new Set((parent.required || []).concat(child.required || [])));
+        if (required.length > 0) {
+          merged[_section].required = required;
+        }
+      } else {
+        merged[_section] = child;
+      }
+    });
+    return merged;
+  }
+}
+
+RequestValidator.SECTIONS = SECTIONS;
+
+module.exports = RequestValidator;
+
+function isObjectSchema(schema) {
+  return !!schema && typeof schema === 'object' && ('properties' in schema || 'object' === schema.type);
+}
@@ -0,0 +1,281 @@
+'use strict';
+
+const RouteRegistryError = require('../Routing/RouteRegistryError');
+
+// Formats for strings that are checked; other formats are accepted as is, as JSON Schema allows
+const FORMATS = {
+  'date': /^\d{4}-\d{2}-\d{2}$/,
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  'email': /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  'uri': /^[a-zA-Z][a-zA-Z0-9+.-]*:[^\s]*$/,
+  'uuid': /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/,
+  'ipv4': /^((25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)\.){3}(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)$/,
+};
+
+/**
+ * A small validator for JSON-Schema-like definitions, so that requests can be validated without depending on a
+ * validation library. It supports the commonly used keywords:
+ *
+ *   type, enum, const
+ *   minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ *   minLength, maxLength, pattern, format (date, date-time, email, uri, uuid, ipv4)
+ *   items, minItems, maxItems, uniqueItems
+ *   properties, required, additionalProperties, minProperties, maxProperties
+ *   allOf, anyOf, oneOf, not
+ *
+ * Other keywords, like "$ref", "description" or "default", are ignored.
+ *
+ *   const validator = new SchemaValidator({ coerce: true });
+ *   validator.validate({ type: 'object', properties: { page: { type: 'integer' } } }, { page: '2' });
+ *   // { valid: true, errors: [], value: { page: 2 } }
+ *
+ * Options:
+ *
+ *   coerce: Convert strings to the numbers, booleans and nulls that the schema asks for, and single values to arrays;
+ *           for the values of path parameters, query strings and headers, which are always strings. The converted
+ *           value is returned as "value"
+ */
+class SchemaValidator {
+  constructor(options = {}) {
+    this.coerce = !!options.coerce;
+  }
+
+  /**
+   * Returns { valid, errors, value }. Each error is { path, keyword, message }, where the path is a JSON pointer to
+   * the invalid value, e.g. "/items/0/name".
+   */
+  validate(schema, value) {
+    const errors = [];
+    const validated_value = this._validate(schema, value, '', errors);
+    return { valid: errors.length === 0, errors, value: validated_value };
+  }
+
+  _validate(schema, value, path, errors) {
+    if (undefined === schema || true === schema) {
+      return value;
+    }
+    if (false === schema) {
+      errors.push(error(path, 'false', 'is not allowed'));
+      return value;
+    }
+    if (!isObject(schema)) {
+      throw new RouteRegistryError('invalid_schema', `Invalid schema at "${path || '/'}"; schemas must be objects or booleans.`);
+    }
+
+    if ('type' in schema) {
+      const types = [].concat(schema.type);
+      if (this.coerce) {
+        value = coerce(value, types);
+      }
+      if (!types.some(_type => hasType(value, _type))) {
+        errors.push(error(path, 'type', `must be ${types.join(' or ')}`));
+        return value;
+      }
+    }
+
+    if ('const' in schema && !isEqual(value, schema.const)) {
+      errors.push(error(path, 'const', `must be equal to ${JSON.stringify(schema.const)}`));
+    }
+    if (Array.isArray(schema.enum) && !schema.enum.some(_allowed => isEqual(value, _allowed))) {
+      errors.push(error(path, 'enum', `must be one of: ${schema.enum.map(_allowed => JSON.stringify(_allowed)).join(', ')}`));
+    }
+
+    if (typeof value === 'number') {
+      this._validateNumber(schema, value, path, errors);
+    } else if (typeof value === 'string') {
+      this._validateString(schema, value, path, errors);
+    } else if (Array.isArray(value)) {
+      value = this._validateArray(schema, value, path, errors);
+    } else if (isObject(value)) {
+      value = this._validateObject(schema, value, path, errors);
+    }
+
+    this._validateCombinations(schema, value, path, errors);
+
+    return value;
+  }
+
+  _validateNumber(schema, value, path, errors) {
+    if ('minimum' in schema && value < schema.minimum) {
+      errors.push(error(path, 'minimum', `must be >= ${schema.minimum}`));
+    }
+    if ('maximum' in schema && value > schema.maximum) {
+      errors.push(error(path, 'maximum', `must be <= ${schema.maximum}`));
+    }
+    if ('exclusiveMinimum' in schema && value <= schema.exclusiveMinimum) {
+      errors.push(error(path, 'exclusiveMinimum', `must be > ${schema.exclusiveMinimum}`));
+    }
+    if ('exclusiveMaximum' in schema && value >= schema.exclusiveMaximum) {
+      errors.push(error(path, 'exclusiveMaximum', `must be < ${schema.exclusiveMaximum}`));
+    }
+    if ('multipleOf' in schema && !Number.isInteger(value / schema.multipleOf)) {
+      errors.push(error(path, 'multipleOf', `must be a multiple of ${schema.multipleOf}`));
+    }
+  }
+
+  _validateString(schema, value, path, errors) {
+    // Characters, not UTF-16 code units
+    const length = Array.from(value).length;
+    if ('minLength' in schema && length < schema.minLength) {
+      errors.push(error(path, 'minLength', `must not have fewer than ${schema.minLength} characters`));
+    }
+    if ('maxLength' in schema && length > schema.maxLength) {
+      errors.push(error(path, 'maxLength', `must not have more than ${schema.maxLength} characters`));
+    }
+    if ('pattern' in schema && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(error(path, 'pattern', `must match pattern "${schema.pattern}"`));
+    }
+    if ('format' in schema && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      errors.push(error(path, 'format', `must match format "${schema.format}"`));
+    }
+  }
+
+  _validateArray(schema, value, path, errors) {
+    if ('minItems' in schema && value.length < schema.minItems) {
+      errors.push(error(path, 'minItems', `must not have fewer than ${schema.minItems} items`));
+    }
+    if ('maxItems' in schema && value.length > schema.maxItems) {
+      errors.push(error(path, 'maxItems', `must not have more than ${schema.maxItems} items`));
+    }
+    if (schema.uniqueItems && value.some((_item, _index) => value.findIndex(_other => isEqual(_item, _other)) !== _index)) {
+      errors.push(error(path, 'uniqueItems', 'must not have duplicate items'));
+    }
+
+    if ('items' in schema) {
+      // A list of schemas validates the items by position, as a tuple
+      return value.map((_item, _index) => {
+        const item_schema = Array.isArray(schema.items) ? schema.items[_index] : schema.items;
+        return this._validate(item_schema, _item, `${path}/${_index}`, errors);
+      });
+    }
+    return value;
+  }
+
+  _validateObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    const keys = Object.keys(value);
+
+    (schema.required || []).forEach(_property => {
+      if (!Object.prototype.hasOwnProperty.call(value, _property) || undefined === value[_property]) {
+        errors.push(error(`${path}/${escapePointer(_property)}`, 'required', 'is required'));
+      }
+    });
+    if ('minProperties' in schema && keys.length < schema.minProperties) {
+      errors.push(error(path, 'minProperties', `must not have fewer than ${schema.minProperties} properties`));
+    }
+    if ('maxProperties' in schema && keys.length > schema.maxProperties) {
+      errors.push(error(path, 'maxProperties', `must not have more than ${schema.maxProperties} properties`));
+    }
+
+    const validated_value = Object.assign({}, value);
+    keys.forEach(_key => {
+      const property_path = `${path}/${escapePointer(_key)}`;
+      if (Object.prototype.hasOwnProperty.call(properties, _key)) {
+        validated_value[_key] = this._validate(properties[_key], value[_key], property_path, errors);
+      } else if (false === schema.additionalProperties) {
+        errors.push(error(property_path, 'additionalProperties', 'is not allowed'));
+      } else if (isObject(schema.additionalProperties)) {
+        validated_value[_key] = this._validate(schema.additionalProperties, value[_key], property_path, errors);
+      }
+    });
+    return validated_value;
+  }
+
+  /**
+   * The combinations validate the value as it is after coercion, but do not coerce it any further
+   */
+  _validateCombinations(schema, value, path, errors) {
+    const passes = _schema => {
+      const sub_errors = [];
+      this._validate(_schema, value, path, sub_errors);
+      return sub_errors.length === 0;
+    };
+
+    (schema.allOf || []).forEach(_schema => this._validate(_schema, value, path, errors));
+
+    if (Array.isArray(schema.anyOf) && !schema.anyOf.some(passes)) {
+      errors.push(error(path, 'anyOf', 'must match a schema in anyOf'));
+    }
+    if (Array.isArray(schema.oneOf)) {
+      const matches = schema.oneOf.filter(passes).length;
+      if (matches !== 1) {
+        errors.push(error(path, 'oneOf', `must match exactly one schema in oneOf; matches ${matches}`));
+      }
+    }
+    if ('not' in schema && passes(schema.not)) {
+      errors.push(error(path, 'not', 'must not match the schema in not'));
+    }
+  }
+}
+
+module.exports = SchemaValidator;
+
+function error(path, keyword, message) {
+  return { path: path || '/', keyword, message };
+}
+
+function isObject(value) {
+  return null !== value && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'null':
+      return null === value;
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'string':
+      return typeof value === 'string';
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return isObject(value);
+    default:
+      throw new RouteRegistryError('invalid_schema', `Unknown schema type "${type}".`);
+  }
+}
+
+function coerce(value, types) {
+  if (types.some(_type => hasType(value, _type))) {
+    return value;
+  }
+  if (types.includes('array') && undefined !== value) {
+    return [ value ];
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if ((types.includes('number') || types.includes('integer')) && '' !== value.trim() && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && ('true' === value || 'false' === value)) {
+    return 'true' === value;
+  }
+  if (types.includes('null') && '' === value) {
+    return null;
+  }
+  return value;
+}
+
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((_item, _index) => isEqual(_item, b[_index]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(_key => isEqual(a[_key], b[_key]));
+  }
+  return false;
+}
+
+// https://tools.ietf.org/html/rfc6901
+function escapePointer(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
@@ -0,0 +1,73 @@
+'use strict';
+
+const path = require('path');
+const { expect } = require('chai');
+const FileLoader = require('../../lib/Loader/FileLoader');
+const RouteRegistry = require('../../lib/Routing/RouteRegistry');
+
+const fixture = name => path.join(__dirname, 'fixtures', 'imports', name);
+
+
+describe('FileLoader', function() {
+  describe('without the container', function() {
+    it('can load routes from imported files under the importing prefix', function() {
+      const route_registry = new RouteRegistry();
+      const loader = new FileLoader(route_registry);
+
+      loader.load(fixture('routing.js'));
+
+      expect(route_registry.getAll()).to.be.an('Array').that.has.length(1);
+
+      const route = route_registry.getAll()[0];
+      expect(route.getName()).to.equal('admin_users');
+      expect(route.getPattern()).to.equal('/admin/users');
+      expect(route.getMiddleware().map(_middleware => _middleware.name)).to.deep.equal([ 'authenticated', 'logged' ]);
+      expect(route.getErrorHandlers().map(_handler => _handler.name)).to.deep.equal([ 'adminErrorHandler' ]);
+    });
+
+    it('does not modify the imported configuration', function() {
+      const loader = new FileLoader(new RouteRegistry());
+
+      loader.load(fixture('routing.js'));
+
+      expect(require(fixture('routing.js'))['/admin'].imports).to.equal('./admin/users.js');
+    });
+
+    it('fails on circular imports', function() {
+      const loader = new FileLoader(new RouteRegistry());
+
+      expect(() => loader.load(fixture('circular_a.js'))).to.throw(
+        `Circular import detected: ${fixture('circular_a.js')} -> ${fixture('circular_b.js')} -> ${fixture('circular_a.js')}`
+      );
+    });
+
+    it('fails on traits that are defined again by imported files', function() {
+      const loader = new FileLoader(new RouteRegistry());
+
+      expect(() => loader.load(fixture('collisions/routing.js'))).to.throw(
+        `Trait name collision on: "logged". It is defined in "${fixture('collisions/routing.js')}", and again in "${fixture('collisions/users.js')}".`
+      );
+    });
+
+    it('fails on missing files', function() {
+      const loader = new FileLoader(new RouteRegistry());
+
+      expect(() => loader.load(fixture('does_not_exist.js'))).to.throw(`Unable to load "${fixture('does_not_exist.js')}"; no such file.`);
+    });
+  });
+
+  describe('with the service container', function() {
+    it('can import json and yaml files', function() {
+      const route_registry = new RouteRegistry();
+      const service_container = require('../../test_server/container');
+      const loader = new FileLoader(route_registry, service_container);
+
+      loader.load(fixture('mixed.js'));
+
+      expect(route_registry.getAll().map(_route => _route.getPattern())).to.deep.equal([
+        '/admin/books',
+        '/admin/:user_id/roles',
+      ]);
+    });
+  });
+});
@@ -91,6 +91,25 @@ describe('JsonLoader', function() {
       expect(route_registry.getAll()).to.be.an('Array').that.has.length(1);
     });
 
+    it('can load controllers with service references', function() {
+      const route_registry = new RouteRegistry();
+      const service_container = require('../../test_server/container');
+      const loader = new JsonLoader(route_registry, service_container);
+
+      loader.load({
+        '/foo': {
+          get: '@helloworld_controller::index_action',
+          post: {
+            name: 'foo_post',
+            action: '@helloworld_controller::index_action',
+          },
+        }
+      });
+
+      expect(route_registry.getAll()).to.be.an('Array').that.has.length(2);
+      expect(route_registry.getAll()[0].controller_service_id).to.equal('helloworld_controller');
+    });
+
     it('can load middleware, error handlers, and parameter converters as service ids', function() {
       const route_registry = new RouteRegistry();
       const service_container = require('../../test_server/container');
@@ -0,0 +1,178 @@
+'use strict';
+
+const path = require('path');
+const { expect } = require('chai');
+const OpenApiLoader = require('../../lib/Loader/OpenApiLoader');
+const RouteRegistry = require('../../lib/Routing/RouteRegistry');
+
+function fixture(name) {
+  return path.join(__dirname, 'fixtures', name);
+}
+
+describe('OpenApiLoader', function() {
+  const action = (req, res, next) => {};
+
+  function document(paths, extra = {}) {
+    return Object.assign({ openapi: '3.0.3', info: { title: 'Test', version: '1.0.0' }, paths }, extra);
+  }
+
+  describe('#toConfiguration()', function() {
+    it('converts paths, parameters and request bodies', function() {
+      const loader = new OpenApiLoader(new RouteRegistry(), null, { actions: { user_update: action } });
+
+      expect(loader.toConfiguration(document({
+        '/users/{id}/{status}': {
+          put: {
+            operationId: 'user_update',
+            summary: 'Updates a user',
+            parameters: [
+              { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+              { name: 'status', in: 'path', required: true, schema: { type: 'string', enum: [ 'draft', 'final' ] } },
+              { name: 'notify', in: 'query', schema: { type: 'boolean' } },
+              { name: 'X-Version', in: 'header', required: true, schema: { type: 'string' } },
+            ],
+            requestBody: { required: true, content: { 'application/json': { schema: { type: 'object' } } } },
+          },
+        },
+      }))).to.deep.equal({
+        '/users/:id/:status': {
+          requirements: { id: '\\d+', status: 'draft|final' },
+          put: {
+            action,
+            name: 'user_update',
+            metadata: { summary: 'Updates a user' },
+            validate: {
+              params: {
+                type: 'object',
+                properties: { id: { type: 'integer', minimum: 1 }, status: { type: 'string', enum: [ 'draft', 'final' ] } },
+                required: [ 'id', 'status' ],
+              },
+              query: { type: 'object', properties: { notify: { type: 'boolean' } } },
+              headers: { type: 'object', properties: { 'x-version': { type: 'string' } }, required: [ 'x-version' ] },
+              body: { type: 'object' },
+            },
+          },
+        },
+      });
+    });
+
+    it('errors on operations without an action', function() {
+      const loader = new OpenApiLoader(new RouteRegistry());
+
+      expect(() => loader.toConfiguration(document({ '/users': { get: { operationId: 'listUsers' } } })))
+        .to.throw('No action implements GET /users (operationId "listUsers"); give it an "x-controller", or an action with the "actions" option.');
+      expect(() => loader.toConfiguration(document({ '/users': { get: { operationId: 'UserController.index' } } })))
+        .to.throw('No action implements GET /users (operationId "UserController.index"); none of "@UserController::index" exist.');
+    });
+
+    it('errors on invalid documents', function() {
+      const loader = new OpenApiLoader(new RouteRegistry());
+
+      expect(() => loader.toConfiguration({ swagger: '2.0' })).to.throw('Expected an OpenAPI 3 document.');
+      expect(() => loader.toConfiguration(document({ '/users/{user-id}': {} })))
+        .to.throw('Unable to convert the parameter "{user-id}" of "/users/{user-id}"');
+      expect(() => loader.toConfiguration(document({ '/users': { get: { $ref: '#/components/missing' } } })))
+        .to.throw('Unable to resolve "#/components/missing"; no such component.');
+      expect(() => new OpenApiLoader(new RouteRegistry(), null, { missing: 'ignore' }))
+        .to.throw('Invalid "missing" option "ignore"; must be one of: error, stub.');
+    });
+  });
+
+  describe('#load()', function() {
+    it('stubs operations without an action with 501 Not Implemented', function(done) {
+      const route_registry = new RouteRegistry();
+      new OpenApiLoader(route_registry, null, { missing: 'stub' }).load(document({ '/users': { get: { operationId: 'listUsers' } } }));
+
+      const route = route_registry.getAll()[0];
+      expect(route.getName()).to.equal('listUsers');
+      route.getRouteDestination()({}, {
+        status(status) {
+          expect(status).to.equal(501);
+          return this;
+        },
+        send(body) {
+          expect(body).to.deep.equal({ message: 'GET /users (operationId "listUsers") is not implemented.' });
+          done();
+        },
+      });
+    });
+
+    it('mocks stubbed operations with their example responses', function() {
+      const route_registry = new RouteRegistry({ mock: 'missing' });
+      new OpenApiLoader(route_registry, null, { missing: 'stub' }).load(document({
+        '/users': { get: { operationId: 'listUsers', responses: { 200: { $ref: '#/components/responses/Users' } } } },
+      }, {
+        components: {
+          responses: { Users: { description: 'Users.', content: { 'application/json': { schema: { $ref: '#/components/schemas/Users' } } } } },
+          schemas: { Users: { type: 'array', items: { type: 'object', properties: { name: { type: 'string', example: 'Jane' } } } } },
+        },
+      }));
+
+      const route = route_registry.getAll()[0];
+      expect(route.isImplemented()).to.be.false;
+      expect(route.getMetadata().responses[200].content['application/json'].schema.items.properties.name)
+        .to.deep.equal({ type: 'string', example: 'Jane' });
+
+      let sent;
+      route.getRouteDestination()({ headers: {} }, {
+        status() { return this; },
+        set() { return this; },
+        json(body) { sent = body; },
+      });
+      expect(sent).to.deep.equal([ { name: 'Jane' } ]);
+    });
+
+    it('maps operations to controller actions with x-controller and the naming convention', function() {
+      const route_registry = new RouteRegistry();
+      const UserController = {
+        users_index(req, res, next) {},
+        users_create_action(req, res, next) {},
+        show_action(req, res, next) {},
+      };
+      const container = { get: id => ({ UserController })[id] };
+
+      new OpenApiLoader(route_registry, container).load(fixture('openapi.yml'));
+
+      expect(route_registry.getAll().map(_route => [ _route.getName(), _route.getMethods()[0], _route.getPattern(), _route.action ]))
+        .to.deep.equal([
+          [ 'users_index', 'get', '/users', 'users_index' ],
+          [ 'users_create', 'post', '/users', 'users_create_action' ],
+          [ 'show', 'get', '/users/:id', 'show_action' ],
+        ]);
+
+      const show = route_registry.getAll()[2];
+      expect(show.isMatch('/users/abc')).to.be.false;
+      expect(show.getValidation().params.properties.id).to.deep.equal({ type: 'integer', minimum: 1 });
+      expect(route_registry.getAll()[1].getValidation().body).to.deep.equal({
+        type: 'object',
+        properties: { name: { type: 'string' } },
+        required: [ 'name' ],
+      });
+
+      const other_registry = new RouteRegistry();
+      new OpenApiLoader(other_registry, container).load(document({
+        '/me': { get: { operationId: 'UserController::show_action' } },
+      }));
+      expect(other_registry.getAll()[0].action).to.equal('show_action');
+    });
+
+    it('round trips with RouteRegistry#toOpenAPI()', function() {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/posts/:id(\\d+)': {
+          get: { name: 'post_show', action, metadata: { tags: [ 'posts' ] } },
+        },
+      });
+
+      const route_registry = new RouteRegistry();
+      new OpenApiLoader(route_registry, null, { actions: { post_show: action } }).load(registry.toOpenAPI());
+
+      const operation = route_registry.toOpenAPI().paths['/posts/{id}'].get;
+      const original = registry.toOpenAPI().paths['/posts/{id}'].get;
+      expect(operation.operationId).to.equal(original.operationId);
+      expect(operation.tags).to.deep.equal(original.tags);
+      expect(operation.parameters).to.deep.equal(original.parameters);
+      expect(route_registry.getAll()[0].isMatch('/posts/abc')).to.be.false;
+    });
+  });
+});
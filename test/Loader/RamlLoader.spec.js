@@ -0,0 +1,171 @@
+'use strict';
+
+const path = require('path');
+const { expect } = require('chai');
+const RamlLoader = require('../../lib/Loader/RamlLoader');
+const RouteRegistry = require('../../lib/Routing/RouteRegistry');
+
+function fixture(name) {
+  return path.join(__dirname, 'fixtures', 'raml', name);
+}
+
+describe('RamlLoader', function() {
+  const middleware = (req, res, next) => {};
+  const error_handler = (err, req, res, next) => {};
+  const UserController = {
+    index_action(req, res, next) {},
+    create_action(req, res, next) {},
+    show_action(req, res, next) {},
+  };
+  const container = {
+    get: id => ({ UserController, 'middleware.sample': middleware, 'error.sample': error_handler })[id],
+  };
+
+  describe('#toConfiguration()', function() {
+    it('converts resources, methods and uriParameters', function() {
+      const loader = new RamlLoader(new RouteRegistry());
+
+      expect(loader.toConfiguration({
+        title: 'Posts',
+        '/posts': {
+          '(middleware)': '@middleware.authenticated',
+          '/{id}/{status}': {
+            uriParameters: { id: 'integer', status: { enum: [ 'draft', 'final' ] } },
+            put: {
+              '(controller)': '@PostController::update_action',
+              '(name)': 'post_update',
+              description: 'Updates a post',
+              queryParameters: { 'notify?': 'boolean' },
+              body: { 'application/json': { properties: { title: 'string', 'tags?': 'string[]' } } },
+            },
+          },
+        },
+      })).to.deep.equal({
+        '/posts': {
+          middleware: '@middleware.authenticated',
+          '/:id/:status': {
+            requirements: { id: '-?\\d+', status: 'draft|final' },
+            validate: {
+              params: {
+                type: 'object',
+                properties: { id: { type: 'integer' }, status: { type: 'string', enum: [ 'draft', 'final' ] } },
+                required: [ 'id', 'status' ],
+              },
+            },
+            put: {
+              action: '@PostController::update_action',
+              name: 'post_update',
+              metadata: { description: 'Updates a post' },
+              validate: {
+                query: { type: 'object', properties: { notify: { type: 'boolean' } } },
+                body: {
+                  type: 'object',
+                  properties: { title: { type: 'string' }, tags: { type: 'array', items: { type: 'string' } } },
+                  required: [ 'title' ],
+                },
+              },
+            },
+          },
+        },
+      });
+    });
+
+    it('converts type expressions and declared types', function() {
+      const loader = new RamlLoader(new RouteRegistry());
+      const configuration = loader.toConfiguration({
+        types: {
+          Node: { properties: { value: 'string | nil', children: 'Node[]' } },
+          Leaf: { type: 'Node', properties: { weight: { type: 'number', required: false } } },
+        },
+        '/nodes': { post: { '(controller)': '@NodeController::create', body: 'Leaf' } },
+      });
+
+      expect(configuration['/nodes'].post.validate.body).to.deep.equal({
+        type: 'object',
+        properties: {
+          value: { anyOf: [ { type: 'string' }, { type: 'null' } ] },
+          children: { type: 'array', items: {} },
+          weight: { type: 'number' },
+        },
+        required: [ 'value', 'children' ],
+      });
+    });
+
+    it('converts responses, and stubs methods without a (controller) when asked to', function() {
+      const loader = new RamlLoader(new RouteRegistry(), null, { missing: 'stub' });
+      const configuration = loader.toConfiguration({
+        mediaType: 'application/json',
+        '/users': {
+          get: {
+            responses: {
+              200: { body: { type: 'string[]', example: [ 'Jane' ] } },
+              404: { description: 'Not found.' },
+            },
+          },
+        },
+      });
+
+      const route = configuration['/users'].get;
+      expect(route.action.name).to.equal('notImplemented');
+      expect(route.metadata.responses).to.deep.equal({
+        200: {
+          description: '',
+          content: { 'application/json': { schema: { type: 'array', items: { type: 'string' } }, example: [ 'Jane' ] } },
+        },
+        404: { description: 'Not found.' },
+      });
+    });
+
+    it('errors on what it cannot convert', function() {
+      const loader = new RamlLoader(new RouteRegistry());
+
+      expect(() => loader.toConfiguration({ '/users': { get: {} } }))
+        .to.throw('No action implements GET /users; give it a "(controller)" annotation.');
+      expect(() => loader.toConfiguration({ '/users': { get: { '(controller)': '@A::b', body: 'Person' } } }))
+        .to.throw('Unknown type "Person".');
+      expect(() => loader.toConfiguration({ '/users': { get: { '(controller)': '@A::b', is: [ 'paged' ] } } }))
+        .to.throw('GET /users: There is no trait "paged".');
+      expect(() => loader.toConfiguration({ resourceTypes: { item: { get: { '(controller)': '<<controller>>' } } }, '/users': { type: 'item' } }))
+        .to.throw('Resource type "item" requires the parameter "controller".');
+      expect(() => loader.toConfiguration({ uses: { lib: 'lib.raml' } })).to.throw('RAML libraries ("uses") are not supported.');
+      expect(() => new RamlLoader(new RouteRegistry()).readFile(fixture('old.raml')))
+        .to.throw('expected a RAML 1.0 document, starting with "#%RAML 1.0".');
+    });
+  });
+
+  describe('#load()', function() {
+    it('loads routes with traits, resource types and included types', function() {
+      const route_registry = new RouteRegistry();
+      new RamlLoader(route_registry, container).load(fixture('api.raml'));
+
+      const routes = route_registry.getAll();
+      expect(routes.map(_route => [ _route.getName(), _route.getMethods()[0], _route.getPattern(), _route.action ]))
+        .to.deep.equal([
+          [ 'users_index', 'get', '/users', 'index_action' ],
+          [ 'users_create', 'post', '/users', 'create_action' ],
+          [ 'user_show', 'get', '/users/:id', 'show_action' ],
+        ]);
+
+      const [ index, create, show ] = routes;
+      expect(index.getMiddleware()).to.deep.equal([ middleware ]);
+      expect(index.getErrorHandlers()).to.deep.equal([ error_handler ]);
+      expect(index.getValidation().query.properties).to.deep.equal({
+        page: { type: 'integer', minimum: 1 },
+        per_page: { type: 'integer', maximum: 50 },
+      });
+      expect(create.getValidation().body).to.deep.equal({
+        type: 'object',
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          email: { type: 'string' },
+          roles: { type: 'array', items: { type: 'string' } },
+        },
+        required: [ 'name', 'roles' ],
+      });
+      expect(show.getMetadata()).to.deep.equal({ summary: 'Show user' });
+      expect(show.getValidation().headers).to.deep.equal({ type: 'object', properties: { 'x-version': { type: 'string' } } });
+      expect(show.isMatch('/users/abc')).to.be.false;
+      expect(show.isMatch('/users/12')).to.be.ok;
+    });
+  });
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const path = require('path');
+const { expect } = require('chai');
+const YamlLoader = require('../../lib/Loader/YamlLoader');
+const RouteRegistry = require('../../lib/Routing/RouteRegistry');
+
+const fixture = name => path.join(__dirname, 'fixtures', name);
+
+
+describe('YamlLoader', function() {
+  describe('without the container', function() {
+    it('reports syntax errors with the file and line', function() {
+      const loader = new YamlLoader(new RouteRegistry());
+
+      try {
+        loader.load(fixture('invalid_syntax.yaml'));
+        expect.fail('Should have thrown');
+      } catch (err) {
+        expect(err.code).to.equal('yaml_syntax_error');
+        expect(err.file).to.equal(fixture('invalid_syntax.yaml'));
+        expect(err.line).to.equal(3);
+        expect(err.message).to.equal(`${fixture('invalid_syntax.yaml')}:3: Unterminated quoted string.`);
+      }
+    });
+
+    it('reports service references that cannot be resolved', function() {
+      const loader = new YamlLoader(new RouteRegistry());
+
+      expect(() => loader.load(fixture('routing.yml'))).to.throw(
+        `${fixture('routing.yml')}:3: Unable to resolve "@middleware.sample"; service references require a container.`
+      );
+    });
+
+    it('only accepts YAML files', function() {
+      const loader = new YamlLoader(new RouteRegistry());
+
+      expect(() => loader.load(__filename)).to.throw('Expected a file with one of the extensions: .yaml, .yml');
+    });
+  });
+
+  describe('with values that look like service references', function() {
+    const services = {
+      UserController: { show_action(req, res, next) {} },
+      'middleware.sorted': ({ sort }) => function(req, res, next) { next(); },
+    };
+    const container = {
+      get: id => {
+        if (!(id in services)) {
+          throw new Error(`Service "${id}" not found`);
+        }
+        return services[id];
+      },
+    };
+
+    it('does not resolve trait parameters as services', function() {
+      const route_registry = new RouteRegistry();
+      const loader = new YamlLoader(route_registry, container);
+
+      loader.load(fixture('trait_parameters.yml'));
+
+      expect(route_registry.getAll()[0].getTraits()).to.deep.equal([ { name: 'sorted', parameters: { sort: '@created_at' } } ]);
+    });
+
+    it('does not resolve defaults and requirements as services', function() {
+      const route_registry = new RouteRegistry();
+      const loader = new YamlLoader(route_registry, container);
+
+      loader.load(fixture('value_nodes.yml'));
+
+      const route = route_registry.getAll()[0];
+      expect(route.getDefaults()).to.deep.equal({ handle: '@me' });
+      expect(route.getRequirements()).to.deep.equal({ handle: '@?[a-z]+' });
+    });
+
+    it('does not resolve the values in validation schemas as services', function() {
+      const route_registry = new RouteRegistry();
+      const loader = new YamlLoader(route_registry, container);
+
+      loader.load(fixture('value_nodes.yml'));
+
+      const validation = route_registry.getAll()[0].getValidation();
+      expect(validation.params.properties.handle.pattern).to.equal('@[a-z]+');
+      expect(validation.query.properties.role.enum).to.deep.equal([ '@admin', '@member' ]);
+    });
+  });
+
+  describe('with the service container', function() {
+    it('can load routes with service references', function() {
+      const route_registry = new RouteRegistry();
+      const service_container = require('../../test_server/container');
+      const loader = new YamlLoader(route_registry, service_container);
+
+      loader.load(fixture('routing.yml'));
+
+      expect(route_registry.getAll()).to.be.an('Array').that.has.length(2);
+
+      const route = route_registry.getAll().find(_route => _route.getName() === 'foo_show');
+      expect(route.getPattern()).to.equal('/foo/:id');
+      expect(route.controller_service_id).to.equal('helloworld_controller');
+      expect(route.getMiddleware()).to.be.an('Array').that.has.length(1);
+      expect(route.getParameterConverters()).to.be.an('Array').that.has.length(1);
+      expect(route.getErrorHandlers()).to.be.an('Array').that.has.length(1);
+    });
+
+    it('reports missing services with the file and line', function() {
+      const route_registry = new RouteRegistry();
+      const service_container = require('../../test_server/container');
+      const loader = new YamlLoader(route_registry, service_container);
+
+      try {
+        loader.load(fixture('missing_service.yml'));
+        expect.fail('Should have thrown');
+      } catch (err) {
+        expect(err.code).to.equal('yaml_loader_invalid_service_reference');
+        expect(err.line).to.equal(5);
+      }
+      expect(route_registry.getAll()).to.be.an('Array').that.is.empty;
+    });
+  });
+});
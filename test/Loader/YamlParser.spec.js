@@ -0,0 +1,140 @@
+'use strict';
+
+const { expect } = require('chai');
+const YamlParser = require('../../lib/Loader/YamlParser');
+
+
+describe('YamlParser', function() {
+  function parse(source) {
+    return new YamlParser().parse(source, 'test.yml');
+  }
+
+  describe('#parse()', function() {
+    it('can parse nested mappings with route patterns as keys', function() {
+      expect(parse([
+        '/users:',
+        '  /:user_id(\\d+):',
+        '    get: \'@UserController::show_action\'',
+        '    priority: -1',
+      ].join('\n'))).to.deep.equal({
+        '/users': {
+          '/:user_id(\\d+)': {
+            get: '@UserController::show_action',
+            priority: -1,
+          },
+        },
+      });
+    });
+
+    it('can parse block and flow sequences', function() {
+      expect(parse([
+        'middleware:',
+        '  - \'@middleware.one\'',
+        '  - "@middleware.two"',
+        'error: [ \'@error.one\', \'@error.two\' ]',
+        'param:',
+        '- [ user_id, \'@param.user\' ]',
+        '- id: book_id',
+        '  parameter_converter: \'@param.book\'',
+      ].join('\n'))).to.deep.equal({
+        middleware: [ '@middleware.one', '@middleware.two' ],
+        error: [ '@error.one', '@error.two' ],
+        param: [
+          [ 'user_id', '@param.user' ],
+          { id: 'book_id', parameter_converter: '@param.book' },
+        ],
+      });
+    });
+
+    it('can parse scalars', function() {
+      expect(parse([
+        'string: hello world',
+        'single: \'it\'\'s\'',
+        'double: "tab\\there"',
+        'integer: 42',
+        'float: -1.5',
+        'boolean: true',
+        'null: ~',
+        'empty:',
+        'url: http://localhost:8080/foo',
+      ].join('\n'))).to.deep.equal({
+        string: 'hello world',
+        single: 'it\'s',
+        double: 'tab\there',
+        integer: 42,
+        float: -1.5,
+        boolean: true,
+        null: null,
+        empty: null,
+        url: 'http://localhost:8080/foo',
+      });
+    });
+
+    it('can parse block scalars', function() {
+      expect(parse([
+        'literal: |',
+        '  line 1',
+        '  line 2',
+        'folded: >-',
+        '  line 1',
+        '  line 2',
+      ].join('\n'))).to.deep.equal({
+        literal: 'line 1\nline 2\n',
+        folded: 'line 1 line 2',
+      });
+    });
+
+    it('ignores comments', function() {
+      expect(parse([
+        '# Routes',
+        '---',
+        '/foo: # The foo collection',
+        '  get: \'@FooController::index_action\' # Lists foos',
+        '  description: "# not a comment"',
+      ].join('\n'))).to.deep.equal({
+        '/foo': {
+          get: '@FooController::index_action',
+          description: '# not a comment',
+        },
+      });
+    });
+
+    it('reports syntax errors with the file and line', function() {
+      try {
+        parse([
+          '/foo:',
+          '  get: \'@FooController::index_action\'',
+          '  get: \'@FooController::other_action\'',
+        ].join('\n'));
+        expect.fail('Should have thrown');
+      } catch (err) {
+        expect(err.code).to.equal('yaml_syntax_error');
+        expect(err.message).to.equal('test.yml:3: Duplicate key "get".');
+        expect(err.file).to.equal('test.yml');
+        expect(err.line).to.equal(3);
+      }
+    });
+
+    it('rejects unsupported features', function() {
+      expect(() => parse('foo: &anchor bar')).to.throw('test.yml:1: Anchors and aliases are not supported.');
+      expect(() => parse('foo: !include bar.yml')).to.throw('test.yml:1: Unsupported tag "!include".');
+    });
+  });
+
+  describe('#getLine()', function() {
+    it('returns the line that keys and items were declared on', function() {
+      const parser = new YamlParser();
+      const document = parser.parse([
+        '/foo:',
+        '',
+        '  middleware:',
+        '    - \'@middleware.one\'',
+        '    - \'@middleware.two\'',
+      ].join('\n'));
+
+      expect(parser.getLine(document, '/foo')).to.equal(1);
+      expect(parser.getLine(document['/foo'], 'middleware')).to.equal(3);
+      expect(parser.getLine(document['/foo'].middleware, 1)).to.equal(5);
+    });
+  });
+});
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+  '/users': {
+    is: [ 'logged' ],
+    get: { name: 'admin_users', action: function users(req, res, next) { res.send('users'); } },
+  },
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+  '/a': {
+    imports: './circular_b.js',
+  },
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+  '/b': {
+    imports: './circular_a.js',
+  },
+};
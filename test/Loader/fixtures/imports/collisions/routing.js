@@ -0,0 +1,12 @@
+'use strict';
+
+module.exports = {
+  traits: {
+    logged: {
+      middleware: function logged(req, res, next) { next(); },
+    },
+  },
+  '/admin': {
+    imports: './users.js',
+  },
+};
@@ -0,0 +1,13 @@
+'use strict';
+
+module.exports = {
+  traits: {
+    logged: {
+      middleware: function audited(req, res, next) { next(); },
+    },
+  },
+  '/users': {
+    is: [ 'logged' ],
+    get: { name: 'admin_users', action: function users(req, res, next) { res.send('users'); } },
+  },
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+  '/admin': {
+    imports: [ './admin/books.json', './admin/roles.yml' ],
+  },
+};
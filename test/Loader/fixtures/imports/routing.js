@@ -0,0 +1,14 @@
+'use strict';
+
+module.exports = {
+  traits: {
+    logged: {
+      middleware: function logged(req, res, next) { next(); },
+    },
+  },
+  '/admin': {
+    middleware: function authenticated(req, res, next) { next(); },
+    error: function adminErrorHandler(err, req, res, next) { next(err); },
+    imports: './admin/users.js',
+  },
+};
@@ -0,0 +1,155 @@
+'use strict';
+
+const { expect } = require('chai');
+const { ConfigurationValidator, RouteRegistry } = require('../../index.js');
+
+describe('ConfigurationValidator', () => {
+  const action = (req, res, next) => {};
+  const middleware = (req, res, next) => {};
+
+  describe('#check()', () => {
+    const validator = new ConfigurationValidator();
+
+    it('accepts valid configurations', () => {
+      expect(validator.check({
+        traits: { secure: { middleware, description: 'Requires a user.' } },
+        resourceTypes: {
+          collection: { '<<extra>>': 1, get: '<<controller>>::index_action', priority: '<<priority>>' },
+        },
+        '/users': {
+          is: [ 'secure', { paginated: { max: 10 } } ],
+          type: { collection: { controller: '@UserController' } },
+          middleware: [ middleware, '@middleware.log' ],
+          requirements: { id: '\\d+' },
+          validate: { query: { type: 'object' }, body: false },
+          '/:id': [
+            { get: { name: 'user_show', action, metadata: { internal: true } } },
+            { delete: [ '@UserController', 'destroy_action' ] },
+          ],
+          imports: [ { traits: {}, '/more': { get: action } } ],
+        },
+        '/articles': { resource: '@ArticleController', only: [ 'index', 'show' ], name: 'posts' },
+      })).to.deep.equal([]);
+    });
+
+    it('reports unknown keys, with suggestions', () => {
+      expect(validator.check({
+        '/users': {
+          middlware: middleware,
+          get: { action, metdaata: {} },
+          foo: 1,
+        },
+        traits: { secure: { middlewares: [] } },
+      })).to.deep.equal([
+        { path: '/~1users/middlware', message: 'Unknown key "middlware"; did you mean "middleware"?' },
+        { path: '/~1users/get/metdaata', message: 'Unknown key "metdaata"; did you mean "metadata"?' },
+        { path: '/~1users/foo', message: 'Unknown key "foo".' },
+        { path: '/traits/secure/middlewares', message: 'Unknown key "middlewares"; did you mean "middleware"?' },
+      ]);
+    });
+
+    it('reports values of the wrong type', () => {
+      expect(validator.check({
+        '/users': {
+          priority: 'high',
+          middleware: [ middleware, 12 ],
+          validate: { cookies: {} },
+          resource: '@UserController',
+          only: [ 'list' ],
+          get: 12,
+          post: { action, metadata: [] },
+        },
+        '/posts': 'nope',
+      })).to.deep.equal([
+        { path: '/~1users/priority', message: 'Expected a number.' },
+        { path: '/~1users/middleware', message: 'Expected a function, a service reference, or an array of those.' },
+        { path: '/~1users/validate', message: 'Expected an object of schemas for any of: params, query, headers, body.' },
+        { path: '/~1users/only', message: 'Expected an array of resource actions: (index, create, show, update, destroy).' },
+        { path: '/~1users/get', message: 'A method must be a function, a service reference, an array or an object with an "action".' },
+        { path: '/~1users/post/metadata', message: 'Expected an object.' },
+        { path: '/~1posts', message: 'A configuration level must be an object.' },
+      ]);
+    });
+
+    it('reports keys used at the wrong level', () => {
+      expect(validator.check({
+        '/users': {
+          traits: {},
+          action,
+          identifier: 'user_id',
+          get: { action, priority: 1, '/sub': {} },
+        },
+        resourceTypes: { collection: { resourceTypes: {} } },
+      })).to.deep.equal([
+        { path: '/~1users/traits', message: '"traits" is only valid at the root of the configuration.' },
+        { path: '/~1users/action', message: '"action" belongs in a method node, e.g. "get".' },
+        { path: '/~1users/identifier', message: '"identifier" is only used together with "resource".' },
+        { path: '/~1users/get/priority', message: '"priority" is only valid on a configuration level, not on a method.' },
+        { path: '/~1users/get/~1sub', message: '"/sub" is only valid on a configuration level, not on a method.' },
+        { path: '/resourceTypes/collection/resourceTypes', message: '"resourceTypes" is only valid at the root of the configuration.' },
+      ]);
+    });
+  });
+
+  describe('#validate()', () => {
+    it('throws all problems in throw mode', () => {
+      const validator = new ConfigurationValidator({ mode: 'throw' });
+      expect(validator.validate({ '/users': { get: action } })).to.deep.equal([]);
+
+      try {
+        validator.validate({ '/users': { middlware: middleware, get: { action, nmae: 'users' } } });
+        expect.fail('Expected an error');
+      } catch (err) {
+        expect(err.code).to.equal('invalid_route_configuration');
+        expect(err.message).to.equal([
+          'Invalid route configuration:',
+          '  /~1users/middlware: Unknown key "middlware"; did you mean "middleware"?',
+          '  /~1users/get/nmae: Unknown key "nmae"; did you mean "name"?',
+        ].join('\n'));
+        expect(err.problems).to.have.lengthOf(2);
+      }
+    });
+
+    it('logs the problems in warn mode', () => {
+      const warnings = [];
+      const validator = new ConfigurationValidator({ mode: 'warn', logger: { warn: message => warnings.push(message) } });
+
+      expect(validator.validate('nope')).to.have.lengthOf(1);
+      expect(warnings).to.deep.equal([ 'Route configuration (root): A configuration level must be an object.' ]);
+    });
+
+    it('errors on unknown modes', () => {
+      expect(() => new ConfigurationValidator({ mode: 'ignore' })).to.throw('Invalid mode "ignore"; must be one of: throw, warn.');
+    });
+  });
+
+  describe('RouteRegistry "configuration_validation" option', () => {
+    const configuration = { '/users': { get: action, midleware: middleware } };
+
+    it('does not check configurations by default', () => {
+      const registry = new RouteRegistry({ logger: { warn: () => expect.fail('Unexpected warning') } });
+      registry.routeBuilder(configuration);
+      expect(registry.getAll()).to.have.lengthOf(1);
+    });
+
+    it('warns with the logger of the registry', () => {
+      const warnings = [];
+      const registry = new RouteRegistry({ configuration_validation: 'warn', logger: { warn: message => warnings.push(message) } });
+      registry.routeBuilder(configuration);
+
+      expect(registry.getAll()).to.have.lengthOf(1);
+      expect(warnings).to.deep.equal([ 'Route configuration /~1users/midleware: Unknown key "midleware"; did you mean "middleware"?' ]);
+    });
+
+    it('throws before building', () => {
+      const registry = new RouteRegistry({ configuration_validation: 'throw' });
+      expect(() => registry.routeBuilder(configuration)).to.throw('Unknown key "midleware"');
+      expect(registry.getAll()).to.have.lengthOf(0);
+    });
+
+    it('errors on unknown modes', () => {
+      expect(() => new RouteRegistry({ configuration_validation: 'strict' }))
+        .to.throw('Invalid mode "strict"; must be one of: throw, warn.');
+    });
+  });
+});
@@ -0,0 +1,59 @@
+'use strict';
+
+const { expect } = require('chai');
+const { Handler } = require('../../index.js');
+
+describe('Handler', () => {
+  describe('tagging', () => {
+    it('tags handlers with their kind', () => {
+      const action = async (req, res) => {};
+
+      expect(Handler.action(action)).to.equal(action);
+      expect(Handler.getKind(action)).to.equal('action');
+      expect(Handler.getKind(Handler.middleware(async req => {}))).to.equal('middleware');
+      expect(Handler.getKind(Handler.param((req, res, next, ...rest) => {}))).to.equal('parameter_converter');
+      expect(Handler.getKind((req, res, next) => {})).to.be.null;
+    });
+
+    it('blows up when a handler is tagged as two kinds', () => {
+      const handler = function myHandler(req, res, next) {};
+      Handler.middleware(handler);
+
+      expect(() => Handler.middleware(handler)).to.not.throw();
+      expect(() => Handler.action(handler))
+        .to.throw('Handler "myHandler" is already tagged as a "middleware" handler; it cannot also be a "action" handler.');
+    });
+
+    it('blows up when tagging something that is not a function', () => {
+      expect(() => Handler.action('a')).to.throw('Only functions can be tagged as a "action" handler.');
+    });
+  });
+
+  describe('error handlers', () => {
+    it('declares 4 arguments, for express to recognize them as error handlers', () => {
+      const error_handler = async function handleError(err, req, res) { return err.message; };
+      const tagged = Handler.error(error_handler);
+
+      expect(tagged.length).to.equal(4);
+      expect(tagged.name).to.equal('handleError');
+      expect(Handler.getKind(tagged)).to.equal('error_handler');
+      return tagged(new Error('oops')).then(message => expect(message).to.equal('oops'));
+    });
+
+    it('tags error handlers that already declare 4 arguments as is', () => {
+      const error_handler = (err, req, res, next) => {};
+      expect(Handler.error(error_handler)).to.equal(error_handler);
+    });
+
+    it('is used as an error handler by express', done => {
+      const router = require('express').Router();
+      router.get('/foo', (req, res, next) => next(new Error('oops')));
+      router.use(Handler.error((err, req, res) => res.send(err.message)));
+
+      router.handle({ method: 'GET', url: '/foo', headers: {} }, { send: body => {
+        expect(body).to.equal('oops');
+        done();
+      } }, done);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const { expect } = require('chai');
+const { MockResponder, RouteBuilder, RouteRegistry } = require('../../index.js');
+
+function fakeRequest(headers = {}, accepted = null) {
+  return {
+    headers,
+    accepts: content_types => accepted ? content_types.find(_content_type => accepted === _content_type) || false : content_types[0],
+  };
+}
+
+describe('MockResponder', () => {
+  const action = (req, res, next) => {};
+
+  describe('#getResponse()', () => {
+    const responder = new MockResponder({
+      201: {
+        description: 'Created.',
+        content: {
+          'application/json': { examples: { jane: { value: { id: 1, name: 'Jane' } }, john: { value: { id: 2, name: 'John' } } } },
+          'text/plain': { example: 'Jane' },
+        },
+      },
+      200: { description: 'Updated.', content: { 'application/json': { schema: { type: 'object', properties: { id: { type: 'integer' } } } } } },
+      404: { description: 'Not found.', content: { 'application/problem+json': { example: { title: 'Not found' } } } },
+      default: { description: 'Error.' },
+    });
+
+    it('sends the first successful response', () => {
+      const response = responder.getResponse(fakeRequest());
+      expect(response.getStatus()).to.equal(200);
+      expect(response.getFormat()).to.equal('json');
+      expect(response.getBody()).to.deep.equal({ id: 0 });
+      expect(response.getHeaders()).to.deep.equal({ 'Content-Type': 'application/json' });
+    });
+
+    it('sends the status, example and content type the request prefers', () => {
+      const jane = responder.getResponse(fakeRequest({ prefer: 'code=201' }));
+      expect(jane.getStatus()).to.equal(201);
+      expect(jane.getBody()).to.deep.equal({ id: 1, name: 'Jane' });
+
+      expect(responder.getResponse(fakeRequest({ prefer: 'code=201, example=john' })).getBody()).to.deep.equal({ id: 2, name: 'John' });
+
+      const text = responder.getResponse(fakeRequest({ prefer: 'code=201' }, 'text/plain'));
+      expect(text.getBody()).to.equal('Jane');
+      expect(text.getHeaders()).to.deep.equal({ 'Content-Type': 'text/plain' });
+
+      const not_found = responder.getResponse(fakeRequest({ prefer: 'code=404' }));
+      expect(not_found.getStatus()).to.equal(404);
+      expect(not_found.getBody()).to.deep.equal({ title: 'Not found' });
+      expect(not_found.getHeaders()).to.deep.equal({ 'Content-Type': 'application/problem+json' });
+
+      const error = responder.getResponse(fakeRequest({ prefer: 'code=default' }));
+      expect(error.getStatus()).to.equal(200);
+      expect(error.getBody()).to.be.undefined;
+    });
+  });
+
+  describe('.exampleFromSchema()', () => {
+    it('makes up values of the types of the schema', () => {
+      expect(MockResponder.exampleFromSchema({
+        type: 'object',
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          email: { type: 'string', format: 'email' },
+          status: { type: 'string', enum: [ 'draft', 'final' ] },
+          tags: { type: 'array', items: { type: 'string' } },
+          admin: { type: [ 'null', 'boolean' ] },
+          name: { anyOf: [ { type: 'string', example: 'Jane' }, { type: 'null' } ] },
+          created: { allOf: [ { properties: { at: { type: 'string', format: 'date-time' } } }, { properties: { by: { default: 'me' } } } ] },
+        },
+      })).to.deep.equal({
+        id: 1,
+        email: 'user@example.com',
+        status: 'draft',
+        tags: [ 'string' ],
+        admin: true,
+        name: 'Jane',
+        created: { at: '1970-01-01T00:00:00Z', by: 'me' },
+      });
+    });
+  });
+
+  describe('RouteRegistry "mock" option', () => {
+    const examples = { 200: { id: 1 } };
+
+    function send(route) {
+      const sent = {};
+      const res = {
+        headersSent: false,
+        status(status) { sent.status = status; return this; },
+        set(headers) { sent.headers = headers; return this; },
+        json(body) { sent.json = body; return this; },
+        send(body) { sent.body = body; return this; },
+      };
+      route.getRouteDestination()(fakeRequest(), res, () => {});
+      return sent;
+    }
+
+    it('mocks the routes that are not implemented', () => {
+      const registry = new RouteRegistry({ mock: 'missing' });
+      const missing = RouteBuilder.get('/missing').named('missing').metadata({ examples }).build();
+      const implemented = RouteBuilder.get('/implemented').named('implemented').metadata({ examples }).to(action);
+      const undocumented = RouteBuilder.get('/undocumented').named('undocumented').build();
+      [ missing, implemented, undocumented ].forEach(_route => registry.addRoute(_route));
+
+      expect(missing.isImplemented()).to.be.false;
+      expect(implemented.isImplemented()).to.be.true;
+      expect(send(missing)).to.deep.equal({ status: 200, headers: { 'Content-Type': 'application/json' }, json: { id: 1 } });
+      expect(implemented.getRouteDestination()).to.equal(action);
+      expect(send(undocumented)).to.deep.equal({ status: 500, body: 'Under construction.' });
+    });
+
+    it('mocks all routes that declare responses', () => {
+      const registry = new RouteRegistry({ mock: 'all' });
+      const route = RouteBuilder.get('/implemented').named('implemented').metadata({ examples }).to(action);
+      registry.addRoute(route);
+
+      expect(route.getMock()).to.equal('all');
+      expect(send(route).json).to.deep.equal({ id: 1 });
+    });
+
+    it('errors on unknown modes', () => {
+      expect(() => new RouteRegistry({ mock: 'some' })).to.throw('Invalid mock mode "some"; must be one of: missing, all.');
+      expect(() => RouteBuilder.get('/foo').named('foo').mock('some').to(action)).to.throw('Invalid mock mode "some"');
+    });
+  });
+});
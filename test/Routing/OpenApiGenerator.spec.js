@@ -0,0 +1,116 @@
+'use strict';
+
+const { expect } = require('chai');
+const { RouteBuilder, RouteRegistry } = require('../../index.js');
+
+describe('OpenApiGenerator', () => {
+  const action = (req, res, next) => {};
+
+  describe('RouteRegistry#toOpenAPI()', () => {
+    it('describes the paths, methods and path parameters of routes', () => {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users/:id(\\d+)/posts/:status': {
+          requirements: { status: 'draft|final' },
+          get: { name: 'user_posts', action },
+          post: { name: 'user_posts_create', action },
+        },
+        '/files/:path([a-z_]+)': {
+          get: { name: 'file', action },
+        },
+      });
+
+      const document = registry.toOpenAPI({ info: { title: 'My API' } });
+      expect(document.openapi).to.equal('3.0.3');
+      expect(document.info).to.deep.equal({ title: 'My API', version: '1.0.0' });
+      expect(document).to.not.have.property('servers');
+      expect(Object.keys(document.paths)).to.deep.equal([ '/users/{id}/posts/{status}', '/files/{path}' ]);
+      expect(Object.keys(document.paths['/users/{id}/posts/{status}'])).to.deep.equal([ 'get', 'post' ]);
+
+      expect(document.paths['/users/{id}/posts/{status}'].get).to.deep.equal({
+        operationId: 'user_posts',
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+          { name: 'status', in: 'path', required: true, schema: { type: 'string', enum: [ 'draft', 'final' ] } },
+        ],
+        responses: { default: { description: 'Default response.' } },
+      });
+      expect(document.paths['/files/{path}'].get.parameters[0].schema).to.deep.equal({ type: 'string', pattern: '^(?:[a-z_]+)$' });
+    });
+
+    it('pulls in metadata and validation schemas', () => {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users/:id': {
+          metadata: { tags: [ 'users' ] },
+          validate: {
+            params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+            headers: { type: 'object', properties: { 'x-version': { type: 'string', description: 'API version' }, accept: {} } },
+          },
+          put: {
+            name: 'user_update',
+            action,
+            metadata: { summary: 'Updates a user', openapi: { externalDocs: { url: 'https://example.com' } } },
+            validate: {
+              query: { type: 'object', properties: { notify: { type: 'boolean' } }, required: [ 'notify' ] },
+              body: { type: 'object', properties: { name: { type: 'string' } } },
+            },
+          },
+        },
+      });
+
+      expect(registry.toOpenAPI().paths['/users/{id}'].put).to.deep.equal({
+        operationId: 'user_update',
+        summary: 'Updates a user',
+        tags: [ 'users' ],
+        parameters: [
+          { name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } },
+          { name: 'notify', in: 'query', required: true, schema: { type: 'boolean' } },
+          { name: 'x-version', in: 'header', required: false, schema: { type: 'string', description: 'API version' }, description: 'API version' },
+        ],
+        requestBody: {
+          required: true,
+          content: { 'application/json': { schema: { type: 'object', properties: { name: { type: 'string' } } } } },
+        },
+        responses: { default: { description: 'Default response.' }, 400: { description: 'Invalid request.' } },
+        externalDocs: { url: 'https://example.com' },
+      });
+    });
+
+    it('describes optional parameters with separate paths', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/list/:page?').named('list').defaults({ page: '1' }).to(action));
+
+      const paths = registry.toOpenAPI().paths;
+      expect(Object.keys(paths)).to.deep.equal([ '/list/{page}', '/list' ]);
+      expect(paths['/list/{page}'].get.parameters).to.deep.equal([
+        { name: 'page', in: 'path', required: true, schema: { type: 'string', default: '1' } },
+      ]);
+      expect(paths['/list'].get.operationId).to.equal('list_without_page');
+    });
+
+    it('describes servers from the context and host requirements', () => {
+      const registry = new RouteRegistry({ base_path: '/api' });
+      registry.setContext({ host: 'example.com', scheme: 'https' });
+      registry.addRoute(RouteBuilder.get('/dashboard').named('dashboard').host(':tenant.example.com').to(action));
+      registry.addRoute(RouteBuilder.get('/internal').named('internal').to(action));
+
+      const document = registry.toOpenAPI({ filter: _route => 'internal' !== _route.getName() });
+      expect(document.servers).to.deep.equal([ { url: 'https://example.com/api' } ]);
+      expect(document.paths).to.deep.equal({
+        '/dashboard': {
+          servers: [ { url: 'https://{tenant}.example.com/api', variables: { tenant: { default: 'tenant' } } } ],
+          get: { operationId: 'dashboard', responses: { default: { description: 'Default response.' } } },
+        },
+      });
+    });
+
+    it('describes the first of the routes on the same path and method', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/users/:id(\\d+)').named('user').to(action));
+      registry.addRoute(RouteBuilder.get('/users/:id([a-z]+)').named('user_first').priority(10).to(action));
+
+      expect(registry.toOpenAPI().paths['/users/{id}'].get.operationId).to.equal('user_first');
+    });
+  });
+});
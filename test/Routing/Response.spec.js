@@ -0,0 +1,103 @@
+'use strict';
+
+const { expect } = require('chai');
+const { PassThrough } = require('stream');
+const { Response } = require('../../index.js');
+
+// Records what is sent, the way the express response would receive it
+function fakeResponse() {
+  const res = new PassThrough();
+  Object.assign(res, {
+    headersSent: false,
+    sent: {},
+    status(status) { this.sent.status = status; return this; },
+    set(headers) { this.sent.headers = Object.assign({}, this.sent.headers, headers); return this; },
+    get(name) { return (this.sent.headers || {})[name]; },
+    type(type) { return this.set({ 'Content-Type': type }); },
+    send(body) { this.sent.body = body; return this; },
+    json(body) { this.sent.json = body; return this; },
+    redirect(status, location) { this.sent.redirect = [ status, location ]; return this; },
+  });
+  return res;
+}
+
+describe('Response', () => {
+  describe('#send()', () => {
+    it('sends strings as text and everything else as JSON', () => {
+      const text_res = fakeResponse();
+      Response.send('hi', text_res);
+      expect(text_res.sent).to.deep.equal({ headers: { 'Content-Type': 'text' }, body: 'hi' });
+
+      const json_res = fakeResponse();
+      Response.send({ foo: 'bar' }, json_res);
+      expect(json_res.sent).to.deep.equal({ json: { foo: 'bar' } });
+
+      const null_res = fakeResponse();
+      Response.send(null, null_res);
+      expect(null_res.sent).to.deep.equal({ json: null });
+    });
+
+    it('sends nothing for undefined, or once the headers were sent', () => {
+      const res = fakeResponse();
+      Response.send(undefined, res);
+      res.headersSent = true;
+      Response.send('hi', res);
+      expect(res.sent).to.deep.equal({});
+    });
+
+    it('sends responses and response-like objects', () => {
+      const res = fakeResponse();
+      Response.send(Response.json([ 1 ], 201, { 'X-Foo': 'bar' }), res);
+      expect(res.sent).to.deep.equal({ status: 201, headers: { 'X-Foo': 'bar' }, json: [ 1 ] });
+
+      const like_res = fakeResponse();
+      Response.send({ sendTo: _res => _res.send('custom') }, like_res);
+      expect(like_res.sent).to.deep.equal({ body: 'custom' });
+    });
+
+    it('redirects', () => {
+      const res = fakeResponse();
+      Response.send(Response.redirect('/login', 301), res);
+      expect(res.sent).to.deep.equal({ status: 301, redirect: [ 301, '/login' ] });
+    });
+
+    it('pipes streams and passes their errors to next', done => {
+      const res = fakeResponse();
+      const stream = new PassThrough();
+      const chunks = [];
+      res.on('data', chunk => chunks.push(String(chunk)));
+      res.on('end', () => {
+        expect(chunks.join('')).to.equal('streamed');
+        expect(res.sent.status).to.equal(200);
+
+        const failing = new PassThrough();
+        Response.send(failing, fakeResponse(), err => {
+          expect(err.message).to.equal('oops');
+          done();
+        });
+        failing.emit('error', new Error('oops'));
+      });
+
+      Response.send(stream, res, done);
+      stream.end('streamed');
+    });
+  });
+
+  describe('building', () => {
+    it('exposes what it would send, for unit tests', () => {
+      const response = Response.text(42, 404).setHeader('X-Foo', 'bar');
+
+      expect(response.getBody()).to.equal('42');
+      expect(response.getStatus()).to.equal(404);
+      expect(response.getHeader('x-foo')).to.equal('bar');
+      expect(response.getFormat()).to.equal('text');
+      expect(Response.noContent().getStatus()).to.equal(204);
+      expect(Response.redirect('/login').getLocation()).to.equal('/login');
+      expect(Response.isResponse(response)).to.be.true;
+    });
+
+    it('blows up on streams that are not streams', () => {
+      expect(() => Response.stream('a')).to.throw('Response.stream() expects a readable stream.');
+    });
+  });
+});
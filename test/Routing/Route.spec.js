@@ -1,7 +1,7 @@
 'use strict';
 
 const { expect } = require('chai');
-const { RouteBuilder, Route } = require('../../index.js');
+const { RouteBuilder, Route, Handler, Response } = require('../../index.js');
 
 describe('Route', () => {
   const dummy_action = (req, res, next) => res.send('hello');
@@ -110,7 +110,11 @@ describe('Route', () => {
 
   describe('expressjs registration', () => {
     it('registers properly', () => {
-      const action = (req, res, next) => res.send('Hello');
+      const req = {};
+      const res = {};
+      const next = () => {};
+      let action_arguments = null;
+      const action = function(req, res, next) { action_arguments = arguments; };
       const r = RouteBuilder.post('/foo/bar').to(action);
       const express = {
         get: () => expect.fail('WRONG!'),
@@ -118,11 +122,15 @@ describe('Route', () => {
           // Note arguments is not an array; only array-like
           expect(arguments).to.have.all.keys(0, 1); // Path + action
           expect(arguments[0]).to.equal('/foo/bar');
-          expect(arguments[1]).to.equal(action);
+
+          // The action is wrapped to forward promise rejections to next(); the wrapper calls it with the same arguments
+          arguments[1](req, res, next);
+          expect(Array.from(action_arguments)).to.have.ordered.members([ req, res, next ]);
         },
       };
 
       r.register(express);
+      expect(action_arguments).to.not.equal(null);
     });
 
     it('registers with controller', () => {
@@ -150,10 +158,14 @@ describe('Route', () => {
     });
 
     it('registers properly with middleware', () => {
-      const middle1 = (req, res, next) => { return 'yay' };
-      const middle2 = (req, res, next) => { return 'yay2' };
-      const middle3 = (req, res, next) => { return 'yay2' };
-      const action = (req, res, next) => res.send('Hello');
+      const req = {};
+      const res = {};
+      const next = () => {};
+      const calls = [];
+      const middle1 = function(req, res, next) { calls.push([ middle1, ...arguments ]); };
+      const middle2 = function(req, res, next) { calls.push([ middle2, ...arguments ]); };
+      const middle3 = function(req, res, next) { calls.push([ middle3, ...arguments ]); };
+      const action = function(req, res, next) { calls.push([ action, ...arguments ]); };
 
       const r = RouteBuilder.post('/foo/bar')
         .with(middle1)
@@ -165,14 +177,42 @@ describe('Route', () => {
           // Note arguments is not an array; only array-like
           expect(arguments).to.have.all.keys(0, 1, 2, 3, 4); // Path + 3 middleware + action
           expect(arguments[0]).to.equal('/foo/bar');
-          expect(arguments[1]).to.equal(middle1);
-          expect(arguments[2]).to.equal(middle2);
-          expect(arguments[3]).to.equal(middle3); // Ordering here matters!!!
-          expect(arguments[4]).to.equal(action);
+
+          // The handlers are wrapped like the action; each wrapper calls its own handler with the same arguments
+          Array.from(arguments).slice(1).forEach(_wrapper => _wrapper(req, res, next));
+          expect(calls.map(_call => _call[0])).to.have.ordered.members([ middle1, middle2, middle3, action ]); // Ordering here matters!!!
+          calls.forEach(_call => expect(_call.slice(1)).to.have.ordered.members([ req, res, next ]));
         },
       };
 
       r.register(express);
+      expect(calls).to.have.lengthOf(4);
+    });
+
+    it('forwards rejections of async handlers to the error handlers', done => {
+      const router = require('express').Router();
+      const r = RouteBuilder.get('/users/:id')
+        .param('id', async (req, res, next, id) => {
+          if (id === 'missing') {
+            throw new Error('No such user');
+          }
+          next();
+        })
+        .with(async (req, res, next) => next())
+        .to(async (req, res, next) => {
+          throw new Error('Action failed');
+        });
+      r.setErrorHandlers([ async (err, req, res, next) => res.send(`Handled: ${err.message}`) ]);
+      r.register(router);
+
+      router.handle({ method: 'GET', url: '/users/5', headers: {} }, { send: body => {
+        expect(body).to.equal('Handled: Action failed');
+
+        router.handle({ method: 'GET', url: '/users/missing', headers: {} }, { send: body => {
+          expect(body).to.equal('Handled: No such user');
+          done();
+        } }, done);
+      } }, done);
     });
 
     it.skip('registers properly with parameter converter', () => {
@@ -232,6 +272,277 @@ describe('Route', () => {
     });
   });
 
+  describe('host requirements', () => {
+    it('can extract host parameters', () => {
+      const r = RouteBuilder.get('/dashboard').host(':tenant.example.com').to(dummy_action);
+
+      expect(r.extractHostParameters('acme.example.com')).to.deep.equal({ tenant: 'acme' });
+      expect(r.extractHostParameters('acme.example.org')).to.be.null;
+      expect(r.extractHostParameters('a.b.example.com')).to.be.null;
+      expect(r.handlesHost('ACME.example.com')).to.be.true;
+      expect(r.extractParameters('/dashboard', 'acme.example.com')).to.deep.equal({ tenant: 'acme' });
+      expect(r.extractParameters('/dashboard', 'example.com')).to.be.null;
+    });
+
+    it('handles any host without a host requirement', () => {
+      const r = RouteBuilder.get('/dashboard').to(dummy_action);
+
+      expect(r.handlesHost('acme.example.com')).to.be.true;
+      expect(r.getCanonicalHost()).to.equal('');
+    });
+
+    it('generates the canonical host and the host', () => {
+      const r = RouteBuilder.get('/dashboard').host(':tenant.Example.com').to(dummy_action);
+
+      expect(r.getCanonicalHost()).to.equal(':tenant.example.com');
+      expect(r.generateHost({ tenant: 'acme' })).to.equal('acme.Example.com');
+    });
+
+    it('rejects parameters that appear in both the host and the path', () => {
+      expect(() => RouteBuilder.get('/:tenant').host(':tenant.example.com').to(dummy_action))
+        .to.throw('The parameter "tenant" appears in both the host and the path.');
+    });
+
+    it('registers onto express with the host parameters', done => {
+      const router = require('express').Router();
+      const calls = [];
+      const r = RouteBuilder.get('/users/:id')
+        .host(':tenant.example.com')
+        .param('tenant', (req, res, next, tenant) => { calls.push(`tenant ${tenant}`); next(); })
+        .param('id', (req, res, next, id) => { calls.push(`id ${id}`); next(); })
+        .to((req, res, next) => res.send(req.params));
+      r.register(router);
+      router.get('/users/:id', (req, res, next) => res.send('fallback'));
+
+      const request = host => ({ method: 'GET', url: '/users/5', headers: { host } });
+
+      router.handle(request('other.com'), { send: body => {
+        expect(body).to.equal('fallback');
+        expect(calls).to.deep.equal([]);
+
+        router.handle(request('acme.example.com:3000'), { send: body => {
+          expect(body).to.deep.equal({ tenant: 'acme', id: '5' });
+          expect(calls).to.deep.equal([ 'tenant acme', 'id 5' ]);
+          done();
+        } }, done);
+      } }, done);
+    });
+  });
+
+  describe('requirements and defaults', () => {
+    it('applies requirements declared outside of the pattern', () => {
+      const r = RouteBuilder.get('/foo/:id/:slug').requirements({ id: '\\d+', slug: '(draft|final)' }).to(dummy_action);
+
+      expect(r.getCanonicalRoutePath()).to.equal('/foo/:id/:slug');
+      expect(r.extractParameters('/foo/3/final')).to.deep.equal({ id: '3', slug: 'final' });
+      expect(r.isMatch('/foo/a/final')).to.be.false;
+      expect(() => r.generate({ id: 'a', slug: 'draft' })).to.throw('Expected "id" to match "\\d+", but got "a"');
+    });
+
+    it('keeps the parentheses in character classes and escapes of requirements', () => {
+      const r = RouteBuilder.get('/tags/:tag').requirements({ tag: '[(]\\w+[)]|\\(\\d+\\)' }).to(dummy_action);
+
+      expect(r.extractParameters('/tags/(abc)')).to.deep.equal({ tag: '(abc)' });
+      expect(r.extractParameters('/tags/(12)')).to.deep.equal({ tag: '(12)' });
+      expect(r.isMatch('/tags/:abc)')).to.be.false;
+      expect(r.isMatch('/tags/abc')).to.be.false;
+    });
+
+    it('fills in defaults when generating and matching', () => {
+      const r = RouteBuilder.get('/list/:page?').defaults({ page: 1, unused: 'x' }).to(dummy_action);
+
+      expect(r.generate()).to.equal('/list/1');
+      expect(r.generate({ page: 3 })).to.equal('/list/3');
+      expect(r.extractParameters('/list')).to.deep.equal({ page: 1 });
+    });
+
+    it('registers onto express with the requirements and defaults', done => {
+      const router = require('express').Router();
+      RouteBuilder.get('/list/:id/:page?')
+        .requirements({ id: '\\d+' })
+        .defaults({ page: 1 })
+        .to((req, res, next) => res.send(req.params))
+        .register(router);
+      router.get('/list/:slug', (req, res, next) => res.send('fallback'));
+
+      router.handle({ method: 'GET', url: '/list/abc', headers: {} }, { send: body => {
+        expect(body).to.equal('fallback');
+
+        router.handle({ method: 'GET', url: '/list/5', headers: {} }, { send: body => {
+          expect(body).to.deep.equal({ id: '5', page: 1 });
+          done();
+        } }, done);
+      } }, done);
+    });
+  });
+
+  describe('handler validation', () => {
+    const async_action = async (req, res) => res.send('hello');
+
+    it('validates the number of arguments strictly by default, once the route is registered', () => {
+      const route = RouteBuilder.get('/foo').named('foo').to(async_action);
+      expect(() => route.register(require('express').Router()))
+        .to.throw('Action definition accepts wrong number of arguments');
+      expect(route.hasHandlerValidation()).to.be.true;
+
+      const middleware_route = RouteBuilder.get('/foo').named('foo').with(async (req, res) => {}).to(dummy_action);
+      expect(() => middleware_route.register(require('express').Router()))
+        .to.throw('Middleware at index 0 accepts the wrong number of arguments');
+    });
+
+    it('only requires handlers to be callable when lenient', () => {
+      const r = RouteBuilder.get('/foo/:id')
+        .named('foo')
+        .handlerValidation('lenient')
+        .with(async (req, res, ...rest) => {})
+        .param('id', (req, res, next, id = 1) => {})
+        .to(async_action);
+
+      r.setErrorHandlers([ (err, req, res) => {} ]);
+      expect(r.getHandlerValidation()).to.equal('lenient');
+      expect(() => r.setMiddleware([ 'a' ])).to.throw('Middleware at index 0 is invalid');
+    });
+
+    it('accepts tagged handlers of any number of arguments when explicit', () => {
+      const r = RouteBuilder.get('/foo/:id')
+        .named('foo')
+        .handlerValidation('explicit')
+        .with(Handler.middleware(async (req, res) => {}), (req, res, next) => next())
+        .param('id', Handler.param(async (req, res, next, ...rest) => {}))
+        .to(Handler.action(async_action));
+
+      r.setErrorHandlers([ Handler.error(async (err, req, res) => {}) ]);
+      expect(() => r.setMiddleware([ async (req, res) => {} ]))
+        .to.throw('Middleware at index 0 accepts the wrong number of arguments');
+    });
+
+    it('blows up on handlers tagged as another kind when explicit', () => {
+      expect(() => RouteBuilder.get('/foo').named('foo').handlerValidation('explicit').with(Handler.action(async_action)).to(dummy_action))
+        .to.throw('Exception on route: "foo"; Middleware at index 0 is tagged as a "action" handler; expected: middleware.');
+    });
+
+    it('blows up on an unknown policy', () => {
+      expect(() => RouteBuilder.get('/foo').named('foo').handlerValidation('loose').to(dummy_action))
+        .to.throw('Invalid handler validation "loose"; must be one of: strict, lenient, explicit.');
+    });
+
+    it('still registers tagged error handlers as error handlers onto express', done => {
+      const router = require('express').Router();
+      RouteBuilder.get('/foo')
+        .named('foo')
+        .handlerValidation('explicit')
+        .to(Handler.action(async (req, res) => { throw new Error('oops'); }))
+        .setErrorHandlers([ Handler.error(async (err, req, res) => res.send(err.message)) ])
+        .register(router);
+
+      router.handle({ method: 'GET', url: '/foo', headers: {} }, { send: body => {
+        expect(body).to.equal('oops');
+        done();
+      } }, done);
+    });
+  });
+
+  describe('return value responses', () => {
+    function handle(route, callback) {
+      const router = require('express').Router();
+      route.register(router);
+
+      const res = {
+        headersSent: false,
+        status(status) { this.status_code = status; return this; },
+        set() { return this; },
+        get() {},
+        type() { return this; },
+        send(body) { callback(this.status_code, body); },
+        json(body) { callback(this.status_code, body); },
+      };
+      router.handle({ method: 'GET', url: '/foo', headers: {} }, res, err => callback(null, err));
+    }
+
+    it('sends the resolved return value of actions', done => {
+      const r = RouteBuilder.get('/foo').named('foo').sendReturnValues().to(async (req, res, next) => ({ foo: 'bar' }));
+
+      expect(r.isSendingReturnValues()).to.be.true;
+      handle(r, (status, body) => {
+        expect(body).to.deep.equal({ foo: 'bar' });
+        done();
+      });
+    });
+
+    it('sends responses returned by controller actions', done => {
+      class FooController {
+        show_action(req, res, next) {
+          return Response.text(this.message, 201);
+        }
+      }
+      const controller = Object.assign(new FooController(), { message: 'created' });
+      const r = RouteBuilder.get('/foo').named('foo').sendReturnValues().to(controller, 'show_action');
+
+      handle(r, (status, body) => {
+        expect(status).to.equal(201);
+        expect(body).to.equal('created');
+        done();
+      });
+    });
+
+    it('leaves actions that return nothing alone', done => {
+      const r = RouteBuilder.get('/foo').named('foo').sendReturnValues().to((req, res, next) => { res.send('sent'); });
+
+      handle(r, (status, body) => {
+        expect(body).to.equal('sent');
+        done();
+      });
+    });
+
+    it('does not send return values unless enabled', done => {
+      const r = RouteBuilder.get('/foo').named('foo').to((req, res, next) => { setImmediate(next); return 'ignored'; });
+
+      handle(r, (status, body) => {
+        expect(status).to.be.null;
+        expect(body).to.be.undefined;
+        done();
+      });
+    });
+  });
+
+  describe('request validation', () => {
+    it('rejects invalid requests with a 400 error, after the parameter converters and before the middleware', done => {
+      const router = require('express').Router();
+      const calls = [];
+      RouteBuilder.get('/users/:id')
+        .named('user')
+        .validation({
+          params: { type: 'object', properties: { id: { type: 'integer' } } },
+          query: { type: 'object', properties: { page: { type: 'integer', minimum: 1 } } },
+        })
+        .param('id', (req, res, next, id) => { calls.push('param'); next(); })
+        .with((req, res, next) => { calls.push('middleware'); next(); })
+        .to((req, res, next) => res.send(req.params.id + req.query.page))
+        .setErrorHandlers([ (err, req, res, next) => res.send(err) ])
+        .register(router);
+
+      router.handle({ method: 'GET', url: '/users/abc?page=0', query: { page: '0' }, headers: {} }, { send: err => {
+        expect(err.status).to.equal(400);
+        expect(err.errors).to.deep.equal([
+          { location: 'params', path: '/id', keyword: 'type', message: 'must be integer' },
+          { location: 'query', path: '/page', keyword: 'minimum', message: 'must be >= 1' },
+        ]);
+        expect(calls).to.deep.equal([ 'param' ]);
+
+        router.handle({ method: 'GET', url: '/users/5?page=2', query: { page: '2' }, headers: {} }, { send: body => {
+          expect(body).to.equal(7);
+          expect(calls).to.deep.equal([ 'param', 'param', 'middleware' ]);
+          done();
+        } }, done);
+      } }, done);
+    });
+
+    it('blows up on invalid validation schemas', () => {
+      expect(() => RouteBuilder.get('/foo').named('foo').validation({ body: 'a' }).to(dummy_action))
+        .to.throw('Exception on route: "foo"; The validation schema of "body" must be an object or a boolean.');
+    });
+  });
+
   describe('route matching', () => {
     it('can match', () => {
       const r = RouteBuilder.get('/foo/:id(\\d+)').to(dummy_action);
@@ -240,5 +551,13 @@ describe('Route', () => {
       expect(r.isMatch('/foo/a')).to.be.false;
       expect(r.isMatch('/bar/3')).to.be.false;
     });
+
+    it('can extract parameters', () => {
+      const r = RouteBuilder.get('/foo/:id(\\d+)/(\\w+)/:slug?').to(dummy_action);
+
+      expect(r.extractParameters('/foo/3/abc')).to.deep.equal({ id: '3', '0': 'abc', slug: undefined });
+      expect(r.extractParameters('/foo/3/abc/a%20b')).to.deep.equal({ id: '3', '0': 'abc', slug: 'a b' });
+      expect(r.extractParameters('/foo/a/abc')).to.be.null;
+    });
   });
 });
@@ -122,6 +122,342 @@ describe('RouteCollectionBuilder', () => {
     });
   });
 
+  describe('#_extractRequirements()', () => {
+    it('inherits requirements and defaults downward, closest level winning', () => {
+      const routes = new RouteCollectionBuilder({
+        '/users/:id': {
+          requirements: { id: '\\d+', page: '\\d+' },
+          defaults: { page: 1, format: 'json' },
+          get: { name: 'user_show', action: (req, res, next) => {} },
+          '/posts/:page?': {
+            requirements: { page: /[1-9]\d*/ },
+            defaults: { page: 2 },
+            get: { name: 'user_posts', action: (req, res, next) => {} },
+          },
+        },
+      }).build();
+
+      const posts = routes.get('user_posts');
+      expect(posts.getCanonicalRoutePath()).to.equal('/users/:id/posts/:page');
+      expect(posts.extractParameters('/users/5/posts')).to.deep.equal({ id: '5', page: 2 });
+      expect(posts.extractParameters('/users/5/posts/0')).to.be.null;
+      expect(posts.extractParameters('/users/abc/posts/3')).to.be.null;
+      expect(posts.generate({ id: 5 })).to.equal('/users/5/posts/2');
+      expect(() => posts.generate({ id: 5, page: 'x' })).to.throw('Expected "page" to match "[1-9]\\d*", but got "x"');
+
+      expect(routes.get('user_show').getDefaults()).to.deep.equal({ page: 1, format: 'json' });
+      expect(routes.get('user_show').extractParameters('/users/5')).to.deep.equal({ id: '5' });
+    });
+
+    it('lets requirements embedded in the pattern take precedence', () => {
+      const routes = new RouteCollectionBuilder({
+        '/orders/:id([a-z]+)': {
+          requirements: { id: '\\d+' },
+          get: { name: 'order_show', action: (req, res, next) => {} },
+        },
+      }).build();
+
+      expect(routes.get('order_show').isMatch('/orders/abc')).to.be.true;
+      expect(routes.get('order_show').isMatch('/orders/123')).to.be.false;
+    });
+
+    it('throws on invalid requirements', () => {
+      expect(() => new RouteCollectionBuilder({
+        '/orders/:id': {
+          requirements: [ '\\d+' ],
+          get: (req, res, next) => {},
+        },
+      }).build()).to.throw('The "requirements" node must be an object keyed by parameter name.');
+
+      expect(() => new RouteCollectionBuilder({
+        '/orders/:id': {
+          requirements: { id: 5 },
+          get: { name: 'order_show', action: (req, res, next) => {} },
+        },
+      }).build()).to.throw('The requirement of parameter "id" must be a string or a RegExp.');
+    });
+  });
+
+  describe('#_extractValidation()', () => {
+    it('inherits validation schemas downward, merging their properties', () => {
+      const routes = new RouteCollectionBuilder({
+        '/users': {
+          validate: {
+            headers: { type: 'object', properties: { 'x-api-key': { type: 'string' } }, required: [ 'x-api-key' ] },
+            query: { type: 'object', properties: { page: { type: 'integer' } } },
+          },
+          '/:id': {
+            validate: {
+              params: { type: 'object', properties: { id: { type: 'integer' } } },
+              query: { type: 'object', properties: { fields: { type: 'string' } }, required: [ 'fields' ] },
+            },
+            get: {
+              name: 'user_show',
+              action: (req, res, next) => {},
+              validate: { params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } } },
+            },
+          },
+        },
+      }).build();
+
+      expect(routes.get('user_show').getValidation()).to.deep.equal({
+        headers: { type: 'object', properties: { 'x-api-key': { type: 'string' } }, required: [ 'x-api-key' ] },
+        query: { type: 'object', properties: { page: { type: 'integer' }, fields: { type: 'string' } }, required: [ 'fields' ] },
+        params: { type: 'object', properties: { id: { type: 'integer', minimum: 1 } } },
+      });
+    });
+
+    it('errors on invalid validate nodes', () => {
+      expect(() => new RouteCollectionBuilder({ validate: [], '/foo': { get: (req, res, next) => {} } }).build())
+        .to.throw('The "validate" node must be an object with schemas for any of: params, query, headers, body.');
+      expect(() => new RouteCollectionBuilder({ validate: { cookies: {} }, '/foo': { get: (req, res, next) => {} } }).build())
+        .to.throw('Cannot validate "cookies"; must be one of: params, query, headers, body.');
+    });
+  });
+
+  describe('#_extractResource()', () => {
+    class ArticleController {
+      index_action(req, res, next) {}
+      create_action(req, res, next) {}
+      show_action(req, res, next) {}
+      update_action(req, res, next) {}
+      destroy_action(req, res, next) {}
+    }
+
+    it('expands into the conventional routes', () => {
+      const builder = new RouteCollectionBuilder({
+        '/articles': {
+          resource: new ArticleController(),
+        },
+      });
+      const routes = builder.build();
+
+      expect(Object.keys(routes.all()).map(_name => {
+        const route = routes.get(_name);
+        return [ _name, route.getMethods().join(','), route.getPattern(), route.getRouteDestination().name ];
+      })).to.deep.equal([
+        [ 'articles_index', 'get', '/articles', 'bound index_action' ],
+        [ 'articles_create', 'post', '/articles', 'bound create_action' ],
+        [ 'articles_show', 'get', '/articles/:id', 'bound show_action' ],
+        [ 'articles_update', 'put,patch', '/articles/:id', 'bound update_action' ],
+        [ 'articles_destroy', 'delete', '/articles/:id', 'bound destroy_action' ],
+      ]);
+    });
+
+    it('supports only, except, identifier and name', () => {
+      const builder = new RouteCollectionBuilder({
+        '/users/:user_id/blog-posts': {
+          resource: new ArticleController(),
+          only: [ 'index', 'show', 'destroy' ],
+          except: [ 'destroy' ],
+          identifier: 'post_id',
+        },
+        '/news': {
+          resource: new ArticleController(),
+          only: [ 'show' ],
+          name: 'news_article',
+        },
+      });
+      const routes = builder.build();
+
+      expect(routes.all()).to.have.all.keys('blog_posts_index', 'blog_posts_show', 'news_article_show');
+      expect(routes.get('blog_posts_show').getPattern()).to.equal('/users/:user_id/blog-posts/:post_id');
+    });
+
+    it('inherits middleware, parameter converters and error handlers', () => {
+      const m1 = (req, res, next) => {};
+      const m2 = (req, res, next) => {};
+      const p1 = (req, res, next, id) => {};
+      const e1 = (err, req, res, next) => {};
+
+      const builder = new RouteCollectionBuilder({
+        middleware: m1,
+        '/articles': {
+          middleware: m2,
+          param: [ 'id', p1 ],
+          error: e1,
+          resource: new ArticleController(),
+          only: [ 'show' ],
+        },
+      });
+      const route = builder.build().get('articles_show');
+
+      expect(route.getMiddleware()).to.deep.equal([ m1, m2 ]);
+      expect(route.getParameterConverters()).to.deep.equal([ { id: 'id', parameter_converter: p1 } ]);
+      expect(route.getErrorHandlers()).to.deep.equal([ e1 ]);
+    });
+
+    it('lets explicitly configured methods take the place of generated routes', () => {
+      const builder = new RouteCollectionBuilder({
+        '/articles': {
+          resource: new ArticleController(),
+          only: [ 'index', 'create' ],
+          get: { name: 'custom_index', action: (req, res, next) => {} },
+        },
+      });
+
+      expect(builder.build().all()).to.have.all.keys('custom_index', 'articles_create');
+    });
+
+    it('errors when the controller is missing an action', () => {
+      const builder = new RouteCollectionBuilder({
+        '/articles': {
+          resource: { index_action(req, res, next) {} },
+        },
+      });
+
+      expect(() => builder.build()).to.throw('The controller of the resource "articles" has no "create_action" method');
+    });
+  });
+
+  describe('#_applyResourceType()', () => {
+    class ArticleController {
+      index_action(req, res, next) {}
+      create_action(req, res, next) {}
+    }
+
+    it('applies resource types with template parameters', () => {
+      const controller = new ArticleController();
+      const builder = new RouteCollectionBuilder({
+        resourceTypes: {
+          collection: {
+            get: { name: '<<resourcePathName>>_index', controller: '<<controller>>', action: 'index_action' },
+            post: { name: 'create_<<resourcePathName | !singularize>>', controller: '<<controller>>', action: 'create_action' },
+            '/count': {
+              get: { name: 'count_<<resourcePathName | !uppercamelcase>>', action: (req, res, next) => {} },
+            },
+          },
+        },
+        '/users/:user_id': {
+          '/blog_articles': {
+            type: { collection: { controller } },
+          },
+        },
+      });
+      const routes = builder.build();
+
+      expect(routes.all()).to.have.all.keys('blog_articles_index', 'create_blog_article', 'count_BlogArticles');
+      expect(routes.get('blog_articles_index').getPattern()).to.equal('/users/:user_id/blog_articles');
+      expect(routes.get('blog_articles_index').controller).to.equal(controller);
+      expect(routes.get('count_BlogArticles').getPattern()).to.equal('/users/:user_id/blog_articles/count');
+    });
+
+    it('keeps the resource path name as it is in the path', () => {
+      const builder = new RouteCollectionBuilder({
+        resourceTypes: {
+          collection: {
+            get: { name: '<<resourcePathName>>_index', action: (req, res, next) => {} },
+            '/:id': {
+              get: { name: 'show_<<resourcePathName | !singularize>>', action: (req, res, next) => {} },
+            },
+          },
+        },
+        '/user-groups': {
+          type: 'collection',
+        },
+      });
+      const routes = builder.build();
+
+      expect(routes.all()).to.have.all.keys('user-groups_index', 'show_user-group');
+    });
+
+    it('merges the template into the configuration level', () => {
+      const m1 = (req, res, next) => {};
+      const m2 = (req, res, next) => {};
+      const e1 = (err, req, res, next) => {};
+      const e2 = (err, req, res, next) => {};
+      const p1 = (req, res, next, id) => {};
+      const p2 = (req, res, next, id) => {};
+
+      const builder = new RouteCollectionBuilder({
+        resourceTypes: {
+          item: {
+            middleware: m1,
+            error: e1,
+            param: [ 'id', p1 ],
+            get: { name: 'template_get', action: (req, res, next) => {} },
+            delete: { name: 'template_delete', action: (req, res, next) => {} },
+          },
+        },
+        '/articles/:id/:slug': {
+          type: 'item',
+          middleware: m2,
+          error: e2,
+          param: { slug: p2 },
+          get: { name: 'own_get', action: (req, res, next) => {} },
+        },
+      });
+      const routes = builder.build();
+
+      expect(routes.all()).to.have.all.keys('own_get', 'template_delete');
+      expect(routes.get('own_get').getMiddleware()).to.deep.equal([ m1, m2 ]);
+      expect(routes.get('own_get').getErrorHandlers()).to.deep.equal([ e2, e1 ]);
+      expect(routes.get('own_get').getParameterConverters().map(_converter => _converter.id)).to.deep.equal([ 'slug', 'id' ]);
+    });
+
+    it('errors on unknown resource types and missing parameters', () => {
+      expect(() => new RouteCollectionBuilder({
+        '/foo': { type: 'collection' },
+      }).build()).to.throw('There is no such resource type registered: collection.');
+
+      expect(() => new RouteCollectionBuilder({
+        resourceTypes: { collection: { get: '<<controller>>::index_action' } },
+        '/foo': { type: 'collection' },
+      }).build()).to.throw('Resource type "collection" requires the parameter "controller".');
+    });
+  });
+
+  describe('#_extractImports()', () => {
+    it('builds imported configurations under the current prefix', () => {
+      const m1 = (req, res, next) => {};
+      const m2 = (req, res, next) => {};
+
+      const configuration = {
+        '/foo': {
+          middleware: m1,
+          imports: [
+            {
+              traits: {
+                secure: { middleware: m2 },
+              },
+              '/bar': {
+                is: [ 'secure' ],
+                get: { name: 'bar', action: (req, res, next) => {} },
+              },
+            },
+          ],
+        },
+      };
+      const builder = new RouteCollectionBuilder(configuration);
+      const routes = builder.build();
+
+      expect(routes.get('bar').getPattern()).to.equal('/foo/bar');
+      expect(routes.get('bar').getMiddleware()).to.deep.equal([ m1, m2 ]);
+    });
+
+    it('errors when an import defines a trait again', () => {
+      const trait = { middleware: (req, res, next) => {} };
+      const builder = new RouteCollectionBuilder({
+        traits: { secure: trait },
+        imports: [
+          { traits: { audited: trait } },
+          { traits: { audited: trait } },
+        ],
+      });
+
+      expect(() => builder.build())
+        .to.throw('Trait name collision on: "audited". It is defined in an imported configuration, and again in an imported configuration.');
+      expect(() => new RouteCollectionBuilder({ traits: { secure: trait }, imports: { traits: { secure: trait } } }).build())
+        .to.throw('Trait name collision on: "secure". It is defined in the root configuration, and again in an imported configuration.');
+    });
+
+    it('errors on file paths', () => {
+      const builder = new RouteCollectionBuilder({ imports: [ './routing.js' ] });
+
+      expect(() => builder.build()).to.throw('use the FileLoader to import files');
+    });
+  });
+
   describe('#_extractTraits()', () => {
     it('correctly extracts top-level traits', () => {
       const configuration = {
@@ -210,5 +546,152 @@ describe('RouteCollectionBuilder', () => {
       expect(routes.get('foo').getMiddleware()[4]).to.equal(m5);
       expect(routes.get('foo').getMiddleware()[5]).to.equal(m6);
     });
+
+    it('passes parameters to parameterized traits', () => {
+      const paginate = ({ max }) => function paginate(req, res, next) { req.max = max; next(); };
+      const handleErrors = ({ max }) => function handleErrors(err, req, res, next) { next(err); };
+
+      const configuration = {
+        traits: {
+          paginated: {
+            parameters: { max: 50, default: 10 },
+            middleware: paginate,
+            error: [ handleErrors ],
+          },
+          secure: {
+            middleware: (req, res, next) => {},
+          },
+        },
+        is: [ 'secure' ],
+        '/foo': {
+          is: [ { paginated: { max: 100 } } ],
+          get: { name: 'foo', action: (req, res, next) => {}},
+        },
+        '/bar': {
+          is: [ 'paginated' ],
+          get: { name: 'bar', action: (req, res, next) => {}},
+        },
+      };
+      const builder = new RouteCollectionBuilder(configuration);
+      const routes = builder.build(configuration);
+
+      const req = {};
+      routes.get('foo').getMiddleware()[1](req, {}, () => {});
+      expect(req.max).to.equal(100);
+      expect(routes.get('foo').getErrorHandlers()[0].name).to.equal('handleErrors');
+
+      expect(routes.get('foo').getTraits()).to.deep.equal([
+        { name: 'secure', parameters: {} },
+        { name: 'paginated', parameters: { max: 100, default: 10 } },
+      ]);
+      expect(routes.get('bar').getTraits()[1]).to.deep.equal({ name: 'paginated', parameters: { max: 50, default: 10 } });
+    });
+
+    it('errors on parameters that the trait does not accept', () => {
+      const traits = {
+        paginated: {
+          parameters: { max: 50 },
+          middleware: ({ max }) => (req, res, next) => next(),
+        },
+        secure: {
+          middleware: (req, res, next) => {},
+        },
+      };
+
+      expect(() => new RouteCollectionBuilder({
+        traits,
+        '/foo': { is: [ { paginated: { min: 1 } } ], get: (req, res, next) => {} },
+      }).build()).to.throw('The trait "paginated" has no parameter "min"; expected one of: (max).');
+
+      expect(() => new RouteCollectionBuilder({
+        traits,
+        '/foo': { is: [ { secure: { max: 1 } } ], get: (req, res, next) => {} },
+      }).build()).to.throw('The trait "secure" does not accept parameters.');
+    });
+
+    it('applies parameter converters, priority and metadata from traits', () => {
+      const p1 = (req, res, next, id) => {};
+      const p2 = (req, res, next, id) => {};
+
+      const configuration = {
+        traits: {
+          tenant: {
+            param: [ 'tenant_id', p1 ],
+            priority: 10,
+            metadata: { audited: false, tenant: true },
+          },
+          audited: {
+            metadata: { audited: true },
+          },
+        },
+        '/:tenant_id': {
+          is: [ 'tenant', 'audited' ],
+          param: [ 'tenant_id', p2 ],
+          '/foo': {
+            metadata: { tenant: 'explicit' },
+            get: { name: 'foo', action: (req, res, next) => {}, metadata: { summary: 'Foo' } },
+          },
+        },
+        '/bar': {
+          is: [ 'tenant' ],
+          priority: -1,
+          get: { name: 'bar', action: (req, res, next) => {}},
+        },
+      };
+      const routes = new RouteCollectionBuilder(configuration).build();
+
+      expect(routes.get('foo').getParameterConverters().map(_converter => _converter.parameter_converter)).to.deep.equal([ p1, p2 ]);
+      expect(routes.get('foo').getPriority()).to.equal(10);
+      expect(routes.get('foo').getMetadata()).to.deep.equal({ summary: 'Foo', tenant: 'explicit', audited: true });
+      expect(routes.get('bar').getPriority()).to.equal(-1);
+    });
+
+    it('expands traits composed of other traits', () => {
+      const m1 = function m1(req, res, next) {};
+      const m2 = function m2(req, res, next) {};
+      const m3 = function m3(req, res, next) {};
+
+      const configuration = {
+        traits: {
+          secure: { middleware: m1 },
+          tenant: { is: [ 'secure' ], middleware: m2 },
+          audited: { is: [ 'secure' ], middleware: m3 },
+        },
+        '/foo': {
+          is: [ 'tenant', 'audited' ],
+          get: { name: 'foo', action: (req, res, next) => {}},
+        },
+      };
+      const route = new RouteCollectionBuilder(configuration).build().get('foo');
+
+      expect(route.getMiddleware()).to.deep.equal([ m1, m2, m3 ]);
+      expect(route.getTraits().map(_trait => _trait.name)).to.deep.equal([ 'secure', 'tenant', 'audited' ]);
+    });
+
+    it('errors on circular traits', () => {
+      const configuration = {
+        traits: {
+          a: { is: [ 'b' ] },
+          b: { is: [ 'c' ] },
+          c: { is: [ 'a' ] },
+        },
+        '/foo': {
+          is: [ 'a' ],
+          get: (req, res, next) => {},
+        },
+      };
+
+      expect(() => new RouteCollectionBuilder(configuration).build()).to.throw('Circular traits detected: a -> b -> c -> a.');
+    });
+
+    it('errors on unsupported trait keys', () => {
+      const configuration = {
+        traits: {
+          secure: { middlewares: [] },
+        },
+      };
+
+      expect(() => new RouteCollectionBuilder(configuration).build()).to.throw('The trait "secure" has an unsupported key "middlewares"');
+    });
   });
 });
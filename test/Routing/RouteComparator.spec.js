@@ -0,0 +1,90 @@
+'use strict';
+
+const { expect } = require('chai');
+const { RouteBuilder } = require('../../index.js');
+
+const RouteComparator = require('../../lib/Routing/RouteComparator');
+
+describe('RouteComparator', () => {
+  const action = (req, res, next) => {};
+
+  describe('#compareSpecificity()', () => {
+    it('puts the most specific routes first', () => {
+      const routes = [
+        RouteBuilder.get('/:wildcard').named('wildcard').to(action),
+        RouteBuilder.get('/users/:id?').named('user_optional').to(action),
+        RouteBuilder.get('/users/:id').named('user_bare').to(action),
+        RouteBuilder.get('/users/:id(\\d+)').named('user_constrained').to(action),
+        RouteBuilder.get('/users/me').named('user_me').to(action),
+        RouteBuilder.get('/users/me').host('admin.example.com').named('admin_user_me').to(action),
+        RouteBuilder.get('/users/:id/orders').named('user_orders').to(action),
+        RouteBuilder.get('/(.*)').named('catch_all').to(action),
+      ];
+
+      expect(routes.sort(RouteComparator.compareSpecificity).map(_route => _route.getName())).to.deep.equal([
+        'admin_user_me', 'user_me', 'user_constrained', 'user_orders', 'user_bare', 'user_optional', 'wildcard', 'catch_all',
+      ]);
+    });
+
+    it('breaks ties by path and name', () => {
+      const route1 = RouteBuilder.get('/a/:id').named('b').to(action);
+      const route2 = RouteBuilder.post('/a/:id').named('a').to(action);
+      const route3 = RouteBuilder.get('/b/:id').named('a').to(action);
+
+      expect(RouteComparator.compareSpecificity(route1, route2)).to.be.above(0);
+      expect(RouteComparator.compareSpecificity(route1, route3)).to.be.below(0);
+    });
+  });
+
+  describe('#patternsOverlap()', () => {
+    it('tells apart requirements with distinct characters or lengths', () => {
+      expect(RouteComparator.patternsOverlap('\\d+', '[a-z]+')).to.be.false;
+      expect(RouteComparator.patternsOverlap('\\d{4}', '\\d{2}')).to.be.false;
+      expect(RouteComparator.patternsOverlap('v\\d+', '\\d+')).to.be.false;
+      expect(RouteComparator.patternsOverlap('\\d+', '[a-z0-9]+')).to.be.true;
+    });
+
+    it('checks lists of alternatives value by value', () => {
+      expect(RouteComparator.patternsOverlap('draft|final', '\\d+')).to.be.false;
+      expect(RouteComparator.patternsOverlap('(?:draft|final)', 'archived|deleted')).to.be.false;
+      expect(RouteComparator.patternsOverlap('draft|final', '[a-z]+')).to.be.true;
+      expect(RouteComparator.patternsOverlap('DRAFT', 'draft|final')).to.be.true;
+    });
+
+    it('assumes overlap for requirements it cannot reason about', () => {
+      expect(RouteComparator.patternsOverlap('(?=\\d)\\w+', '[a-z]+')).to.be.true;
+      expect(RouteComparator.patternsOverlap('[^\\/]+?', '\\d+')).to.be.true;
+    });
+  });
+
+  describe('#collides()', () => {
+    it('ignores parameter names, but not requirements', () => {
+      const route = RouteBuilder.get('/foo/:id(\\d+)').to(action);
+
+      expect(RouteComparator.collides(route, RouteBuilder.get('/foo/:slug(\\d+)').to(action))).to.be.true;
+      expect(RouteComparator.collides(route, RouteBuilder.get('/foo/:id([a-z]+)').to(action))).to.be.false;
+      expect(RouteComparator.collides(route, RouteBuilder.get('/foo/:id').requirements({ id: '[a-z]+' }).to(action))).to.be.false;
+      expect(RouteComparator.collides(route, RouteBuilder.get('/foo/:id(\\d+)/bar').to(action))).to.be.false;
+    });
+  });
+
+  describe('#shadows()', () => {
+    it('detects routes that match a superset of the URLs of another', () => {
+      const wildcard = RouteBuilder.get('/foo/:id').to(action);
+
+      expect(RouteComparator.shadows(wildcard, RouteBuilder.get('/foo/bar').to(action))).to.be.true;
+      expect(RouteComparator.shadows(wildcard, RouteBuilder.get('/FOO/:slug(\\d+)').to(action))).to.be.true;
+      expect(RouteComparator.shadows(wildcard, RouteBuilder.get('/foo/:id?').to(action))).to.be.false;
+      expect(RouteComparator.shadows(RouteBuilder.get('/foo/:id(\\d+)').to(action), RouteBuilder.get('/foo/bar').to(action))).to.be.false;
+      expect(RouteComparator.shadows(RouteBuilder.get('/foo/:id(draft|final)').to(action), RouteBuilder.get('/foo/:id(final)').to(action))).to.be.true;
+    });
+
+    it('takes hosts into account', () => {
+      const route = RouteBuilder.get('/foo').host(':tenant.example.com').to(action);
+
+      expect(RouteComparator.shadows(route, RouteBuilder.get('/foo').host('acme.example.com').to(action))).to.be.true;
+      expect(RouteComparator.shadows(route, RouteBuilder.get('/foo').to(action))).to.be.false;
+      expect(RouteComparator.shadows(RouteBuilder.get('/foo').to(action), route)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,380 @@
+'use strict';
+
+const { expect } = require('chai');
+const { RouteRegistry } = require('../../index.js');
+
+describe('RouteDispatcher', () => {
+  function createRequest(method, path) {
+    return { method, path, url: path, params: {}, context: [] };
+  }
+
+  function createResponse() {
+    return {
+      body: null,
+      statusCode: 200,
+      headers: {},
+      send(body) { this.body = body; },
+      status(status) { this.statusCode = status; return this; },
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      getHeader(name) { return this.headers[name.toLowerCase()]; },
+    };
+  }
+
+  describe('RouteRegistry#middleware()', () => {
+    let registry = null;
+    beforeEach(() => {
+      registry = new RouteRegistry();
+    });
+
+    it('dispatches to the matching route', () => {
+      registry.routeBuilder({
+        '/foo': {
+          get: { name: 'foo_get', action: (req, res, next) => res.send('get foo') },
+          post: { name: 'foo_post', action: (req, res, next) => res.send('post foo') },
+        },
+      });
+      const res = createResponse();
+
+      registry.middleware()(createRequest('POST', '/foo'), res, () => expect.fail('Should not fall through'));
+
+      expect(res.body).to.equal('post foo');
+    });
+
+    it('falls through when no route matches', () => {
+      registry.routeBuilder({
+        '/foo': {
+          get: (req, res, next) => res.send('get foo'),
+        },
+      });
+      const req = createRequest('GET', '/bar');
+      req.params = { outer: 'param' };
+      let called = false;
+
+      registry.middleware()(req, createResponse(), err => {
+        expect(err).to.be.undefined;
+        called = true;
+      });
+
+      expect(called).to.be.true;
+      expect(req.params).to.deep.equal({ outer: 'param' });
+    });
+
+    it('fires parameter converters, middleware and the action in order', () => {
+      registry.routeBuilder({
+        param: [
+          [ 'id', (req, res, next, id) => { req.context.push(`id:${id}`); next(); } ],
+          [ 'slug', (req, res, next, slug) => { req.context.push(`slug:${slug}`); next(); } ],
+        ],
+        middleware: (req, res, next) => { req.context.push('middleware'); next(); },
+        '/foo/:slug/:id': {
+          get: (req, res, next) => { req.context.push('action'); res.send(req.params); },
+        },
+      });
+      const req = createRequest('GET', '/foo/abc/5');
+      const res = createResponse();
+
+      registry.middleware()(req, res, () => expect.fail('Should not fall through'));
+
+      expect(req.context).to.deep.equal([ 'slug:abc', 'id:5', 'middleware', 'action' ]);
+      expect(res.body).to.deep.equal({ slug: 'abc', id: '5' });
+    });
+
+    it('fires error handlers in order when something throws', () => {
+      registry.routeBuilder({
+        '/foo': {
+          get: (req, res, next) => { throw new Error('blow up'); },
+          error: [
+            (err, req, res, next) => { req.context.push('bottom'); next(err); },
+          ],
+        },
+        error: (err, req, res, next) => { req.context.push('top'); res.send(err.message); },
+      });
+      const req = createRequest('GET', '/foo');
+      const res = createResponse();
+
+      registry.middleware()(req, res, () => expect.fail('Should not fall through'));
+
+      expect(req.context).to.deep.equal([ 'bottom', 'top' ]);
+      expect(res.body).to.equal('blow up');
+    });
+
+    it('forwards unhandled errors to the outer router', () => {
+      registry.routeBuilder({
+        '/foo': {
+          middleware: (req, res, next) => next(new Error('Unauthorized')),
+          get: (req, res, next) => expect.fail('Should not reach the action'),
+        },
+      });
+      let error = null;
+
+      registry.middleware()(createRequest('GET', '/foo'), createResponse(), err => { error = err; });
+
+      expect(error).to.be.an('error').with.property('message', 'Unauthorized');
+    });
+
+    it('moves on to the next matching route on next()', () => {
+      registry.routeBuilder({
+        '/:wildcard': {
+          priority: -1,
+          get: { name: 'wildcard', action: (req, res, next) => res.send('wildcard') },
+        },
+        '/foo': {
+          get: { name: 'foo', action: (req, res, next) => next() },
+        },
+      });
+      const res = createResponse();
+
+      registry.middleware()(createRequest('GET', '/foo'), res, () => expect.fail('Should not fall through'));
+
+      expect(res.body).to.equal('wildcard');
+    });
+
+    it('leaves the registry on next("router")', () => {
+      registry.routeBuilder({
+        '/:wildcard': {
+          priority: -1,
+          get: { name: 'wildcard', action: (req, res, next) => expect.fail('Should not reach the wildcard') },
+        },
+        '/foo': {
+          get: { name: 'foo', action: (req, res, next) => next('router') },
+        },
+      });
+      let called = false;
+
+      registry.middleware()(createRequest('GET', '/foo'), createResponse(), err => {
+        expect(err).to.be.undefined;
+        called = true;
+      });
+
+      expect(called).to.be.true;
+    });
+  });
+
+  describe('async handlers', () => {
+    it('forwards rejections to the error handlers', done => {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users/:id': {
+          param: { id: async (req, res, next, id) => next() },
+          middleware: async (req, res, next) => next(),
+          get: async (req, res, next) => {
+            throw new Error('Action failed');
+          },
+          error: async (err, req, res, next) => next(new Error(`Rethrown: ${err.message}`)),
+        },
+      });
+
+      registry.middleware()(createRequest('GET', '/users/5'), createResponse(), err => {
+        expect(err.message).to.equal('Rethrown: Action failed');
+        done();
+      });
+    });
+  });
+
+  describe('request validation', () => {
+    it('passes invalid requests on to the error handlers', done => {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users': {
+          validate: { body: { type: 'object', required: [ 'name' ] } },
+          post: (req, res, next) => expect.fail('Should not reach the action'),
+          error: (err, req, res, next) => {
+            expect(err.toJSON()).to.deep.equal({
+              code: 'request_validation_failed',
+              message: 'Invalid request.',
+              errors: [ { location: 'body', path: '/name', keyword: 'required', message: 'is required' } ],
+            });
+            done();
+          },
+        },
+      });
+
+      const req = Object.assign(createRequest('POST', '/users'), { body: {} });
+      registry.middleware()(req, createResponse(), () => expect.fail('Should not fall through'));
+    });
+  });
+
+  describe('return value responses', () => {
+    it('sends what the actions return when enabled', done => {
+      const registry = new RouteRegistry({ handler_validation: 'lenient', send_return_values: true });
+      registry.routeBuilder({
+        '/users/:id': {
+          get: async req => ({ id: req.params.id }),
+        },
+      });
+      const res = Object.assign(createResponse(), {
+        json(body) {
+          expect(body).to.deep.equal({ id: '5' });
+          done();
+        },
+      });
+
+      const req = Object.assign(createRequest('GET', '/users/5'), { params: { id: '5' } });
+      registry.middleware()(req, res, () => expect.fail('Should not fall through'));
+    });
+  });
+
+  describe('host requirements', () => {
+    it('dispatches by host, with the host parameters converted first', () => {
+      const registry = new RouteRegistry();
+      const calls = [];
+      registry.routeBuilder({
+        '/users/:id': {
+          host: ':tenant.example.com',
+          param: {
+            id: (req, res, next, id) => { calls.push(`id ${id}`); next(); },
+            tenant: (req, res, next, tenant) => { calls.push(`tenant ${tenant}`); next(); },
+          },
+          get: { name: 'tenant_user', action: (req, res, next) => res.send(req.params) },
+        },
+        '/users/:user_id': {
+          get: { name: 'user', action: (req, res, next) => res.send('any host') },
+        },
+      });
+
+      const other_res = createResponse();
+      const other_req = Object.assign(createRequest('GET', '/users/5'), { hostname: 'example.org' });
+      registry.middleware()(other_req, other_res, () => expect.fail('Should not fall through'));
+      expect(other_res.body).to.equal('any host');
+      expect(calls).to.deep.equal([]);
+
+      const res = createResponse();
+      const req = Object.assign(createRequest('GET', '/users/5'), { headers: { host: 'acme.example.com:3000' } });
+      registry.middleware()(req, res, () => expect.fail('Should not fall through'));
+      expect(res.body).to.deep.equal({ tenant: 'acme', id: '5' });
+      expect(calls).to.deep.equal([ 'tenant acme', 'id 5' ]);
+    });
+  });
+
+  describe('parameter defaults', () => {
+    function createRegistry(calls) {
+      const registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users/:id/posts/:page?': {
+          defaults: { page: '1' },
+          param: {
+            id: (req, res, next, id) => { calls.push(`id ${id}`); next(); },
+            page: (req, res, next, page) => { calls.push(`page ${page}`); req.params.page = Number(page); next(); },
+          },
+          get: { name: 'user_posts', action: (req, res, next) => res.send(req.params) },
+        },
+      });
+      return registry;
+    }
+
+    [
+      [ 'registerAll()', registry => {
+        const router = require('express').Router();
+        registry.registerAll(router);
+        return (req, res, next) => router.handle(req, res, next);
+      } ],
+      [ 'middleware()', registry => registry.middleware() ],
+    ].forEach(([ _description, _createHandler ]) => {
+      it(`are filled in before the parameter converters fire, with ${_description}`, done => {
+        const calls = [];
+        const handler = _createHandler(createRegistry(calls));
+        const fallThrough = err => done(err || new Error('Should not fall through'));
+        const res = createResponse();
+        res.send = body => {
+          expect(body).to.deep.equal({ id: '5', page: 1 });
+          expect(calls).to.deep.equal([ 'id 5', 'page 1' ]);
+
+          const captured_res = createResponse();
+          captured_res.send = captured_body => {
+            expect(captured_body).to.deep.equal({ id: '5', page: 3 });
+            done();
+          };
+          handler(Object.assign(createRequest('GET', '/users/5/posts/3'), { headers: {} }), captured_res, fallThrough);
+        };
+
+        handler(Object.assign(createRequest('GET', '/users/5/posts'), { headers: {} }), res, fallThrough);
+      });
+    });
+  });
+
+  describe('405 Method Not Allowed and automatic OPTIONS responses', () => {
+    let registry = null;
+    beforeEach(() => {
+      registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/foo': {
+          get: { name: 'foo_get', action: (req, res, next) => res.send('get foo') },
+          delete: { name: 'foo_delete', action: (req, res, next) => res.send('delete foo') },
+        },
+        '/bar': {
+          method_not_allowed: (req, res, next) => res.status(405).send(`Try ${res.getHeader('Allow')}`),
+          automatic_options: (req, res, next) => res.status(204).send(''),
+          post: { name: 'bar_post', action: (req, res, next) => res.send('post bar') },
+        },
+      });
+    });
+
+    it('falls through by default', () => {
+      let called = false;
+
+      registry.middleware()(createRequest('PUT', '/foo'), createResponse(), () => { called = true; });
+
+      expect(called).to.be.true;
+    });
+
+    it('responds with 405 and the allowed methods', () => {
+      const res = createResponse();
+
+      registry.middleware({ method_not_allowed: true })(createRequest('PUT', '/foo'), res, () => expect.fail('Should not fall through'));
+
+      expect(res.statusCode).to.equal(405);
+      expect(res.getHeader('Allow')).to.equal('GET, DELETE, HEAD');
+    });
+
+    it('still falls through on unknown paths', () => {
+      let called = false;
+
+      registry.middleware({ method_not_allowed: true })(createRequest('PUT', '/baz'), createResponse(), () => { called = true; });
+
+      expect(called).to.be.true;
+    });
+
+    it('responds to OPTIONS', () => {
+      const res = createResponse();
+
+      registry.middleware({ method_not_allowed: true, automatic_options: true })(createRequest('OPTIONS', '/foo'), res, () => expect.fail('Should not fall through'));
+
+      expect(res.statusCode).to.equal(200);
+      expect(res.getHeader('Allow')).to.equal('GET, DELETE, HEAD, OPTIONS');
+      expect(res.body).to.equal('GET, DELETE, HEAD, OPTIONS');
+    });
+
+    it('can be customized per route collection', () => {
+      const res1 = createResponse();
+      const res2 = createResponse();
+      const middleware = registry.middleware({ method_not_allowed: true, automatic_options: true });
+
+      middleware(createRequest('GET', '/bar'), res1, () => expect.fail('Should not fall through'));
+      middleware(createRequest('OPTIONS', '/bar'), res2, () => expect.fail('Should not fall through'));
+
+      expect(res1.statusCode).to.equal(405);
+      expect(res1.body).to.equal('Try POST, OPTIONS');
+      expect(res2.statusCode).to.equal(204);
+    });
+
+    it('is registered after all routes by registerAll()', () => {
+      const layers = [];
+      const router = {
+        get: (path, action) => layers.push(`get ${path}`),
+        post: (path, action) => layers.push(`post ${path}`),
+        delete: (path, action) => layers.push(`delete ${path}`),
+        use: handler => layers.push(handler),
+      };
+
+      registry.registerAll(router, { method_not_allowed: true });
+
+      expect(layers.slice(0, 3)).to.deep.equal([ 'get /foo', 'delete /foo', 'post /bar' ]);
+      expect(layers[3]).to.be.a('function');
+
+      const res = createResponse();
+      layers[3](createRequest('PATCH', '/foo'), res, () => expect.fail('Should not fall through'));
+
+      expect(res.statusCode).to.equal(405);
+    });
+  });
+});
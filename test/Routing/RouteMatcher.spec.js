@@ -0,0 +1,107 @@
+'use strict';
+
+const { expect } = require('chai');
+const { RouteBuilder } = require('../../index.js');
+
+const RouteMatcher = require('../../lib/Routing/RouteMatcher');
+
+describe('RouteMatcher', () => {
+  const dummy_action = (req, res, next) => res.send('hello');
+
+  describe('#match()', () => {
+    it('matches static routes', () => {
+      const r1 = RouteBuilder.get('/foo').named('r1').to(dummy_action);
+      const r2 = RouteBuilder.get('/foo/bar').named('r2').to(dummy_action);
+      const matcher = new RouteMatcher([ r1, r2 ]);
+
+      expect(matcher.match('/foo')).to.equal(r1);
+      expect(matcher.match('/foo/bar')).to.equal(r2);
+      expect(matcher.match('/foo/baz')).to.be.undefined;
+    });
+
+    it('matches case-insensitively and with trailing slashes, like the route regexps do', () => {
+      const r1 = RouteBuilder.get('/foo/bar').named('r1').to(dummy_action);
+      const matcher = new RouteMatcher([ r1 ]);
+
+      expect(matcher.match('/FOO/Bar')).to.equal(r1);
+      expect(matcher.match('/foo/bar/')).to.equal(r1);
+    });
+
+    it('matches named parameters', () => {
+      const r1 = RouteBuilder.get('/foo/:id').named('r1').to(dummy_action);
+      const matcher = new RouteMatcher([ r1 ]);
+
+      expect(matcher.match('/foo/abc')).to.equal(r1);
+      expect(matcher.match('/foo/abc/def')).to.be.undefined;
+    });
+
+    it('matches parameters with custom regexps', () => {
+      const r1 = RouteBuilder.get('/foo/:id(\\d+)').named('r1').to(dummy_action);
+      const r2 = RouteBuilder.get('/foo/:slug([a-z]+)').named('r2').to(dummy_action);
+      const matcher = new RouteMatcher([ r1, r2 ]);
+
+      expect(matcher.match('/foo/123')).to.equal(r1);
+      expect(matcher.match('/foo/abc')).to.equal(r2);
+      expect(matcher.match('/foo/a1')).to.be.undefined;
+    });
+
+    it('matches routes that cannot be represented as whole segments', () => {
+      const r1 = RouteBuilder.get('/foo/:from([a-z])-:to([a-z])').named('r1').to(dummy_action);
+      const r2 = RouteBuilder.get('/bar/:id/baz/:slug?').named('r2').to(dummy_action);
+      const r3 = RouteBuilder.get('/files/:path(.*)').named('r3').to(dummy_action);
+      const matcher = new RouteMatcher([ r1, r2, r3 ]);
+
+      expect(matcher.match('/foo/a-z')).to.equal(r1);
+      expect(matcher.match('/bar/1/baz')).to.equal(r2);
+      expect(matcher.match('/bar/1/baz/2')).to.equal(r2);
+      expect(matcher.match('/files/a/b/c.txt')).to.equal(r3);
+    });
+
+    it('returns the route that comes first when many match', () => {
+      const r1 = RouteBuilder.get('/:wildcard').named('r1').to(dummy_action);
+      const r2 = RouteBuilder.get('/foo').named('r2').to(dummy_action);
+      const r3 = RouteBuilder.get('/:path(.*)').named('r3').to(dummy_action);
+
+      expect(new RouteMatcher([ r1, r2, r3 ]).match('/foo')).to.equal(r1);
+      expect(new RouteMatcher([ r2, r1, r3 ]).match('/foo')).to.equal(r2);
+      expect(new RouteMatcher([ r3, r2, r1 ]).match('/foo')).to.equal(r3);
+    });
+  });
+
+  describe('#matchAll()', () => {
+    it('returns all matching routes in order', () => {
+      const r1 = RouteBuilder.get('/:wildcard').named('r1').to(dummy_action);
+      const r2 = RouteBuilder.get('/:path(.*)').named('r2').to(dummy_action);
+      const r3 = RouteBuilder.get('/foo').named('r3').to(dummy_action);
+      const r4 = RouteBuilder.get('/bar').named('r4').to(dummy_action);
+      const matcher = new RouteMatcher([ r1, r2, r3, r4 ]);
+
+      expect(matcher.matchAll('/foo')).to.deep.equal([ r1, r2, r3 ]);
+    });
+
+    it('agrees with Route.isMatch()', () => {
+      const routes = [
+        '/',
+        '/foo',
+        '/foo/:id',
+        '/foo/:id(\\d+)',
+        '/foo/:id([^\\/]+)/bar',
+        '/foo/:id([\\w-]+)',
+        '/foo/:id(\\d+|new)',
+        '/foo/:id(\\D+)',
+        '/foo/:a/:b',
+        '/(\\d+)',
+        '/foo.:ext',
+        '/foo/:rest*',
+        '/foo/:id(\\d*)',
+        '/foo/:id(\\d*)/bar',
+      ].map((pattern, index) => RouteBuilder.get(pattern).named(`r${index}`).to(dummy_action));
+      const matcher = new RouteMatcher(routes);
+
+      [ '/', '', '/foo', '/foo/', '/foo/1', '/foo/abc', '/foo/a-b', '/foo/new', '/foo/a/b', '/foo/a/bar',
+        '/foo/1/2/3', '/123', '/foo.json', '/foo/a%2Fb', '/FOO/1', '/foo//bar' ].forEach(path => {
+        expect(matcher.matchAll(path)).to.deep.equal(routes.filter(_route => _route.isMatch(path)), path);
+      });
+    });
+  });
+});
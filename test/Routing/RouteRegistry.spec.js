@@ -18,6 +18,100 @@ describe('RouteRegistry', () => {
 
       expect(registry.generate('thisthataction', { id: 'abc' })).to.equal('/foo-bar/abc');
     });
+
+    describe('with query strings, fragments and absolute URLs', () => {
+      let registry = null;
+      beforeEach(() => {
+        registry = new RouteRegistry();
+        registry.routeBuilder({
+          '/users/:id': {
+            get: { name: 'user_show', action: (req, res, next) => {} },
+          },
+        });
+      });
+
+      it('puts the extra parameters into the query string', () => {
+        expect(registry.generate('user_show', { id: 5, tab: 'a&b', empty: null }, { fragment: 'top part' }))
+          .to.equal('/users/5?tab=a%26b#top%20part');
+        expect(registry.generate('user_show', { id: 5, tags: [ 'a', 'b' ], filter: { name: 'x', ids: [ 1 ] } }))
+          .to.equal('/users/5?tags%5B%5D=a&tags%5B%5D=b&filter%5Bname%5D=x&filter%5Bids%5D%5B%5D=1');
+      });
+
+      it('serializes arrays and objects in the configured formats', () => {
+        const parameters = { id: 5, tags: [ 'a', 'b' ], filter: { name: 'x' } };
+
+        expect(registry.generate('user_show', parameters, { array_format: 'repeat', object_format: 'dot' }))
+          .to.equal('/users/5?tags=a&tags=b&filter.name=x');
+        expect(registry.generate('user_show', parameters, { array_format: 'indices' }))
+          .to.equal('/users/5?tags%5B0%5D=a&tags%5B1%5D=b&filter%5Bname%5D=x');
+
+        registry.setContext({ array_format: 'comma' });
+        expect(registry.generate('user_show', { id: 5, tags: [ 'a', 'b' ] })).to.equal('/users/5?tags=a%2Cb');
+        expect(() => registry.generate('user_show', parameters, { array_format: 'json' }))
+          .to.throw('Invalid array format "json"; must be one of: brackets, indices, repeat, comma.');
+      });
+
+      it('generates absolute URLs from the context or the current request', () => {
+        expect(() => registry.generate('user_show', { id: 5 }, { absolute: true }))
+          .to.throw('Unable to generate an absolute URL for route "user_show"; no host is known.');
+
+        registry.setContext({ host: 'example.com', scheme: 'https', base_path: 'app/' });
+        expect(registry.generate('user_show', { id: 5 })).to.equal('/app/users/5');
+        expect(registry.generate('user_show', { id: 5 }, { absolute: true })).to.equal('https://example.com/app/users/5');
+
+        const req = { protocol: 'http', get: _header => _header === 'host' ? 'localhost:3000' : undefined };
+        expect(registry.generate('user_show', { id: 5 }, { absolute: true, request: req, base_path: '' }))
+          .to.equal('http://localhost:3000/users/5');
+      });
+    });
+
+    describe('with a base path', () => {
+      const configuration = {
+        '/users/:id': {
+          get: { name: 'user_show', action: (req, res, next) => {} },
+        },
+      };
+
+      it('includes the base path given to the registry', () => {
+        const registry = new RouteRegistry({ base_path: '/api/v2' });
+        registry.routeBuilder(configuration);
+        expect(registry.generate('user_show', { id: 5 })).to.equal('/api/v2/users/5');
+
+        registry.registerAll(require('express').Router());
+        registry.registerAll(require('express').Router());
+        expect(registry.generate('user_show', { id: 5 })).to.equal('/api/v2/users/5');
+      });
+
+      it('keeps the base path for requests outside of a mounted router', () => {
+        const registry = new RouteRegistry({ base_path: '/api' });
+        registry.routeBuilder(configuration);
+
+        expect(registry.generate('user_show', { id: 5 }, { request: { headers: { host: 'h.com' }, baseUrl: '' } }))
+          .to.equal('/api/users/5');
+      });
+
+      it('uses the mount of the current request', done => {
+        const registry = new RouteRegistry({ base_path: '/api/v2' });
+        registry.routeBuilder(configuration);
+        registry.routeBuilder({
+          '/links': {
+            get: (req, res, next) => res.send(registry.generate('user_show', { id: 5 }, { request: req })),
+          },
+        });
+
+        const express = require('express');
+        const app = express.Router();
+        const router = express.Router();
+        registry.registerAll(router);
+        app.use('/api/v2', router);
+        app.use('/legacy', router);
+
+        app.handle({ method: 'GET', url: '/legacy/links', headers: {} }, { send: body => {
+          expect(body).to.equal('/legacy/users/5');
+          done();
+        } }, done);
+      });
+    });
   });
 
   describe('route registration', () => {
@@ -46,6 +140,107 @@ describe('RouteRegistry', () => {
     });
   });
 
+  describe('route collisions', () => {
+    const action = (req, res, next) => {};
+
+    it('rejects routes on the same canonical path whose requirements overlap', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/users/:id(\\d+)').named('user_show').to(action));
+
+      expect(() => registry.addRoute(RouteBuilder.get('/users/:id(\\d{2})').named('user_show_again').to(action)))
+        .to.throw('Route canonical path collision on: "get /users/:id". It overlaps with route "user_show".');
+    });
+
+    it('leaves routes with other parameter names to the shadowed route warnings', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/users/:id(\\d+)').named('user_show').to(action));
+      registry.addRoute(RouteBuilder.get('/users/:user_id(\\d+)').named('user_show_again').to(action));
+
+      expect(registry.getAll()).to.have.length(2);
+    });
+
+    it('rejects overlapping routes regardless of their priorities', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/users/:id').named('user_show').to(action));
+
+      expect(() => registry.addRoute(RouteBuilder.get('/users/:id').named('user_show_first').priority(10).to(action)))
+        .to.throw('Route canonical path collision on: "get /users/:id". It overlaps with route "user_show".');
+      expect(registry.routes_by_canonical_path).to.have.all.keys('get /users/:id');
+      expect(registry.routes_by_canonical_path['get /users/:id'].getName()).to.equal('user_show');
+    });
+
+    it('accepts routes whose requirements can never match the same URL', () => {
+      const registry = new RouteRegistry();
+      registry.addRoute(RouteBuilder.get('/users/:id(\\d+)').named('user_show').to(action));
+      registry.addRoute(RouteBuilder.get('/users/:id([a-z]+)').named('user_show_by_slug').to(action));
+      registry.addRoute(RouteBuilder.put('/users/:id').named('user_update').to(action));
+
+      expect(registry.match('get', '/users/abc').route.getName()).to.equal('user_show_by_slug');
+    });
+
+    it('warns about routes that are shadowed by earlier routes', () => {
+      const warnings = [];
+      const registry = new RouteRegistry({ warn_shadowed_routes: true, logger: { warn: _message => warnings.push(_message) } });
+      registry.addRoute(RouteBuilder.get('/users/:id').named('user_show').to(action));
+      registry.addRoute(RouteBuilder.get('/users/me').named('user_me').to(action));
+      registry.addRoute(RouteBuilder.get('/users/new').named('user_new').priority(10).to(action));
+
+      expect(warnings).to.deep.equal([
+        'Route "user_me" (GET /users/me) is shadowed by route "user_show" (GET /users/:id) and will never be matched.',
+      ]);
+    });
+
+    it('does not warn by default', () => {
+      const registry = new RouteRegistry({ logger: { warn: () => expect.fail('Should not warn') } });
+      registry.addRoute(RouteBuilder.get('/users/:id').named('user_show').to(action));
+      registry.addRoute(RouteBuilder.get('/users/me').named('user_me').to(action));
+    });
+  });
+
+  describe('specificity ordering', () => {
+    const action = (req, res, next) => {};
+
+    it('matches more specific routes first, regardless of the order they were added in', () => {
+      const registry = new RouteRegistry({ ordering: 'specificity' });
+      registry.routeBuilder({
+        '/:wildcard': { get: { name: 'wildcard', action } },
+        '/users/:id': { get: { name: 'user_show', action } },
+        '/users/me': { get: { name: 'user_me', action } },
+        '/users/:id(\\d+)/orders': { get: { name: 'user_orders', action } },
+        '/users': { get: { name: 'user_index', action } },
+      });
+
+      expect(registry.match('/users').getName()).to.equal('user_index');
+      expect(registry.match('/users/me').getName()).to.equal('user_me');
+      expect(registry.match('/users/5').getName()).to.equal('user_show');
+      expect(registry.matchAll('/users').map(_route => _route.getName())).to.deep.equal([ 'user_index', 'wildcard' ]);
+    });
+
+    it('still respects priorities', () => {
+      const registry = new RouteRegistry({ ordering: 'specificity' });
+      registry.routeBuilder({
+        '/users/:id': { priority: 1, get: { name: 'user_show', action } },
+        '/users/me': { get: { name: 'user_me', action } },
+      });
+
+      expect(registry.match('/users/me').getName()).to.equal('user_show');
+    });
+
+    it('rejects unknown orderings', () => {
+      expect(() => new RouteRegistry({ ordering: 'alphabetical' }))
+        .to.throw('Invalid ordering "alphabetical"; must be one of: registration, specificity.');
+    });
+  });
+
+  describe('return value responses', () => {
+    it('makes the routes that are added send the return values of their actions', () => {
+      const registry = new RouteRegistry({ send_return_values: true });
+      const route = RouteBuilder.get('/bar').named('bar').to((req, res, next) => {});
+      registry.addRoute(route);
+      expect(route.isSendingReturnValues()).to.be.true;
+    });
+  });
+
   describe('route matching', () => {
     it('can match', () => {
       const r = RouteBuilder.get('/foo/:id(\\d+)').to((req, res, next) => res.send('Hello'));
@@ -56,6 +251,123 @@ describe('RouteRegistry', () => {
     });
   });
 
+  describe('method-aware route matching', () => {
+    const show_action = (req, res, next) => {};
+    const delete_action = (req, res, next) => {};
+    const create_action = (req, res, next) => {};
+
+    let registry = null;
+    beforeEach(() => {
+      registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/users': {
+          post: { name: 'user_create', action: create_action },
+          '/:id': {
+            get: { name: 'user_show', action: show_action },
+            delete: { name: 'user_delete', action: delete_action },
+          },
+        },
+      });
+    });
+
+    it('matches the route for the given method', () => {
+      expect(registry.match('GET', '/users/5').route.getName()).to.equal('user_show');
+      expect(registry.match('delete', '/users/5').route.getName()).to.equal('user_delete');
+    });
+
+    it('returns the extracted parameters and method', () => {
+      const result = registry.matchRequest({ method: 'DELETE', path: '/users/5' });
+
+      expect(result.params).to.deep.equal({ id: '5' });
+      expect(result.method).to.equal('delete');
+      expect(result.method_not_allowed).to.be.false;
+    });
+
+    it('decodes parameters like express', () => {
+      expect(registry.match('get', '/users/J%C3%BCrgen%20B').params).to.deep.equal({ id: 'Jürgen B' });
+      expect(() => registry.match('get', '/users/%E0%A4%A')).to.throw(URIError, "Failed to decode param '%E0%A4%A'")
+        .with.property('status', 400);
+    });
+
+    it('ignores query strings', () => {
+      expect(registry.match('get', '/users/5?foo=bar').params).to.deep.equal({ id: '5' });
+    });
+
+    it('answers HEAD requests with GET routes', () => {
+      expect(registry.match('head', '/users/5').route.getName()).to.equal('user_show');
+    });
+
+    it('reports when the path matched but the method did not', () => {
+      const result = registry.match('put', '/users/5');
+
+      expect(result.route).to.be.null;
+      expect(result.method_not_allowed).to.be.true;
+      expect(result.allowed_methods).to.deep.equal([ 'get', 'delete', 'head' ]);
+    });
+
+    it('returns null when the path does not match', () => {
+      expect(registry.match('get', '/orders/5')).to.be.null;
+    });
+  });
+
+  describe('host requirements', () => {
+    let registry = null;
+    beforeEach(() => {
+      registry = new RouteRegistry();
+      registry.routeBuilder({
+        '/dashboard': {
+          host: ':tenant.example.com',
+          get: { name: 'tenant_dashboard', action: (req, res, next) => {} },
+          '/settings': {
+            get: { name: 'admin_settings', host: 'admin.example.com', action: (req, res, next) => {} },
+          },
+        },
+        '/about': {
+          get: { name: 'about', action: (req, res, next) => {} },
+        },
+      });
+    });
+
+    it('applies the host closest to the route', () => {
+      expect(registry.getAll().map(_route => _route.getHost())).to.deep.equal([
+        ':tenant.example.com', 'admin.example.com', null,
+      ]);
+    });
+
+    it('does not consider routes on different hosts a collision', () => {
+      registry.routeBuilder({
+        '/dashboard': {
+          get: { name: 'dashboard', action: (req, res, next) => {} },
+        },
+      });
+
+      expect(() => registry.routeBuilder({
+        '/dashboard': {
+          host: ':tenant.example.com',
+          get: { name: 'account_dashboard', action: (req, res, next) => {} },
+        },
+      })).to.throw('Route canonical path collision on: "get :tenant.example.com/dashboard".');
+    });
+
+    it('matches the host and returns the host parameters', () => {
+      expect(registry.matchRequest({ method: 'GET', path: '/dashboard', host: 'acme.example.com:8080' }).params)
+        .to.deep.equal({ tenant: 'acme' });
+      expect(registry.matchRequest({ method: 'GET', path: '/dashboard', host: 'example.org' })).to.be.null;
+      expect(registry.matchRequest({ method: 'GET', path: '/about', host: 'example.org' }).route.getName())
+        .to.equal('about');
+    });
+
+    it('generates absolute URLs when the host differs from the current host', () => {
+      registry.setContext({ host: 'acme.example.com:8080', scheme: 'https' });
+
+      expect(registry.generate('tenant_dashboard', { tenant: 'acme' })).to.equal('/dashboard');
+      expect(registry.generate('tenant_dashboard', { tenant: 'other' })).to.equal('https://other.example.com/dashboard');
+      expect(registry.generate('admin_settings', {}, { scheme: 'http' })).to.equal('http://admin.example.com/dashboard/settings');
+      expect(registry.generate('admin_settings', {}, { host: 'admin.example.com' })).to.equal('/dashboard/settings');
+      expect(registry.generate('about')).to.equal('/about');
+    });
+  });
+
   describe('recursive route builder basic features', () => {
     let registry = null;
     let error = null;
@@ -529,6 +841,59 @@ describe('RouteRegistry', () => {
       });
     });
 
+    describe('for handler validation policies', () => {
+      const configuration = {
+        '/foo': {
+          middleware: async (req, res) => {},
+          error: async (err, req, res) => {},
+          get: async (req, res) => {},
+        },
+      };
+
+      it('blows up on async handlers that leave out next when strict', () => {
+        expect(() => new RouteRegistry().routeBuilder(configuration))
+          .to.throw('Action definition accepts wrong number of arguments');
+      });
+
+      it('registers async handlers that leave out next when lenient', () => {
+        const registry = new RouteRegistry({ handler_validation: 'lenient' });
+        registry.routeBuilder(configuration);
+        expect(registry.getAll()).to.have.length(1);
+      });
+
+      it('applies the policy to the routes that are added without one', () => {
+        const registry = new RouteRegistry({ handler_validation: 'lenient' });
+        const route = RouteBuilder.get('/bar').named('bar').to((req, res, next) => {});
+        registry.addRoute(route);
+        expect(route.getHandlerValidation()).to.equal('lenient');
+      });
+
+      it('validates the routes that are added without one by its policy only', () => {
+        const registry = new RouteRegistry({ handler_validation: 'lenient' });
+        const route = RouteBuilder.get('/x').named('x').to(async function(req, res) {});
+        registry.addRoute(route);
+
+        expect(registry.getAll()).to.deep.equal([ route ]);
+        expect(() => new RouteRegistry().addRoute(RouteBuilder.get('/x').named('x').to(async function(req, res) {})))
+          .to.throw('Action definition accepts wrong number of arguments');
+      });
+
+      it('keeps the policy of the routes that are added with one', () => {
+        const registry = new RouteRegistry({ handler_validation: 'strict' });
+        const lenient_route = RouteBuilder.get('/bar').named('bar').handlerValidation('lenient').to(async (req, res) => {});
+        registry.addRoute(lenient_route);
+
+        expect(lenient_route.getHandlerValidation()).to.equal('lenient');
+        expect(registry.getAll()).to.have.length(1);
+        expect(() => lenient_route.setMiddleware([ async (req, res) => {} ])).not.to.throw();
+      });
+
+      it('blows up on an unknown policy', () => {
+        expect(() => new RouteRegistry({ handler_validation: 'loose' }))
+          .to.throw('Invalid handler validation "loose"; must be one of: strict, lenient, explicit.');
+      });
+    });
+
     describe('for traits', () => {
       let registry = null;
       beforeEach(() => {
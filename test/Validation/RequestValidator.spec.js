@@ -0,0 +1,61 @@
+'use strict';
+
+const { expect } = require('chai');
+const { RequestValidator, RequestValidationError } = require('../../index.js');
+
+describe('RequestValidator', () => {
+  const schemas = {
+    params: { type: 'object', properties: { id: { type: 'integer' } } },
+    query: { type: 'object', properties: { page: { type: 'integer' } }, additionalProperties: false },
+    headers: { type: 'object', properties: { 'x-version': { type: 'integer' } }, required: [ 'x-version' ] },
+    body: { type: 'object', properties: { name: { type: 'string' } } },
+  };
+
+  describe('#validate()', () => {
+    it('validates each part of the request, and coerces params and query strings', () => {
+      const req = { params: { id: '5' }, query: { page: '2' }, headers: { 'x-version': '1' }, body: { name: 'Jo' } };
+
+      expect(new RequestValidator(schemas).validate(req)).to.deep.equal([]);
+      expect(req.params).to.deep.equal({ id: 5 });
+      expect(req.query).to.deep.equal({ page: 2 });
+      expect(req.headers).to.deep.equal({ 'x-version': '1' });
+    });
+
+    it('returns the errors with their location', () => {
+      const req = { params: { id: 'a' }, query: { page: '2', sort: 'name' }, headers: {}, body: { name: 5 } };
+
+      expect(new RequestValidator(schemas).validate(req)).to.deep.equal([
+        { location: 'params', path: '/id', keyword: 'type', message: 'must be integer' },
+        { location: 'query', path: '/sort', keyword: 'additionalProperties', message: 'is not allowed' },
+        { location: 'headers', path: '/x-version', keyword: 'required', message: 'is required' },
+        { location: 'body', path: '/name', keyword: 'type', message: 'must be string' },
+      ]);
+      expect(req.query).to.deep.equal({ page: '2', sort: 'name' });
+    });
+  });
+
+  describe('#middleware()', () => {
+    it('passes a RequestValidationError on to next()', done => {
+      const req = { params: {}, query: {}, headers: {}, body: null };
+
+      new RequestValidator({ body: { type: 'object' } }).middleware()(req, {}, err => {
+        expect(err).to.be.an.instanceOf(RequestValidationError);
+        expect(err.status).to.equal(400);
+        expect(err.message).to.equal('Invalid request: body must be object.');
+        done();
+      });
+    });
+  });
+
+  describe('.mergeSchemas()', () => {
+    it('merges the properties of object schemas, and lets the child win otherwise', () => {
+      expect(RequestValidator.mergeSchemas(
+        { query: { type: 'object', properties: { a: {}, b: {} }, required: [ 'a' ] }, body: { type: 'array' } },
+        { query: { properties: { b: { type: 'string' } }, required: [ 'b' ] }, body: { type: 'object' } }
+      )).to.deep.equal({
+        query: { type: 'object', properties: { a: {}, b: { type: 'string' } }, required: [ 'a', 'b' ] },
+        body: { type: 'object' },
+      });
+    });
+  });
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const { expect } = require('chai');
+const { SchemaValidator } = require('../../index.js');
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator();
+
+  function errorsOf(schema, value, options = {}) {
+    return new SchemaValidator(options).validate(schema, value).errors.map(_error => `${_error.path} ${_error.message}`);
+  }
+
+  describe('#validate()', () => {
+    it('validates types', () => {
+      expect(validator.validate({ type: 'integer' }, 5).valid).to.be.true;
+      expect(validator.validate({ type: [ 'string', 'null' ] }, null).valid).to.be.true;
+      expect(errorsOf({ type: 'integer' }, 5.5)).to.deep.equal([ '/ must be integer' ]);
+      expect(errorsOf({ type: 'object' }, [])).to.deep.equal([ '/ must be object' ]);
+    });
+
+    it('validates numbers, strings and enums', () => {
+      expect(errorsOf({ minimum: 1, maximum: 3, multipleOf: 2 }, 5)).to.deep.equal([ '/ must be <= 3', '/ must be a multiple of 2' ]);
+      expect(errorsOf({ exclusiveMinimum: 0 }, 0)).to.deep.equal([ '/ must be > 0' ]);
+      expect(errorsOf({ minLength: 2, pattern: '^[a-z]+$' }, 'A')).to.deep.equal([
+        '/ must not have fewer than 2 characters',
+        '/ must match pattern "^[a-z]+$"',
+      ]);
+      expect(errorsOf({ format: 'email' }, 'nope')).to.deep.equal([ '/ must match format "email"' ]);
+      expect(errorsOf({ format: 'unknown' }, 'anything')).to.deep.equal([]);
+      expect(errorsOf({ enum: [ 'draft', 'final' ] }, 'other')).to.deep.equal([ '/ must be one of: "draft", "final"' ]);
+      expect(errorsOf({ const: { a: [ 1 ] } }, { a: [ 1 ] })).to.deep.equal([]);
+    });
+
+    it('validates objects and arrays, with JSON pointers to the invalid values', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          'a/b': { type: 'array', items: { type: 'integer' }, uniqueItems: true, maxItems: 3 },
+        },
+        required: [ 'name' ],
+        additionalProperties: false,
+      };
+
+      expect(errorsOf(schema, { 'a/b': [ 1, 'x', 1, 2 ], extra: true })).to.deep.equal([
+        '/name is required',
+        '/a~1b must not have more than 3 items',
+        '/a~1b must not have duplicate items',
+        '/a~1b/1 must be integer',
+        '/extra is not allowed',
+      ]);
+    });
+
+    it('validates combinations', () => {
+      expect(errorsOf({ anyOf: [ { type: 'string' }, { type: 'integer' } ] }, true)).to.deep.equal([ '/ must match a schema in anyOf' ]);
+      expect(errorsOf({ oneOf: [ { type: 'integer' }, { minimum: 2 } ] }, 3)).to.deep.equal([
+        '/ must match exactly one schema in oneOf; matches 2',
+      ]);
+      expect(errorsOf({ allOf: [ { type: 'integer' }, { minimum: 2 } ] }, 1)).to.deep.equal([ '/ must be >= 2' ]);
+      expect(errorsOf({ not: { type: 'string' } }, 'a')).to.deep.equal([ '/ must not match the schema in not' ]);
+    });
+
+    it('coerces strings when asked to', () => {
+      const coercing_validator = new SchemaValidator({ coerce: true });
+      const schema = {
+        type: 'object',
+        properties: {
+          page: { type: 'integer' },
+          draft: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'number' } },
+          name: { type: 'string' },
+        },
+      };
+
+      expect(coercing_validator.validate(schema, { page: '2', draft: 'false', tags: '1.5', name: '3' })).to.deep.equal({
+        valid: true,
+        errors: [],
+        value: { page: 2, draft: false, tags: [ 1.5 ], name: '3' },
+      });
+      expect(errorsOf(schema, { page: 'two' }, { coerce: true })).to.deep.equal([ '/page must be integer' ]);
+      expect(errorsOf(schema, { page: '2' })).to.deep.equal([ '/page must be integer' ]);
+    });
+
+    it('blows up on invalid schemas', () => {
+      expect(() => validator.validate({ properties: { a: 'string' } }, { a: 1 }))
+        .to.throw('Invalid schema at "/a"; schemas must be objects or booleans.');
+      expect(() => validator.validate({ type: 'str' }, 'a')).to.throw('Unknown schema type "str".');
+    });
+  });
+});
@@ -13,7 +13,7 @@ class DebugController extends Controller {
 
   /**
    * When passed a query parameter of q="..." it will attempt to find a routing match,
-   * or return nothing if no match.
+   * or return nothing if no match. Optionally pass method="..." to match a specific HTTP method.
    */
   get_match_routes_action(req, res, next) {
     const path = req.query.q;
@@ -22,6 +22,19 @@ class DebugController extends Controller {
       throw new BadRequestError('Please provide a path to match on query parameter "q".', '50000001IHUWGVEJFGKJWEHBF');
     }
 
+    if (req.query.method) {
+      const result = this.get('route_registry').match(req.query.method, path);
+
+      if (!result) {
+        res.status(404).send('No matching route found');
+      } else if (result.method_not_allowed) {
+        res.status(405).send({ allowed_methods: result.allowed_methods });
+      } else {
+        res.send(Object.assign(this._publishRoute(result.route), { params: result.params }));
+      }
+      return;
+    }
+
     const route = this.get('route_registry').match(path);
 
     if (route) {